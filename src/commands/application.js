@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const { loadContext } = require('../utils/context');
+const { debug } = require('../utils/debug');
+const { printOutput } = require('../utils/output');
+const { confirm } = require('../utils/prompt');
+const { requireOptions } = require('../utils/options');
+const { validateXml } = require('../utils/xml');
+const { exitWithError, ValidationError } = require('../utils/errors');
+
+/**
+ * Reads the application script from --file or --script and checks that it is well-formed XML
+ * @param {Object} options - Command options
+ * @param {string} [options.file] - Path to a local CXML/XML file
+ * @param {string} [options.script] - Inline script
+ * @returns {Promise<string|undefined>} The script, or undefined if none was given
+ */
+const readScript = async (options) => {
+  const { file, script } = options;
+  
+  if (file && script) {
+    throw new ValidationError('Use either --file or --script, not both');
+  }
+  
+  let content = script;
+  let source = 'inline script';
+  
+  if (file) {
+    if (!(await fs.pathExists(file))) {
+      throw new ValidationError(`File '${file}' not found`);
+    }
+    content = await fs.readFile(file, 'utf8');
+    source = `'${file}'`;
+    debug(`Read ${content.length} characters from ${source}`);
+  }
+  
+  if (content === undefined) {
+    return undefined;
+  }
+  
+  const { valid, error } = validateXml(content);
+  if (!valid) {
+    throw new ValidationError(`${source} is not well-formed XML: ${error}`);
+  }
+  
+  return content;
+};
+
+/**
+ * Builds the application fields to send to the API from the command options
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} The application fields
+ */
+const buildApplication = async (options) => {
+  const { name, type, url, method } = options;
+  const script = await readScript(options);
+  
+  if (url && script !== undefined) {
+    throw new ValidationError('Use either --url or a script (--file or --script), not both');
+  }
+  
+  const application = {};
+  if (name) application.name = name;
+  if (type) application.type = type;
+  if (url) application.url = url;
+  if (method) application.method = method.toUpperCase();
+  if (script !== undefined) application.script = script;
+  
+  return application;
+};
+
+/**
+ * Creates an application in a domain
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.name - The application name
+ * @param {string} [options.type] - The application type
+ * @param {string} [options.url] - URL serving the application's CXML
+ * @param {string} [options.method] - HTTP method used to fetch the URL
+ * @param {string} [options.script] - Inline CXML script
+ * @param {string} [options.file] - Local CXML/XML file to upload as the script
+ */
+const addApplication = async (options) => {
+  requireOptions(options, ['name']);
+  const { name } = options;
+  
+  try {
+    const application = await buildApplication(options);
+    
+    if (!application.url && application.script === undefined) {
+      throw new ValidationError('One of --url, --script or --file is required');
+    }
+    
+    const { client } = await loadContext(options);
+    const created = await client.applications.create(application);
+    
+    printOutput(created, { title: `Application ${name} Created`, resourceType: 'application' });
+  } catch (error) {
+    exitWithError(error, 'Error creating application');
+  }
+};
+
+/**
+ * Updates an application in a domain
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.application - The application ID or name
+ * @param {string} [options.name] - A new application name
+ * @param {string} [options.type] - The application type
+ * @param {string} [options.url] - URL serving the application's CXML
+ * @param {string} [options.method] - HTTP method used to fetch the URL
+ * @param {string} [options.script] - Inline CXML script
+ * @param {string} [options.file] - Local CXML/XML file to upload as the script
+ */
+const editApplication = async (options) => {
+  requireOptions(options, ['application']);
+  const { application: applicationId } = options;
+  
+  try {
+    const changes = await buildApplication(options);
+    
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('Nothing to update. Use --name, --type, --url, --method, --script or --file');
+    }
+    
+    const { client } = await loadContext(options);
+    
+    debug(`Updating application '${applicationId}' with fields: ${Object.keys(changes).join(', ')}`);
+    const updated = await client.applications.update(applicationId, changes);
+    
+    printOutput(updated, { title: `Application ${applicationId} Updated`, resourceType: 'application' });
+  } catch (error) {
+    exitWithError(error, 'Error updating application');
+  }
+};
+
+/**
+ * Deletes an application from a domain after confirmation
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.application - The application ID or name
+ * @param {boolean} [options.yes] - Skip the confirmation prompt
+ */
+const removeApplication = async (options) => {
+  requireOptions(options, ['application']);
+  const { application: applicationId, yes } = options;
+  
+  try {
+    const { domain, client } = await loadContext(options);
+    
+    if (!yes) {
+      const confirmed = await confirm(`Delete application '${applicationId}' from domain '${domain}'?`);
+      if (!confirmed) {
+        console.log('Aborted');
+        return;
+      }
+    }
+    
+    await client.applications.delete(applicationId);
+    
+    console.log(`Application '${applicationId}' has been deleted from domain '${domain}'`);
+  } catch (error) {
+    exitWithError(error, 'Error deleting application');
+  }
+};
+
+module.exports = {
+  addApplication,
+  editApplication,
+  removeApplication
+};
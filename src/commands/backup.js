@@ -0,0 +1,119 @@
+const chalk = require('chalk');
+const { loadContext } = require('../utils/context');
+const { debug } = require('../utils/debug');
+const { getOutputFormat, printOutput } = require('../utils/output');
+const { requireOptions } = require('../utils/options');
+const { exitWithError } = require('../utils/errors');
+const { readBackup, writeBackup, readBackupFile, openJournal, restoreBackup } = require('../utils/backup');
+
+/**
+ * Builds the default archive name for a backup, e.g. example.cloudonix.net-20250301-101500.tgz
+ * @param {string} domain - The domain name
+ * @returns {string} The file name
+ */
+const defaultArchiveName = (domain) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${domain}-${stamp}.tgz`;
+};
+
+/**
+ * Backs up every resource of a domain, including secrets, to a .tgz archive
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} [options.out] - The archive path. Defaults to <domain>-<timestamp>.tgz
+ */
+const backupDomain = async (options) => {
+  try {
+    const { domain, client } = await loadContext(options);
+    const file = options.out || defaultArchiveName(domain);
+    
+    debug(`Backing up domain '${domain}' to '${file}'`);
+    const backup = await readBackup(client, ({ key, count }) => {
+      console.error(`${chalk.green('✓')} Read ${count} ${key}`);
+    });
+    await writeBackup(backup, file);
+    
+    if (getOutputFormat()) {
+      printOutput({ file, ...backup.metadata });
+      return;
+    }
+    
+    console.log(`Domain '${domain}' backed up to ${chalk.bold(file)}`);
+    console.log(chalk.yellow('The archive contains secrets such as SIP passwords. Store it safely.'));
+  } catch (error) {
+    exitWithError(error, 'Error backing up domain');
+  }
+};
+
+/**
+ * Restores a backup archive into its original domain or another one. Resources are
+ * created in dependency order and DNIDs are linked to the new application IDs.
+ * Progress is kept in a journal, so running the same command again after a failure
+ * resumes the restore.
+ * @param {Object} options - Command options
+ * @param {string} options.in - The archive path
+ * @param {string} [options.domain] - The domain to restore into. Defaults to the domain in the archive
+ * @param {string} [options.journal] - The journal path. Defaults to <archive>.journal.json
+ * @param {boolean} [options.dryRun] - Only show what would be restored
+ */
+const restoreDomain = async (options) => {
+  requireOptions(options, ['in']);
+  const { in: file, dryRun } = options;
+  const journalFile = options.journal || `${file}.journal.json`;
+  
+  try {
+    const backup = await readBackupFile(file);
+    const { domain, client } = await loadContext({ ...options, domain: options.domain || backup.metadata.domain });
+    const journal = await openJournal(journalFile, backup, domain);
+    
+    debug(`Restoring '${file}' (domain '${backup.metadata.domain}', ${backup.metadata.createdAt}) into '${domain}'`);
+    if (journal.resumed) {
+      console.error(`Resuming the restore recorded in ${journalFile}`);
+    }
+    
+    const labels = dryRun
+      ? { updated: 'Would update', created: 'Would create', exists: 'Exists', done: 'Already restored' }
+      : { updated: 'Updated', created: 'Created', exists: 'Exists', done: 'Already restored' };
+    let finished = 0;
+    let results;
+    
+    try {
+      results = await restoreBackup(client, backup, journal, {
+        dryRun,
+        onStep: ({ type, key, status }) => {
+          finished++;
+          const symbol = !dryRun && (status === 'created' || status === 'updated') ? chalk.green('✓') : chalk.dim('·');
+          console.error(`${symbol} ${labels[status]} ${type === 'settings' ? 'domain settings' : `${type} '${key}'`}`);
+        }
+      });
+    } catch (error) {
+      if (!dryRun) {
+        console.error(chalk.yellow(`Stopped after ${finished} steps. Run the same command again to resume from ${journalFile}.`));
+      }
+      throw error;
+    }
+    
+    if (!dryRun) {
+      await journal.remove();
+    }
+    
+    if (getOutputFormat()) {
+      printOutput(results.map(({ type, key, status, oldId, newId }) => ({ type, key, status, oldId, newId })), { resourceType: 'restore' });
+      return;
+    }
+    
+    const created = results.filter(result => result.status === 'created').length;
+    const existing = results.filter(result => result.status === 'exists').length;
+    const earlier = results.filter(result => result.status === 'done').length;
+    const verb = dryRun ? 'would be created' : 'created';
+    const resumedNote = earlier > 0 ? `, ${earlier} restored by an earlier run` : '';
+    console.log(chalk.bold(`\nRestore of domain '${domain}' ${dryRun ? 'checked' : 'complete'}: ${created} ${verb}, ${existing} already present${resumedNote}.`));
+  } catch (error) {
+    exitWithError(error, 'Error restoring domain');
+  }
+};
+
+module.exports = {
+  backupDomain,
+  restoreDomain
+};
@@ -1,30 +1,25 @@
-const { loadConfig } = require('../utils/config');
-const { getSessionInfo } = require('../utils/api');
+const { loadContext } = require('../utils/context');
 const { debug } = require('../utils/debug');
-const yaml = require('yaml');
+const { printOutput, getOutputFormat } = require('../utils/output');
+const { isSessionFinished, getEntryTime } = require('../utils/session');
+const { renderTimeline, entryText, TIMELINE_FORMATS } = require('../utils/timeline');
+const { analyzeSession, renderAnalysis } = require('../utils/analyze');
 const chalk = require('chalk');
+const { EXIT_CODES, exitWithError, ValidationError } = require('../utils/errors');
+
+const MAX_POLL_FAILURES = 5;
 
 /**
- * Format session information as YAML with highlighting
+ * Normalize session information for display: full ISO timestamps, simple
+ * properties first, and events and log entries sorted by time
  * @param {Object} sessionInfo - The session information
- * @returns {string} Highlighted YAML formatted session information
+ * @returns {Object} The reorganized session information
  */
-const formatSessionYaml = (sessionInfo) => {
+const prepareSession = (sessionInfo) => {
   if (!sessionInfo) {
-    return 'No session information available';
-  }
-  
-  // Determine the appropriate title based on content
-  let titleText = '\n=== Call Session Information ===\n\n';
-  
-  // If it's just the log object, use a more specific title
-  if (Object.keys(sessionInfo).length === 1 && sessionInfo.log) {
-    titleText = '\n=== Call Session Log ===\n\n';
+    return sessionInfo;
   }
   
-  // Add a title
-  let output = chalk.bold.blue(titleText);
-  
   // Clone the session info to avoid modifying the original
   const sessionForYaml = JSON.parse(JSON.stringify(sessionInfo, (key, value) => {
     // Handle timestamp fields specifically
@@ -93,103 +88,161 @@ const formatSessionYaml = (sessionInfo) => {
     }
   });
   
-  // Convert to YAML
-  const yamlString = yaml.stringify(reorganized);
+  return reorganized;
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - The time to wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Format a new log entry or event as a single line
+ * @param {string} kind - Either 'log' or 'event'
+ * @param {Object} entry - The log entry or event
+ * @returns {string} The formatted line
+ */
+const formatFollowLine = (kind, entry) => {
+  if (getOutputFormat()) {
+    // One JSON object per line so the stream can be processed with jq
+    return JSON.stringify({ kind, ...entry });
+  }
   
-  // Add basic color highlighting
-  const coloredLines = yamlString.split('\n').map(line => {
-    // Handle key: value lines
-    if (line.includes(':')) {
-      const colonPos = line.indexOf(':');
-      const key = line.substring(0, colonPos);
-      const value = line.substring(colonPos + 1);
-      
-      return chalk.cyan(key + ':') + processValue(value);
-    }
-    
-    // Handle list items
-    if (line.trim().startsWith('-')) {
-      return line.replace('-', chalk.yellow('-'));
-    }
-    
-    return line;
-  });
+  const time = getEntryTime(entry);
+  const text = entryText(entry);
+  const tag = kind === 'log' ? chalk.cyan('[log]  ') : chalk.magenta('[event]');
   
-  return output + coloredLines.join('\n');
+  return `${chalk.green(time ? time.toISOString() : '-'.repeat(24))} ${tag} ${text}`;
 };
 
 /**
- * Process and color a YAML value
- * @param {string} value - The YAML value to process
- * @returns {string} Colored value
+ * Polls a session and prints new log entries and events until the session ends or Ctrl-C is pressed
+ * @param {CloudonixClient} client - The client for the domain
+ * @param {string} sessionId - The session ID
+ * @param {Object} options - Follow options
+ * @param {number} options.interval - Polling interval in seconds
+ * @param {boolean} options.logOnly - Only print log entries, not events
+ * @returns {Promise<void>}
  */
-function processValue(value) {
-  // Empty or null values
-  if (!value.trim() || value.trim() === 'null') {
-    return value;
-  }
+const followSession = async (client, sessionId, { interval, logOnly }) => {
+  const seen = new Set();
+  const counts = { log: 0, event: 0 };
+  const startedAt = Date.now();
+  let status = 'unknown';
+  let failures = 0;
   
-  // Numbers
-  if (value.trim().match(/^-?\d+(\.\d+)?$/)) {
-    return value.replace(/(-?\d+(\.\d+)?)/, chalk.yellow('$1'));
-  }
+  const printSummary = (reason) => {
+    const seconds = Math.round((Date.now() - startedAt) / 1000);
+    console.error(chalk.bold(`\n${reason}. Followed session '${sessionId}' for ${seconds}s: ` +
+      `${counts.log} log entries, ${counts.event} events, final status: ${status}`));
+  };
   
-  // Booleans
-  if (value.trim() === 'true' || value.trim() === 'false') {
-    return value.replace(/(true|false)/, chalk.yellow('$1'));
-  }
+  // In the shell, exiting only ends the command, so the loop also stops on this flag
+  let interrupted = false;
+  const onInterrupt = () => {
+    interrupted = true;
+    printSummary('Interrupted');
+    process.exit(EXIT_CODES.interrupted);
+  };
+  process.once('SIGINT', onInterrupt);
   
-  // Dates (ISO format)
-  if (value.trim().match(/\d{4}-\d{2}-\d{2}T/)) {
-    return value.replace(/(\d{4}-\d{2}-\d{2}T[\d:.Z+-]+)/, chalk.green('$1'));
+  if (!getOutputFormat()) {
+    console.error(chalk.bold.blue(`\n=== Following session ${sessionId} (Ctrl-C to stop) ===\n`));
   }
   
-  // Strings in quotes
-  if (value.trim().match(/^".*"$/) || value.trim().match(/^'.*'$/)) {
-    return value.replace(/(["']).*\1/, chalk.green('$&'));
+  while (!interrupted) {
+    try {
+      const sessionInfo = await client.sessions.get(sessionId);
+      failures = 0;
+      status = sessionInfo.status || status;
+      
+      // Collect the entries we haven't printed yet, deduplicated by time and content
+      const entries = [];
+      const sources = logOnly ? [['log', sessionInfo.log]] : [['log', sessionInfo.log], ['event', sessionInfo.events]];
+      sources.forEach(([kind, list]) => {
+        (Array.isArray(list) ? list : []).forEach(entry => {
+          const key = `${kind}|${JSON.stringify(entry)}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            entries.push({ kind, entry });
+          }
+        });
+      });
+      
+      entries
+        .sort((a, b) => (getEntryTime(a.entry) || 0) - (getEntryTime(b.entry) || 0))
+        .forEach(({ kind, entry }) => {
+          counts[kind]++;
+          console.log(formatFollowLine(kind, entry));
+        });
+      
+      if (isSessionFinished(sessionInfo)) {
+        process.removeListener('SIGINT', onInterrupt);
+        printSummary('Session ended');
+        return;
+      }
+    } catch (error) {
+      failures++;
+      console.error(chalk.yellow(`Warning: ${error.message} (attempt ${failures} of ${MAX_POLL_FAILURES})`));
+      if (failures >= MAX_POLL_FAILURES) {
+        process.removeListener('SIGINT', onInterrupt);
+        throw error;
+      }
+    }
+    
+    await sleep(interval * 1000);
   }
-  
-  return value;
-}
+};
 
 /**
  * Gets and displays information about a call session
  * @param {Object} options - Command options
- * @param {string} options.domain - The domain name
+ * @param {string} [options.domain] - The domain name
  * @param {string} options.session - The session ID
  * @param {boolean} options.log - Whether to show only the log object
+ * @param {boolean} options.follow - Whether to keep polling the session for new entries
+ * @param {string} options.interval - Polling interval in seconds when following
+ * @param {boolean|string} options.timeline - Render a call flow timeline, optionally in the given format
  */
 const getCallInfo = async (options) => {
-  const { domain, session, log: showLogOnly } = options;
+  const { session, log: showLogOnly, follow, timeline } = options;
   
-  if (!domain) {
-    console.error('The --domain option is required');
-    process.exit(1);
+  if (!session) {
+    exitWithError(new ValidationError('The --session option is required'));
   }
   
-  if (!session) {
-    console.error('The --session option is required');
-    process.exit(1);
+  if (typeof timeline === 'string' && !TIMELINE_FORMATS.includes(timeline)) {
+    exitWithError(new ValidationError(`Unsupported timeline format '${timeline}'. Use one of: ${TIMELINE_FORMATS.join(', ')}`));
   }
   
   debug(`Log only mode: ${showLogOnly ? 'enabled' : 'disabled'}`);
   
   try {
-    debug(`Getting information for session '${session}' in domain '${domain}'`);
+    // Resolve the profile (domain and API key) to use
+    const { domain, client } = await loadContext(options);
     
-    // Load the configuration
-    const config = await loadConfig();
+    debug(`Getting information for session '${session}' in domain '${domain}'`);
     
-    // Check if the domain exists in configuration
-    if (!config.domains || !config.domains[domain]) {
-      console.error(`Domain '${domain}' not found in configuration. Use 'cx-cli configure' to add it.`);
-      process.exit(1);
+    if (follow) {
+      const interval = Number(options.interval || 2);
+      if (!(interval > 0)) {
+        exitWithError(new ValidationError('The --interval option must be a positive number of seconds'));
+      }
+      await followSession(client, session, { interval, logOnly: Boolean(showLogOnly) });
+      return;
     }
     
-    const apiKey = config.domains[domain].apiKey;
-    
     // Get session information from API
-    const sessionInfo = await getSessionInfo(domain, session, apiKey);
+    const sessionInfo = await client.sessions.get(session);
+    
+    if (timeline) {
+      const format = timeline === true ? 'ascii' : timeline;
+      debug(`Rendering call flow timeline as ${format}`);
+      console.log(renderTimeline(sessionInfo, format));
+      return;
+    }
     
     // If log only mode is enabled, filter to show only the log object
     let dataToDisplay = sessionInfo;
@@ -200,21 +253,58 @@ const getCallInfo = async (options) => {
         dataToDisplay = { log: sessionInfo.log };
         debug('Filtering output to show only the log object');
       } else {
-        console.log(chalk.yellow('Warning: No log object found in the session data'));
+        // Keep machine-readable output clean by sending the warning to stderr
+        const warn = getOutputFormat() ? console.error : console.log;
+        warn(chalk.yellow('Warning: No log object found in the session data'));
         // Still show available data even if log wasn't found
       }
     }
     
-    // Format and display session information as YAML
-    const yamlOutput = formatSessionYaml(dataToDisplay);
-    console.log(yamlOutput);
+    // Use a more specific title if it's just the log object
+    const isLogOnly = Boolean(dataToDisplay && dataToDisplay.log) && Object.keys(dataToDisplay).length === 1;
+    const title = isLogOnly ? 'Call Session Log' : 'Call Session Information';
+    
+    // Format and display session information in the selected output format
+    printOutput(prepareSession(dataToDisplay), { title, resourceType: isLogOnly ? 'log' : 'session' });
     
   } catch (error) {
-    console.error(`Error getting session information: ${error.message}`);
-    process.exit(1);
+    exitWithError(error, 'Error getting session information');
+  }
+};
+
+/**
+ * Analyzes a call session: how it ended and why, its SIP responses and timings,
+ * with the log lines that explain the outcome highlighted
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.session - The session ID
+ */
+const analyzeCall = async (options) => {
+  const { session } = options;
+  
+  if (!session) {
+    exitWithError(new ValidationError('The --session option is required'));
+  }
+  
+  try {
+    // Resolve the profile (domain and API key) to use
+    const { domain, client } = await loadContext(options);
+    
+    debug(`Analyzing session '${session}' in domain '${domain}'`);
+    const analysis = analyzeSession(await client.sessions.get(session));
+    debug(`Session '${session}' classified as ${analysis.outcome}`);
+    
+    if (getOutputFormat()) {
+      printOutput(analysis, { title: `Call Analysis for ${session}`, resourceType: 'analysis' });
+    } else {
+      console.log(renderAnalysis(analysis));
+    }
+  } catch (error) {
+    exitWithError(error, 'Error analyzing session');
   }
 };
 
 module.exports = {
-  getCallInfo
+  getCallInfo,
+  analyzeCall
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const { debug } = require('../utils/debug');
+const { requireOptions } = require('../utils/options');
+const { exitWithError } = require('../utils/errors');
+const { readCassette, toHar } = require('../utils/cassette');
+
+/**
+ * Converts a cassette recorded with --record to a HAR file, which browser developer
+ * tools and HAR viewers can open
+ * @param {Object} options - Command options
+ * @param {string} options.in - The cassette path
+ * @param {string} [options.out] - The HAR path. Prints to stdout when not given
+ */
+const exportHar = async (options) => {
+  requireOptions(options, ['in']);
+  
+  try {
+    const cassette = readCassette(options.in);
+    const har = `${JSON.stringify(toHar(cassette), null, 2)}\n`;
+    debug(`Converting ${cassette.entries.length} requests from '${options.in}' to HAR`);
+    
+    if (!options.out) {
+      process.stdout.write(har);
+      return;
+    }
+    
+    fs.writeFileSync(options.out, har, { mode: 0o600 });
+    console.error(`Wrote ${cassette.entries.length} requests to ${options.out}`);
+  } catch (error) {
+    exitWithError(error, 'Error exporting cassette');
+  }
+};
+
+module.exports = {
+  exportHar
+};
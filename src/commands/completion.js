@@ -0,0 +1,89 @@
+const { loadContext } = require('../utils/context');
+const { isConfigLocked } = require('../utils/config');
+const { setRequestSettings } = require('../utils/api');
+const { debug } = require('../utils/debug');
+const { exitWithError, ValidationError } = require('../utils/errors');
+const { listConfigValues, listResourceValues, createCompleter } = require('../utils/shell');
+const { COMPLETION_SHELLS, completionScript, getCachedValues } = require('../utils/completion');
+
+// Completion runs while the user waits at the prompt, so API calls get a short timeout and no retries
+const COMPLETION_TIMEOUT = 5;
+
+/**
+ * Prints the completion script for a shell
+ * @param {Object} options - Command options
+ * @param {boolean} [options.resourceIds] - Also complete resource names and IDs from the API
+ * @param {string} shell - One of bash, zsh or fish
+ */
+const printCompletion = async (options, shell) => {
+  if (!COMPLETION_SHELLS.includes(shell)) {
+    exitWithError(new ValidationError(`Unsupported shell '${shell}'. Use one of: ${COMPLETION_SHELLS.join(', ')}`));
+  }
+  
+  process.stdout.write(completionScript(shell, { resourceIds: options.resourceIds }));
+};
+
+/**
+ * Resolves the domain a partly typed command refers to, from its --domain or --profile
+ * option or the default profile
+ * @param {Array<string>} words - The words typed so far
+ * @returns {Promise<Object|null>} The profile, or null when the API keys are locked
+ */
+const loadCompletionContext = async (words) => {
+  const valueOf = (flag) => {
+    const index = words.indexOf(flag);
+    return index >= 0 && index < words.length - 2 ? words[index + 1] : undefined;
+  };
+  
+  // Never ask for the passphrase in the middle of completing a command
+  if ((await isConfigLocked()) && !process.env.CX_PASSPHRASE) {
+    return null;
+  }
+  
+  const context = await loadContext({
+    profile: valueOf('--profile'),
+    domain: valueOf('--domain'),
+    timeout: COMPLETION_TIMEOUT,
+    retries: 0
+  });
+  setRequestSettings({ timeout: COMPLETION_TIMEOUT, retries: 0 });
+  return context;
+};
+
+/**
+ * Prints the completions for a partly typed command line, one per line. Used by the
+ * completion scripts; errors are never shown, there are just no completions.
+ * @param {Object} program - The Commander program
+ * @param {Object} options - Command options
+ * @param {boolean} [options.resourceIds] - Also complete resource names and IDs from the API
+ * @param {Array<string>} words - The words after cx-cli, the last one being completed
+ */
+const completeWords = async (program, options, words = []) => {
+  const getValues = async (flag) => {
+    const configValues = await listConfigValues(flag);
+    if (configValues || !options.resourceIds) {
+      return configValues || [];
+    }
+    
+    const context = await loadCompletionContext(words);
+    if (!context) {
+      return [];
+    }
+    return getCachedValues(context.domain, flag, async () => (await listResourceValues(flag, context.client)) || []);
+  };
+  
+  try {
+    const completer = createCompleter(program, { getValues });
+    const [candidates] = await new Promise((resolve, reject) => {
+      completer(words.join(' '), (error, result) => (error ? reject(error) : resolve(result)));
+    });
+    candidates.forEach(candidate => console.log(candidate.trimEnd()));
+  } catch (error) {
+    debug(`Completion failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  printCompletion,
+  completeWords
+};
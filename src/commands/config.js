@@ -0,0 +1,52 @@
+const { lockConfig, unlockConfig } = require('../utils/config');
+const { askHidden } = require('../utils/prompt');
+const { exitWithError, ValidationError } = require('../utils/errors');
+
+/**
+ * Encrypts the stored API keys with a passphrase
+ * @param {Object} options - Command options
+ */
+const lock = async (options) => {
+  try {
+    let passphrase = process.env.CX_PASSPHRASE;
+    
+    if (!passphrase) {
+      passphrase = await askHidden('New passphrase: ');
+      const repeated = await askHidden('Repeat passphrase: ');
+      
+      if (passphrase !== repeated) {
+        exitWithError(new ValidationError('Passphrases do not match'));
+      }
+    }
+    
+    if (!passphrase) {
+      exitWithError(new ValidationError('A passphrase is required'));
+    }
+    
+    await lockConfig(passphrase);
+    
+    console.log('Configuration locked. API keys are now stored encrypted.');
+    console.log('Commands will ask for the passphrase, or read it from CX_PASSPHRASE.');
+  } catch (error) {
+    exitWithError(error, 'Error locking configuration');
+  }
+};
+
+/**
+ * Decrypts the stored API keys and stores them in plain text again
+ * @param {Object} options - Command options
+ */
+const unlock = async (options) => {
+  try {
+    await unlockConfig();
+    
+    console.log('Configuration unlocked. API keys are now stored in plain text.');
+  } catch (error) {
+    exitWithError(error, 'Error unlocking configuration');
+  }
+};
+
+module.exports = {
+  lock,
+  unlock
+};
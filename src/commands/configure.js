@@ -1,41 +1,129 @@
-const { addDomain } = require('../utils/config');
-const { validateDomain } = require('../utils/api');
+const { saveProfile, loadConfig } = require('../utils/config');
+const { CloudonixClient } = require('../sdk/client');
+const { OUTPUT_FORMATS } = require('../utils/output');
+const { ask, askHidden, confirm, readStdin } = require('../utils/prompt');
+const { exitWithError, ValidationError } = require('../utils/errors');
 
 /**
- * Configures a domain with the provided API key
+ * Asks for a value that cannot be left empty
+ * @param {string} question - The question to display
+ * @param {string} name - What is asked for, used in the error message
+ * @param {Function} [prompt] - The prompt function, ask() or askHidden()
+ * @returns {Promise<string>} The answer
+ */
+const askRequired = async (question, name, prompt = ask) => {
+  const answer = (await prompt(question)).trim();
+  if (!answer) {
+    throw new ValidationError(`No ${name} entered`);
+  }
+  return answer;
+};
+
+/**
+ * Configures a profile for a domain with the provided API key. In a terminal, values
+ * not given as options are asked for, the API key without echoing it.
  * @param {Object} options - Command options
- * @param {string} options.domain - The domain name
- * @param {string} options.apikey - The API key for the domain
+ * @param {string} [options.domain] - The domain name
+ * @param {string} [options.apikey] - The API key for the domain
+ * @param {boolean} [options.apikeyStdin] - Read the API key from stdin
+ * @param {string} [options.profile] - The profile name. Defaults to the domain name
+ * @param {string} [options.apiUrl] - The API base URL for this profile, from the global --api-url
+ * @param {number} [options.timeout] - The request timeout in seconds for this profile, from the global --timeout
+ * @param {number} [options.retries] - The number of retries for this profile, from the global --retries
+ * @param {string} [options.defaultOutput] - The default output format for this profile
+ * @param {boolean} [options.default] - Whether to make this the default profile
+ * @param {boolean} [options.yes] - Replace an existing profile without asking
  */
 const configure = async (options) => {
-  const { domain, apikey } = options;
+  const { apiUrl, timeout, retries, defaultOutput, apikeyStdin, yes } = options;
+  let { domain, apikey } = options;
+  let name = options.profile;
+  
+  if (apikey && apikeyStdin) {
+    exitWithError(new ValidationError('Use either --apikey or --apikey-stdin, not both'));
+  }
+  
+  if (defaultOutput && !OUTPUT_FORMATS.includes(defaultOutput)) {
+    exitWithError(new ValidationError(`Unsupported output format '${defaultOutput}'. Use one of: ${OUTPUT_FORMATS.join(', ')}`));
+  }
+  
+  const interactive = Boolean(process.stdin.isTTY);
+  
+  // Piped keys are read before anything else, since stdin holds nothing but the key
+  if (apikeyStdin && !interactive) {
+    apikey = await readStdin();
+    if (!apikey) {
+      exitWithError(new ValidationError('No API key found on stdin'));
+    }
+  }
   
-  if (!domain || !apikey) {
-    console.error('Both --domain and --apikey options are required');
-    process.exit(1);
+  if ((!domain || (!apikey && !apikeyStdin)) && !interactive) {
+    exitWithError(new ValidationError('Both --domain and --apikey (or --apikey-stdin) options are required. Run it in a terminal to be asked for them.'));
   }
   
   try {
+    // Without a domain, configure runs as a wizard, also asking for the profile name and default
+    const wizard = !domain;
+    
+    if (wizard) {
+      domain = await askRequired('Domain: ', 'domain');
+      if (!name) {
+        name = (await ask(`Profile name [${domain}]: `)) || domain;
+      }
+    }
+    name = name || domain;
+    
+    if (!apikey) {
+      apikey = await askRequired(`API key for '${domain}': `, 'API key', askHidden);
+    }
+    
+    // Replacing the key of an existing profile must never happen by accident
+    const existing = (await loadConfig()).profiles[name];
+    if (existing && existing.apiKey !== apikey && !yes) {
+      if (!interactive) {
+        throw new ValidationError(`Profile '${name}' already exists with another API key. Use --yes to replace it.`);
+      }
+      const replace = await confirm(`Profile '${name}' (domain '${existing.domain}') already exists with another API key. Replace it?`);
+      if (!replace) {
+        console.error('Aborted');
+        return;
+      }
+    }
+    
     console.log(`Validating domain '${domain}'...`);
     
-    const isValid = await validateDomain(domain, apikey);
+    const isValid = await new CloudonixClient({ domain, apiKey: apikey }).domains.validate();
     
     if (!isValid) {
-      console.error(`Failed to validate domain '${domain}'. Please check the domain name and API key.`);
-      process.exit(1);
+      exitWithError(new ValidationError(`Failed to validate domain '${domain}'. Please check the domain name and API key.`));
     }
     
     console.log(`Domain '${domain}' validated successfully.`);
     
-    await addDomain(domain, apikey);
+    let makeDefault = Boolean(options.default);
+    if (wizard && !makeDefault) {
+      const { defaultProfile } = await loadConfig();
+      makeDefault = defaultProfile !== name && await confirm(`Make '${name}' the default profile?`);
+    }
+    
+    // Settings not given this time are kept from the existing profile
+    const settings = { domain, apiKey: apikey, apiUrl, timeout, retries, output: defaultOutput };
+    Object.keys(settings).forEach(key => {
+      if (settings[key] === undefined) {
+        delete settings[key];
+      }
+    });
+    await saveProfile(name, { ...existing, ...settings }, makeDefault);
     
-    console.log(`Domain '${domain}' configured successfully.`);
+    console.log(`Profile '${name}' for domain '${domain}' configured successfully.`);
+    if (makeDefault) {
+      console.log(`Profile '${name}' is now the default profile.`);
+    }
   } catch (error) {
-    console.error(`Error configuring domain: ${error.message}`);
-    process.exit(1);
+    exitWithError(error, 'Error configuring domain');
   }
 };
 
 module.exports = {
   configure
-};
\ No newline at end of file
+};
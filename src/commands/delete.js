@@ -1,46 +1,54 @@
 const { loadConfig, saveConfig } = require('../utils/config');
 const { debug } = require('../utils/debug');
+const { exitWithError, ValidationError, ConfigError } = require('../utils/errors');
 
 /**
- * Deletes a domain from the configuration
+ * Deletes a profile, or every profile of a domain, from the configuration
  * @param {Object} options - Command options
- * @param {string} options.domain - The domain name to delete
+ * @param {string} [options.domain] - The domain name to delete
+ * @param {string} [options.profile] - The profile name to delete
  */
 const deleteDomain = async (options) => {
-  const { domain } = options;
+  const { domain, profile } = options;
   
-  if (!domain) {
-    console.error('The --domain option is required');
-    process.exit(1);
+  if (!domain && !profile) {
+    exitWithError(new ValidationError('The --domain or --profile option is required'));
   }
   
   try {
-    debug(`Attempting to delete domain '${domain}' from configuration`);
+    debug(`Attempting to delete ${profile ? `profile '${profile}'` : `domain '${domain}'`} from configuration`);
     
     // Load the current configuration
     const config = await loadConfig();
     
-    // Check if the domain exists in configuration
-    if (!config.domains || !config.domains[domain]) {
-      console.error(`Domain '${domain}' not found in configuration`);
-      process.exit(1);
+    // Find the profiles to delete
+    const names = profile
+      ? [profile].filter(name => config.profiles[name])
+      : Object.keys(config.profiles).filter(name => name === domain || config.profiles[name].domain === domain);
+    
+    if (names.length === 0) {
+      exitWithError(new ConfigError(`${profile ? `Profile '${profile}'` : `Domain '${domain}'`} not found in configuration`));
     }
     
-    debug(`Domain '${domain}' found in configuration`, config.domains[domain]);
+    debug(`Profiles found in configuration: ${names.join(', ')}`);
     
-    // Delete the domain from configuration
-    delete config.domains[domain];
+    // Delete the profiles from configuration
+    names.forEach(name => {
+      delete config.profiles[name];
+      if (config.defaultProfile === name) {
+        delete config.defaultProfile;
+      }
+    });
     
     // Save the updated configuration
     await saveConfig(config);
     
-    console.log(`Domain '${domain}' has been removed from configuration`);
+    names.forEach(name => console.log(`Profile '${name}' has been removed from configuration`));
   } catch (error) {
-    console.error(`Error deleting domain: ${error.message}`);
-    process.exit(1);
+    exitWithError(error, 'Error deleting domain');
   }
 };
 
 module.exports = {
   deleteDomain
-};
\ No newline at end of file
+};
@@ -1,54 +1,78 @@
-const { loadConfig } = require('../utils/config');
+const chalk = require('chalk');
+const { loadConfig, getConfigFileMode, CONFIG_FILE } = require('../utils/config');
 const { debug } = require('../utils/debug');
+const { exitWithError } = require('../utils/errors');
 
 /**
- * Displays all configured domains in a human-readable format
+ * Masks an API key for display
+ * @param {string} apiKey - The API key
+ * @returns {string} The masked API key
+ */
+const maskApiKey = (apiKey = '') => {
+  return apiKey.length > 8
+    ? `${apiKey.substring(0, 4)}...${apiKey.substring(apiKey.length - 4)}`
+    : '********';
+};
+
+/**
+ * Displays all configured profiles in a human-readable format
  * @param {Object} options - Command options
  */
 const display = async (options) => {
   try {
     debug('Loading configuration for display');
     
-    // Load the current configuration
-    const config = await loadConfig();
+    // Warn when other users can read the API keys
+    const mode = await getConfigFileMode();
+    if (mode !== null && (mode & 0o077)) {
+      console.error(chalk.yellow(`Warning: ${CONFIG_FILE} is readable by other users (mode ${mode.toString(8)}). Run 'chmod 600 ${CONFIG_FILE}' to fix it.`));
+    }
+    
+    // Load the current configuration without asking for the passphrase, keys are masked anyway
+    const config = await loadConfig({ decrypt: false });
+    const profiles = config.profiles || {};
     
-    // Check if any domains are configured
-    if (!config.domains || Object.keys(config.domains).length === 0) {
+    // Check if any profiles are configured
+    if (Object.keys(profiles).length === 0) {
       console.log('No domains are currently configured');
       return;
     }
     
-    debug('Domains found in configuration', config.domains);
+    debug('Profiles found in configuration', Object.keys(profiles));
     
     // Display header
-    console.log('\nConfigured Domains:\n');
-    console.log('--------------------------------------------------------');
-    console.log('Domain                          API Key');
-    console.log('--------------------------------------------------------');
-    
-    // Display each domain and its API key
-    Object.entries(config.domains).forEach(([domain, details]) => {
-      // Mask part of the API key for security
-      const apiKey = details.apiKey || '';
-      const maskedKey = apiKey.length > 8 
-        ? `${apiKey.substring(0, 4)}...${apiKey.substring(apiKey.length - 4)}`
-        : '********';
-      
-      // Format domain and API key in columns
-      const domainCol = domain.padEnd(30);
+    console.log('\nConfigured Profiles:\n');
+    console.log('------------------------------------------------------------------------------------------');
+    console.log('  Profile             Domain                          API Key       Settings');
+    console.log('------------------------------------------------------------------------------------------');
+    
+    // Display each profile, marking the default one
+    Object.entries(profiles).forEach(([name, details]) => {
+      const marker = name === config.defaultProfile ? '*' : ' ';
+      const extras = [
+        details.apiUrl,
+        details.output,
+        details.timeout !== undefined ? `timeout ${details.timeout}s` : null,
+        details.retries !== undefined ? `${details.retries} retries` : null
+      ].filter(Boolean).join(' / ');
+      const apiKey = config.encrypted ? '(encrypted)' : maskApiKey(details.apiKey);
       
-      console.log(`${domainCol} ${maskedKey}`);
+      console.log(`${marker} ${name.padEnd(19)} ${(details.domain || '').padEnd(31)} ${apiKey.padEnd(13)} ${extras}`.trimEnd());
     });
     
-    console.log('--------------------------------------------------------');
-    console.log(`Total domains: ${Object.keys(config.domains).length}`);
+    console.log('------------------------------------------------------------------------------------------');
+    console.log(`Total profiles: ${Object.keys(profiles).length}${config.defaultProfile ? ` (* default: ${config.defaultProfile})` : ''}`);
+    
+    if (config.encrypted) {
+      console.log('API keys are encrypted. Use \'cx-cli config unlock\' to store them in plain text.');
+    }
     
   } catch (error) {
-    console.error(`Error displaying configuration: ${error.message}`);
-    process.exit(1);
+    exitWithError(error, 'Error displaying configuration');
   }
 };
 
 module.exports = {
-  display
-};
\ No newline at end of file
+  display,
+  maskApiKey
+};
@@ -0,0 +1,248 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { loadContext } = require('../utils/context');
+const { debug } = require('../utils/debug');
+const { printOutput, getOutputFormat } = require('../utils/output');
+const { confirm } = require('../utils/prompt');
+const { requireOptions } = require('../utils/options');
+const { parseCsv } = require('../utils/csv');
+const { EXIT_CODES, exitWithError, ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Finds an application by ID or name
+ * @param {Array<Object>} applications - The domain's applications
+ * @param {string} reference - The application ID or name
+ * @returns {Object|undefined} The matching application
+ */
+const findApplication = (applications, reference) => {
+  return applications.find(app => String(app.id) === String(reference)) ||
+    applications.find(app => app.name === reference);
+};
+
+/**
+ * Loads the domain's applications and returns a resolver for application references
+ * @param {CloudonixClient} client - The client for the domain
+ * @returns {Promise<Function>} Resolves an application ID or name to the application name
+ */
+const createApplicationResolver = async (client) => {
+  const list = await client.applications.listAll();
+  const applications = Array.isArray(list) ? list : [];
+  debug(`Loaded ${applications.length} application(s) for resolving DNID links`);
+  
+  return (reference) => {
+    const application = findApplication(applications, reference);
+    if (!application) {
+      throw new NotFoundError(`Application '${reference}' not found in domain '${client.domain}'`);
+    }
+    return application.name;
+  };
+};
+
+/**
+ * Parses a true/false flag from the command line or a CSV column
+ * @param {string} name - The field name, for the error message
+ * @param {boolean|string} value - The value
+ * @returns {boolean} The flag
+ */
+const parseFlag = (name, value) => {
+  const text = String(value).trim().toLowerCase();
+  if (text !== 'true' && text !== 'false') {
+    throw new ValidationError(`Invalid ${name} '${value}'. Use true or false`);
+  }
+  return text === 'true';
+};
+
+/**
+ * Builds the DNID fields for the API
+ * @param {Object} fields - The DNID fields from the command line or a CSV row
+ * @param {Function} [resolveApplication] - Resolver for application references
+ * @returns {Object} The DNID fields
+ */
+const buildDnid = (fields, resolveApplication) => {
+  const { source, application } = fields;
+  const dnid = {};
+  
+  if (source) dnid.source = source;
+  if (application) dnid.application = resolveApplication(application);
+  ['prefix', 'expression', 'active'].forEach(name => {
+    if (fields[name] !== undefined && fields[name] !== '') {
+      dnid[name] = parseFlag(name, fields[name]);
+    }
+  });
+  
+  return dnid;
+};
+
+/**
+ * Creates a DNID in a domain
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.number - The DNID number or pattern
+ * @param {string} [options.application] - Application ID or name to route the DNID to
+ * @param {boolean} [options.prefix] - Match the number as a prefix
+ * @param {boolean} [options.expression] - Match the number as a regular expression
+ */
+const addDnid = async (options) => {
+  requireOptions(options, ['number']);
+  const { number, application, prefix, expression } = options;
+  
+  try {
+    const { client } = await loadContext(options);
+    const resolveApplication = application ? await createApplicationResolver(client) : null;
+    
+    const dnid = buildDnid({ source: number, application, prefix, expression }, resolveApplication);
+    const created = await client.dnids.create(dnid);
+    
+    printOutput(created, { title: `DNID ${number} Created`, resourceType: 'dnid' });
+  } catch (error) {
+    exitWithError(error, 'Error creating DNID');
+  }
+};
+
+/**
+ * Updates a DNID, e.g. to assign it to another application
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.dnid - The DNID ID
+ * @param {string} [options.application] - Application ID or name to route the DNID to
+ * @param {string} [options.active] - Whether the DNID is active (true/false)
+ */
+const editDnid = async (options) => {
+  requireOptions(options, ['dnid']);
+  const { dnid: dnidId, application, active } = options;
+  
+  if (application === undefined && active === undefined) {
+    exitWithError(new ValidationError('Nothing to update. Use --application or --active'));
+  }
+  
+  try {
+    const { client } = await loadContext(options);
+    const resolveApplication = application ? await createApplicationResolver(client) : null;
+    
+    const changes = buildDnid({ application, active }, resolveApplication);
+    const updated = await client.dnids.update(dnidId, changes);
+    
+    printOutput(updated, { title: `DNID ${dnidId} Updated`, resourceType: 'dnid' });
+  } catch (error) {
+    exitWithError(error, 'Error updating DNID');
+  }
+};
+
+/**
+ * Deletes (releases) a DNID after confirmation
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.dnid - The DNID ID
+ * @param {boolean} [options.yes] - Skip the confirmation prompt
+ */
+const removeDnid = async (options) => {
+  requireOptions(options, ['dnid']);
+  const { dnid: dnidId, yes } = options;
+  
+  try {
+    const { domain, client } = await loadContext(options);
+    
+    if (!yes) {
+      const confirmed = await confirm(`Release DNID '${dnidId}' from domain '${domain}'?`);
+      if (!confirmed) {
+        console.log('Aborted');
+        return;
+      }
+    }
+    
+    await client.dnids.delete(dnidId);
+    
+    console.log(`DNID '${dnidId}' has been released from domain '${domain}'`);
+  } catch (error) {
+    exitWithError(error, 'Error deleting DNID');
+  }
+};
+
+/**
+ * Creates many DNIDs from a CSV file and reports the result of every row.
+ * The file needs a header line with a `number` (or `source`) column and an
+ * optional `application` column holding an application ID or name; `prefix`,
+ * `expression` and `active` columns are also recognized.
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.file - Path to the CSV file
+ * @param {boolean} [options.dryRun] - Validate the rows without creating anything
+ */
+const importDnids = async (options) => {
+  requireOptions(options, ['file']);
+  const { file, dryRun } = options;
+  
+  try {
+    if (!(await fs.pathExists(file))) {
+      throw new ValidationError(`File '${file}' not found`);
+    }
+    
+    const rows = parseCsv(await fs.readFile(file, 'utf8'));
+    debug(`Read ${rows.length} row(s) from '${file}'`);
+    
+    if (rows.length === 0) {
+      throw new ValidationError(`No rows found in '${file}'`);
+    }
+    
+    const { client } = await loadContext(options);
+    const resolveApplication = await createApplicationResolver(client);
+    const showProgress = !getOutputFormat();
+    const results = [];
+    
+    for (const row of rows) {
+      const number = row.number || row.source;
+      const result = { line: row.line, number: number || '', application: row.application || '' };
+      
+      try {
+        if (!number) {
+          throw new ValidationError('Missing number');
+        }
+        
+        const dnid = buildDnid({ ...row, source: number }, resolveApplication);
+        
+        if (dryRun) {
+          result.status = 'valid';
+        } else {
+          const created = await client.dnids.create(dnid);
+          result.status = 'created';
+          result.id = created && created.id;
+        }
+        
+        if (showProgress) {
+          console.log(`${chalk.green('✔')} line ${row.line}: ${number} ${dryRun ? 'is valid' : 'created'}`);
+        }
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+        
+        if (showProgress) {
+          console.log(`${chalk.red('✘')} line ${row.line}: ${number || '(empty)'} - ${error.message}`);
+        }
+      }
+      
+      results.push(result);
+    }
+    
+    const failed = results.filter(result => result.status === 'failed').length;
+    
+    if (showProgress) {
+      const verb = dryRun ? 'valid' : 'created';
+      console.log(`\n${results.length - failed} ${verb}, ${failed} failed${dryRun ? ' (dry run, nothing was created)' : ''}`);
+    } else {
+      printOutput(results, { resourceType: 'import' });
+    }
+    
+    if (failed > 0) {
+      process.exitCode = EXIT_CODES.general;
+    }
+  } catch (error) {
+    exitWithError(error, 'Error importing DNIDs');
+  }
+};
+
+module.exports = {
+  addDnid,
+  editDnid,
+  removeDnid,
+  importDnids
+};
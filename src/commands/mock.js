@@ -0,0 +1,40 @@
+const chalk = require('chalk');
+const { loadFixtures, createMockServer, DEFAULT_FIXTURES } = require('../mock/server');
+const { exitWithError } = require('../utils/errors');
+
+/**
+ * Starts a local mock of the Cloudonix API serving recorded fixtures
+ * @param {Object} options - Command options
+ * @param {string} options.port - The port to listen on
+ * @param {string} options.host - The address to listen on
+ * @param {string} [options.fixtures] - Fixtures file or directory to serve instead of the bundled ones
+ * @param {boolean} [options.quiet] - Don't log requests
+ */
+const startMockServer = async (options) => {
+  const { host, quiet } = options;
+  const port = Number(options.port);
+  
+  try {
+    const fixtures = await loadFixtures(options.fixtures || DEFAULT_FIXTURES);
+    const server = createMockServer(fixtures, {
+      log: quiet ? undefined : (line) => console.log(chalk.dim(`${new Date().toISOString()} ${line}`))
+    });
+    
+    server.on('error', (error) => {
+      exitWithError(error, 'Error running mock server');
+    });
+    
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      console.log(chalk.bold(`Mock Cloudonix API listening on ${url}`));
+      console.log(`Serving fixtures from ${options.fixtures || DEFAULT_FIXTURES} for any domain and API key.`);
+      console.log(`Point the CLI at it with --api-url ${url} or CX_API_URL=${url}. Press Ctrl-C to stop.`);
+    });
+  } catch (error) {
+    exitWithError(error, 'Error starting mock server');
+  }
+};
+
+module.exports = {
+  startMockServer
+};
@@ -0,0 +1,21 @@
+const { setDefaultProfile } = require('../utils/config');
+const { exitWithError } = require('../utils/errors');
+
+/**
+ * Sets the default profile used when no --domain or --profile is given
+ * @param {Object} options - Command options
+ * @param {string} name - The profile name
+ */
+const useProfile = async (options, name) => {
+  try {
+    await setDefaultProfile(name);
+    
+    console.log(`Default profile set to '${name}'`);
+  } catch (error) {
+    exitWithError(error, 'Error setting default profile');
+  }
+};
+
+module.exports = {
+  useProfile
+};
@@ -0,0 +1,75 @@
+const { loadContext } = require('../utils/context');
+const { debug } = require('../utils/debug');
+const { printOutput, getOutputFormat } = require('../utils/output');
+const { requireOptions } = require('../utils/options');
+const { parseTimeOption, parseEndTimeOption } = require('../utils/time');
+const { matchesSessionFilters } = require('../utils/session');
+const { createProgress } = require('../utils/progress');
+const { createReport } = require('../utils/report');
+const { exitWithError, ValidationError } = require('../utils/errors');
+
+/**
+ * Computes call statistics for a time range, grouped by trunk, application, DNID or hour:
+ * call counts, ASR, ACD, total minutes and a breakdown of failure causes
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.from - Start of the time range
+ * @param {string} [options.to] - End of the time range, now by default
+ * @param {string} [options.groupBy] - What to group by: trunk, application, dnid or hour
+ * @param {string} [options.pageSize] - Number of sessions fetched per request
+ */
+const generateReport = async (options) => {
+  requireOptions(options, ['from']);
+  const groupBy = options.groupBy || 'trunk';
+  const pageSize = Number(options.pageSize || 100);
+  
+  try {
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new ValidationError('--page-size must be a positive integer');
+    }
+    
+    const from = parseTimeOption(options.from);
+    const to = options.to ? parseEndTimeOption(options.to) : new Date();
+    if (from > to) {
+      throw new ValidationError('--from must be before --to');
+    }
+    const report = createReport(groupBy);
+    
+    const { domain, client } = await loadContext(options);
+    debug(`Reporting sessions in domain '${domain}' from ${from.toISOString()} to ${to.toISOString()} by ${groupBy}`);
+    
+    // Sessions are counted page by page and then dropped, so memory use does not grow with the range
+    const progress = createProgress('sessions');
+    let counted = 0;
+    try {
+      const query = { from: from.toISOString(), to: to.toISOString() };
+      for await (const batch of client.sessions.iterate(query, { pageSize, onPage: progress.update })) {
+        batch.filter(session => matchesSessionFilters(session, { from, to })).forEach(session => {
+          report.add(session);
+          counted++;
+        });
+      }
+    } finally {
+      progress.done();
+    }
+    debug(`Counted ${counted} session(s)`);
+    
+    if (counted === 0 && !getOutputFormat()) {
+      console.log('No sessions found');
+      return;
+    }
+    
+    // Like calls list, a table is the most useful default
+    printOutput(report.rows(), {
+      title: `Traffic Report for Domain ${domain} by ${groupBy}`,
+      resourceType: 'report',
+      format: getOutputFormat() || 'table'
+    });
+  } catch (error) {
+    exitWithError(error, 'Error generating report');
+  }
+};
+
+module.exports = {
+  generateReport
+};
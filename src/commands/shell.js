@@ -0,0 +1,295 @@
+const path = require('path');
+const readline = require('readline');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { loadContext, setSessionSelection } = require('../utils/context');
+const { loadConfig, CONFIG_FILE } = require('../utils/config');
+const { setPromptInterface } = require('../utils/prompt');
+const { splitCommandLine, listConfigValues, listResourceValues, createCompleter } = require('../utils/shell');
+const { EXIT_CODES, CommandExit, exitWithError } = require('../utils/errors');
+
+const HISTORY_FILE = path.join(path.dirname(CONFIG_FILE), 'history');
+const HISTORY_SIZE = 1000;
+
+// Commands of the shell itself, next to the commands of cx-cli
+const BUILTINS = ['use', 'exit', 'quit'];
+
+// Commands that change nothing, so the resource names cached for completion stay valid
+const READ_ONLY_COMMANDS = ['get', 'call', 'calls', 'display', 'export', 'diff', 'backup', 'help'];
+
+// Lines holding credentials are not written to the history file
+const SECRET_OPTIONS = /--(apikey|sip-password)\b/;
+
+/**
+ * Reads the saved command history, newest first as readline expects it
+ * @returns {Promise<Array<string>>} The history
+ */
+const loadHistory = async () => {
+  if (!(await fs.pathExists(HISTORY_FILE))) {
+    return [];
+  }
+  
+  const lines = (await fs.readFile(HISTORY_FILE, 'utf8')).split('\n').filter(Boolean);
+  
+  // Keep the file from growing forever
+  if (lines.length > HISTORY_SIZE) {
+    lines.splice(0, lines.length - HISTORY_SIZE);
+    await fs.writeFile(HISTORY_FILE, `${lines.join('\n')}\n`, { mode: 0o600 });
+  }
+  
+  return lines.reverse();
+};
+
+/**
+ * Appends a command to the history file
+ * @param {string} line - The command line
+ */
+const saveHistory = async (line) => {
+  if (SECRET_OPTIONS.test(line)) {
+    return;
+  }
+  
+  try {
+    await fs.appendFile(HISTORY_FILE, `${line}\n`, { mode: 0o600 });
+  } catch (error) {
+    // History is a convenience; failing to save it must not break the shell
+  }
+};
+
+/**
+ * Runs one command line with the program's grammar. Exiting the process is turned into
+ * an exception for the duration of the command, so errors end the command but not the shell.
+ * @param {Object} program - The Commander program
+ * @param {Array<string>} args - The command line words
+ * @returns {Promise<number>} The exit code of the command
+ */
+const runCommand = async (program, args) => {
+  const exit = process.exit;
+  process.exit = (code) => {
+    throw new CommandExit(code);
+  };
+  
+  try {
+    await program.parseAsync(args, { from: 'user' });
+    return process.exitCode || EXIT_CODES.success;
+  } catch (error) {
+    if (error instanceof CommandExit) {
+      return error.exitCode || EXIT_CODES.success;
+    }
+    console.error(`Error: ${error.message}`);
+    return EXIT_CODES.general;
+  } finally {
+    process.exit = exit;
+    process.exitCode = undefined;
+  }
+};
+
+/**
+ * Builds the global options the shell was started with, so every command runs with them
+ * @param {Object} options - The shell's options
+ * @returns {Array<string>} The options as command line words
+ */
+const sessionArguments = (options) => {
+  const args = [];
+  if (options.debug) {
+    args.push('--debug');
+  }
+  [['--log-level', options.logLevel], ['--debug-file', options.debugFile], ['--record', options.record], ['--replay', options.replay], ['--output', options.output], ['--api-url', options.apiUrl], ['--timeout', options.timeout], ['--retries', options.retries]]
+    .filter(([, value]) => value !== undefined)
+    .forEach(([flag, value]) => args.push(flag, String(value)));
+  return args;
+};
+
+/**
+ * Opens an interactive shell for running cx-cli commands against a selected domain.
+ * Commands use the same grammar as on the command line, without the cx-cli prefix.
+ * @param {Object} program - The Commander program, used to run the commands
+ * @param {Object} options - Command options
+ * @param {string} [options.profile] - The profile to start with
+ * @param {string} [options.domain] - The domain to start with
+ */
+const startShell = async (program, options) => {
+  const globalArgs = sessionArguments(options);
+  const valueCache = new Map();
+  let context = null;
+  let lastStatus = EXIT_CODES.success;
+  
+  /**
+   * Makes a profile or domain the one commands run against
+   * @param {Object} selection - The profile or domain to select
+   */
+  const selectContext = async (selection) => {
+    context = await loadContext({ ...options, ...selection });
+    setSessionSelection(context.name === 'environment' ? { domain: context.domain } : { profile: context.name });
+    valueCache.clear();
+  };
+  
+  try {
+    await selectContext({});
+  } catch (error) {
+    // Without a configured domain the shell still runs, e.g. to configure one
+    if (options.profile || options.domain) {
+      exitWithError(error, 'Error starting shell');
+    }
+    console.error(chalk.yellow(`${error.message}\n`));
+  }
+  
+  /**
+   * Lists the values offered when completing an option or the argument of a builtin
+   * @param {string} flag - The option, e.g. --trunk, or the builtin
+   * @returns {Promise<Array<string>>} The values
+   */
+  const getValues = async (flag) => {
+    const configValues = await listConfigValues(flag === 'use' ? '--profile' : flag);
+    if (flag === 'use') {
+      return [...configValues, ...(await listConfigValues('--domain'))];
+    }
+    if (configValues || !context) {
+      return configValues || [];
+    }
+    
+    // Names and IDs are fetched once and reused until a command may have changed them
+    if (!valueCache.has(flag)) {
+      const { client } = await loadContext({});
+      valueCache.set(flag, (await listResourceValues(flag, client)) || []);
+    }
+    return valueCache.get(flag);
+  };
+  
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+    completer: createCompleter(program, { builtins: BUILTINS, getValues }),
+    history: await loadHistory(),
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true
+  });
+  setPromptInterface(rl);
+  
+  // Commands piped in are run without showing prompts
+  const interactive = Boolean(process.stdin.isTTY);
+  const showPrompt = () => {
+    if (interactive) {
+      rl.setPrompt(context ? `${chalk.cyan(`cx:${context.domain}`)}> ` : 'cx> ');
+      rl.prompt();
+    }
+  };
+  
+  let running = false;
+  let closed = false;
+  let exited = false;
+  let pending = Promise.resolve();
+  
+  /**
+   * Runs one line typed in the shell
+   * @param {string} line - The line
+   */
+  const handleLine = async (line) => {
+    // Lines piped in after exit are not run
+    if (exited) {
+      return;
+    }
+    
+    let words;
+    try {
+      words = splitCommandLine(line);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      return;
+    }
+    
+    if (words.length === 0) {
+      return;
+    }
+    if (!line.startsWith(' ')) {
+      await saveHistory(line.trim());
+    }
+    
+    const [name, ...rest] = words;
+    
+    if (name === 'exit' || name === 'quit') {
+      lastStatus = rest.length > 0 ? Number(rest[0]) || EXIT_CODES.success : lastStatus;
+      exited = true;
+      rl.close();
+      return;
+    }
+    
+    if (name === 'use') {
+      if (rest.length !== 1) {
+        console.error('Usage: use <profile|domain>');
+        return;
+      }
+      try {
+        const { profiles } = await loadConfig({ decrypt: false });
+        await selectContext(profiles[rest[0]] ? { profile: rest[0], domain: undefined } : { profile: undefined, domain: rest[0] });
+        console.error(`Using domain '${context.domain}' (profile '${context.name}')`);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+      }
+      return;
+    }
+    
+    if (name === 'shell') {
+      console.error('Already in the cx-cli shell');
+      return;
+    }
+    
+    running = true;
+    lastStatus = await runCommand(program, [...globalArgs, ...words]);
+    running = false;
+    
+    if (!READ_ONLY_COMMANDS.includes(name)) {
+      valueCache.clear();
+    }
+  };
+  
+  // Ctrl-C interrupts a running command that handles it, e.g. call --follow, or clears the line
+  rl.on('SIGINT', () => {
+    if (!running) {
+      rl.write(null, { ctrl: true, name: 'e' });
+      rl.write(null, { ctrl: true, name: 'u' });
+      process.stderr.write('\n');
+      showPrompt();
+    } else if (process.listenerCount('SIGINT') > 0) {
+      try {
+        process.emit('SIGINT');
+      } catch (error) {
+        if (!(error instanceof CommandExit)) {
+          throw error;
+        }
+      }
+    } else {
+      console.error(chalk.dim('Waiting for the command to finish...'));
+    }
+  });
+  
+  if (interactive) {
+    console.error(`cx-cli shell. Type commands without 'cx-cli', e.g. ${chalk.bold('get --trunk')}. ` +
+      `'help' lists the commands, 'use <profile|domain>' switches domains, 'exit' quits.`);
+  }
+  
+  showPrompt();
+  
+  // Lines are run one at a time, in the order they were typed
+  await new Promise((resolve) => {
+    rl.on('line', (line) => {
+      pending = pending.then(() => handleLine(line)).then(() => {
+        if (!closed) {
+          showPrompt();
+        }
+      });
+    });
+    rl.on('close', () => {
+      closed = true;
+      pending.then(resolve);
+    });
+  });
+  
+  setPromptInterface(null);
+  setSessionSelection(null);
+  process.exitCode = lastStatus;
+};
+
+module.exports = {
+  startShell
+};
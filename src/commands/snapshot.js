@@ -0,0 +1,171 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const { loadContext } = require('../utils/context');
+const { debug } = require('../utils/debug');
+const { getOutputFormat, printOutput } = require('../utils/output');
+const { requireOptions } = require('../utils/options');
+const { confirm } = require('../utils/prompt');
+const { loadConfig } = require('../utils/config');
+const { exitWithError } = require('../utils/errors');
+const {
+  takeSnapshot,
+  formatSnapshot,
+  readSnapshot,
+  readDomain,
+  computePlan,
+  summarizePlan,
+  formatPlan,
+  applyPlan,
+  diffSnapshots,
+  formatSnapshotDiff
+} = require('../utils/snapshot');
+
+/**
+ * Prints a snapshot of a domain's configuration: settings, applications, trunks,
+ * subscribers and DNIDs, with secrets redacted
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ */
+const exportDomain = async (options) => {
+  try {
+    const { domain, client } = await loadContext(options);
+    
+    debug(`Exporting domain '${domain}'`);
+    const snapshot = await takeSnapshot(client);
+    
+    // Snapshots are meant to be stored in files, so only plain YAML or JSON is written
+    console.log(formatSnapshot(snapshot, getOutputFormat() === 'json' ? 'json' : 'yaml').trimEnd());
+  } catch (error) {
+    exitWithError(error, 'Error exporting domain');
+  }
+};
+
+/**
+ * Makes a live domain match a snapshot file: shows the plan of creations, updates
+ * and deletions, and applies it after confirmation
+ * @param {Object} options - Command options
+ * @param {string} options.file - The snapshot file (YAML or JSON)
+ * @param {string} [options.domain] - The domain name. Defaults to the domain in the file
+ * @param {boolean} [options.yes] - Apply without asking for confirmation
+ * @param {boolean} [options.dryRun] - Only show the plan
+ */
+const applySnapshot = async (options) => {
+  requireOptions(options, ['file']);
+  const { file, yes, dryRun } = options;
+  
+  try {
+    const desired = await readSnapshot(file);
+    const { domain, client } = await loadContext({ ...options, domain: options.domain || desired.domain });
+    
+    debug(`Planning changes to domain '${domain}' from '${file}'`);
+    const { snapshot: current, ids } = await readDomain(client);
+    const plan = computePlan(desired, current, ids);
+    
+    // Machine-readable formats print the plan itself, e.g. for review bots
+    if (getOutputFormat()) {
+      printOutput(plan.map(({ action, type, key, changes }) => ({ action, type, key, changes })), { resourceType: 'plan' });
+    }
+    
+    if (plan.length === 0) {
+      console.error(`No changes. Domain '${domain}' matches '${file}'.`);
+      return;
+    }
+    
+    if (!getOutputFormat()) {
+      console.log(formatPlan(plan, domain));
+    }
+    
+    if (dryRun) {
+      return;
+    }
+    
+    if (!yes) {
+      const confirmed = await confirm(`\nApply these changes to domain '${domain}'?`);
+      if (!confirmed) {
+        console.error('Aborted');
+        return;
+      }
+    }
+    
+    const labels = { create: 'Created', update: 'Updated', delete: 'Deleted' };
+    let applied = 0;
+    
+    try {
+      await applyPlan(client, plan, ({ action, type, key }) => {
+        applied++;
+        console.error(`${chalk.green('✓')} ${labels[action]} ${type === 'settings' ? 'domain settings' : `${type} '${key}'`}`);
+      });
+    } catch (error) {
+      console.error(chalk.yellow(`Stopped after ${applied} of ${plan.length} changes.`));
+      throw error;
+    }
+    
+    const { create, update, delete: remove } = summarizePlan(plan);
+    console.error(chalk.bold(`\nApply complete: ${create} added, ${update} changed, ${remove} destroyed.`));
+  } catch (error) {
+    exitWithError(error, 'Error applying configuration');
+  }
+};
+
+/**
+ * Loads one side of a comparison: a snapshot file, or the live configuration of a profile or domain
+ * @param {string} reference - A file path, profile name or domain name
+ * @param {Object} options - Command options, for the global settings
+ * @returns {Promise<{snapshot: Object, label: string}>} The snapshot and a name to show for it
+ */
+const loadComparisonSide = async (reference, options) => {
+  if (await fs.pathExists(reference)) {
+    return { snapshot: await readSnapshot(reference), label: reference };
+  }
+  
+  // Only the profile names are needed here, so a locked configuration stays locked
+  const config = await loadConfig({ decrypt: false });
+  const selection = config.profiles[reference] ? { profile: reference, domain: undefined } : { profile: undefined, domain: reference };
+  const { domain, client } = await loadContext({ ...options, ...selection });
+  
+  debug(`Reading domain '${domain}' for comparison`);
+  return { snapshot: await takeSnapshot(client), label: domain };
+};
+
+/**
+ * Compares the configuration of a domain with another domain or a snapshot file,
+ * matching resources by name and ignoring IDs and timestamps
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.against - The domain, profile or snapshot file to compare with
+ * @param {boolean} [options.exitCode] - Exit with code 1 when there are differences
+ */
+const diffDomains = async (options) => {
+  requireOptions(options, ['against']);
+  const { against, exitCode } = options;
+  
+  try {
+    // The --against side is the baseline, so the output reads as what the domain changes
+    const { domain, client } = await loadContext(options);
+    debug(`Reading domain '${domain}' for comparison`);
+    const current = await takeSnapshot(client);
+    const baseline = await loadComparisonSide(against, options);
+    
+    const differences = diffSnapshots(baseline.snapshot, current);
+    
+    if (getOutputFormat()) {
+      printOutput(differences, { resourceType: 'difference' });
+    } else if (differences.length === 0) {
+      console.log(`No differences between ${baseline.label} and ${domain}`);
+    } else {
+      console.log(formatSnapshotDiff(differences, baseline.label, domain));
+    }
+    
+    if (exitCode && differences.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    exitWithError(error, 'Error comparing domains');
+  }
+};
+
+module.exports = {
+  exportDomain,
+  applySnapshot,
+  diffDomains
+};
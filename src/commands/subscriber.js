@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { loadContext } = require('../utils/context');
+const { debug } = require('../utils/debug');
+const { printOutput } = require('../utils/output');
+const { confirm } = require('../utils/prompt');
+const { requireOptions } = require('../utils/options');
+const { exitWithError, ValidationError } = require('../utils/errors');
+
+/**
+ * Generates a random SIP password
+ * @param {number} [length=20] - The password length
+ * @returns {string} The generated password
+ */
+const generateSipPassword = (length = 20) => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+};
+
+/**
+ * Creates a subscriber in a domain
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.msisdn - The subscriber MSISDN
+ * @param {string} [options.sipPassword] - The SIP password. Generated if not provided
+ * @param {Object} [options.field] - Subscriber profile fields, from --field key=value
+ */
+const addSubscriber = async (options) => {
+  requireOptions(options, ['msisdn']);
+  const { msisdn, sipPassword, field } = options;
+  
+  try {
+    const { client } = await loadContext(options);
+    
+    const password = sipPassword || generateSipPassword();
+    const subscriber = { msisdn, 'sip-password': password };
+    if (field) {
+      subscriber.profile = field;
+    }
+    
+    const created = await client.subscribers.create(subscriber);
+    
+    printOutput(created, { title: `Subscriber ${msisdn} Created`, resourceType: 'subscriber' });
+    
+    if (!sipPassword) {
+      console.error(chalk.yellow(`Generated SIP password: ${password}`));
+    }
+  } catch (error) {
+    exitWithError(error, 'Error creating subscriber');
+  }
+};
+
+/**
+ * Updates a subscriber in a domain
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.subscriber - The subscriber ID or MSISDN
+ * @param {string} [options.sipPassword] - A new SIP password
+ * @param {Object} [options.field] - Subscriber profile fields to set, from --field key=value. Other profile fields are kept
+ * @param {string} [options.active] - Whether the subscriber is active (true/false)
+ */
+const editSubscriber = async (options) => {
+  requireOptions(options, ['subscriber']);
+  const { subscriber, sipPassword, field, active } = options;
+  
+  const changes = {};
+  if (sipPassword) {
+    changes['sip-password'] = sipPassword;
+  }
+  if (active !== undefined) {
+    if (active !== 'true' && active !== 'false') {
+      exitWithError(new ValidationError(`Invalid value '${active}' for --active. Use true or false`));
+    }
+    changes.active = active === 'true';
+  }
+  
+  if (!field && Object.keys(changes).length === 0) {
+    exitWithError(new ValidationError('Nothing to update. Use --sip-password, --field or --active'));
+  }
+  
+  try {
+    const { client } = await loadContext(options);
+    
+    if (field) {
+      // The API replaces the whole profile, so keep the fields that are not being set
+      const current = await client.subscribers.get(subscriber);
+      changes.profile = { ...(current.profile || {}), ...field };
+    }
+    
+    debug(`Updating subscriber '${subscriber}' with fields: ${Object.keys(changes).join(', ')}`);
+    const updated = await client.subscribers.update(subscriber, changes);
+    
+    printOutput(updated, { title: `Subscriber ${subscriber} Updated`, resourceType: 'subscriber' });
+  } catch (error) {
+    exitWithError(error, 'Error updating subscriber');
+  }
+};
+
+/**
+ * Generates and sets a new SIP password for a subscriber
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.subscriber - The subscriber ID or MSISDN
+ * @param {string} [options.sipPassword] - The new SIP password. Generated if not provided
+ */
+const resetSubscriberCredentials = async (options) => {
+  requireOptions(options, ['subscriber']);
+  const { subscriber, sipPassword } = options;
+  
+  try {
+    const { client } = await loadContext(options);
+    
+    const password = sipPassword || generateSipPassword();
+    const updated = await client.subscribers.update(subscriber, { 'sip-password': password });
+    
+    printOutput(updated, { title: `Credentials Reset for Subscriber ${subscriber}`, resourceType: 'subscriber' });
+    
+    if (!sipPassword) {
+      console.error(chalk.yellow(`Generated SIP password: ${password}`));
+    }
+  } catch (error) {
+    exitWithError(error, 'Error resetting subscriber credentials');
+  }
+};
+
+/**
+ * Deletes a subscriber from a domain after confirmation
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.subscriber - The subscriber ID or MSISDN
+ * @param {boolean} [options.yes] - Skip the confirmation prompt
+ */
+const removeSubscriber = async (options) => {
+  requireOptions(options, ['subscriber']);
+  const { subscriber, yes } = options;
+  
+  try {
+    const { domain, client } = await loadContext(options);
+    
+    if (!yes) {
+      const confirmed = await confirm(`Delete subscriber '${subscriber}' from domain '${domain}'?`);
+      if (!confirmed) {
+        console.log('Aborted');
+        return;
+      }
+    }
+    
+    await client.subscribers.delete(subscriber);
+    
+    console.log(`Subscriber '${subscriber}' has been deleted from domain '${domain}'`);
+  } catch (error) {
+    exitWithError(error, 'Error deleting subscriber');
+  }
+};
+
+module.exports = {
+  addSubscriber,
+  editSubscriber,
+  resetSubscriberCredentials,
+  removeSubscriber
+};
@@ -0,0 +1,178 @@
+const chalk = require('chalk');
+const { loadContext } = require('../utils/context');
+const { debug } = require('../utils/debug');
+const { printOutput } = require('../utils/output');
+const { confirm } = require('../utils/prompt');
+const { requireOptions } = require('../utils/options');
+const { isValidHost, isValidPort } = require('../utils/validate');
+const { diffObjects, formatChanges } = require('../utils/diff');
+const { exitWithError, ValidationError } = require('../utils/errors');
+
+const TRANSPORTS = ['udp', 'tcp', 'tls'];
+const DIRECTIONS = ['inbound', 'outbound', 'public-inbound', 'public-outbound'];
+
+/**
+ * Builds the trunk fields to send to the API and validates them before any request is made
+ * @param {Object} options - Command options
+ * @returns {Object} The trunk fields
+ */
+const buildTrunk = (options) => {
+  const { name, ip, port, transport, direction, prefix, header } = options;
+  const trunk = {};
+  
+  if (name) trunk.name = name;
+  
+  if (ip !== undefined) {
+    if (!isValidHost(ip)) {
+      throw new ValidationError(`Invalid --ip '${ip}'. Expected an IPv4/IPv6 address or a hostname`);
+    }
+    trunk.ip = ip;
+  }
+  
+  if (port !== undefined) {
+    if (!isValidPort(port)) {
+      throw new ValidationError(`Invalid --port '${port}'. Expected a number between 1 and 65535`);
+    }
+    trunk.port = Number(port);
+  }
+  
+  if (transport !== undefined) {
+    if (!TRANSPORTS.includes(transport.toLowerCase())) {
+      throw new ValidationError(`Invalid --transport '${transport}'. Use one of: ${TRANSPORTS.join(', ')}`);
+    }
+    trunk.transport = transport.toLowerCase();
+  }
+  
+  if (direction !== undefined) {
+    if (!DIRECTIONS.includes(direction.toLowerCase())) {
+      throw new ValidationError(`Invalid --direction '${direction}'. Use one of: ${DIRECTIONS.join(', ')}`);
+    }
+    trunk.direction = direction.toLowerCase();
+  }
+  
+  if (prefix !== undefined) trunk.prefix = prefix;
+  if (header) {
+    // SIP header values are collected raw, so they are sent exactly as typed
+    trunk.headers = { ...header };
+  }
+  
+  return trunk;
+};
+
+/**
+ * Creates a trunk in a domain
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.name - The trunk name
+ * @param {string} options.ip - The trunk IP address or hostname
+ * @param {string} [options.port] - The trunk SIP port
+ * @param {string} [options.transport] - The SIP transport (udp, tcp, tls)
+ * @param {string} [options.direction] - The trunk direction
+ * @param {string} [options.prefix] - Number prefix for the trunk
+ * @param {Object} [options.header] - Custom SIP headers
+ */
+const addTrunk = async (options) => {
+  requireOptions(options, ['name', 'ip']);
+  const { name } = options;
+  
+  try {
+    const trunk = buildTrunk(options);
+    const { client } = await loadContext(options);
+    
+    const created = await client.trunks.create(trunk);
+    
+    printOutput(created, { title: `Trunk ${name} Created`, resourceType: 'trunk' });
+  } catch (error) {
+    exitWithError(error, 'Error creating trunk');
+  }
+};
+
+/**
+ * Updates a trunk in a domain, showing the changed values and asking for confirmation first
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.trunk - The trunk ID or name
+ * @param {boolean} [options.yes] - Skip the confirmation prompt
+ */
+const editTrunk = async (options) => {
+  requireOptions(options, ['trunk']);
+  const { trunk: trunkId, yes } = options;
+  
+  try {
+    const changes = buildTrunk(options);
+    
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError('Nothing to update. Use --name, --ip, --port, --transport, --direction, --prefix or --header');
+    }
+    
+    const { client } = await loadContext(options);
+    
+    // Show what will change compared to the current trunk
+    const current = await client.trunks.get(trunkId);
+    const currentFields = {};
+    Object.keys(changes).forEach(key => {
+      currentFields[key] = current ? current[key] : undefined;
+    });
+    const diff = diffObjects(currentFields, changes);
+    debug(`Trunk '${trunkId}' has ${diff.length} changed field(s)`);
+    
+    if (diff.length === 0) {
+      console.error(`Trunk '${trunkId}' already has these values, nothing to update`);
+      return;
+    }
+    
+    console.error(chalk.bold(`\nChanges to trunk '${trunkId}':\n`));
+    console.error(formatChanges(diff));
+    console.error('');
+    
+    if (!yes) {
+      const confirmed = await confirm('Apply these changes?');
+      if (!confirmed) {
+        console.log('Aborted');
+        return;
+      }
+    }
+    
+    const updated = await client.trunks.update(trunkId, changes);
+    
+    printOutput(updated, { title: `Trunk ${trunkId} Updated`, resourceType: 'trunk' });
+  } catch (error) {
+    exitWithError(error, 'Error updating trunk');
+  }
+};
+
+/**
+ * Deletes a trunk from a domain after confirmation
+ * @param {Object} options - Command options
+ * @param {string} [options.domain] - The domain name
+ * @param {string} options.trunk - The trunk ID or name
+ * @param {boolean} [options.yes] - Skip the confirmation prompt
+ */
+const removeTrunk = async (options) => {
+  requireOptions(options, ['trunk']);
+  const { trunk: trunkId, yes } = options;
+  
+  try {
+    const { domain, client } = await loadContext(options);
+    
+    if (!yes) {
+      const confirmed = await confirm(`Delete trunk '${trunkId}' from domain '${domain}'?`);
+      if (!confirmed) {
+        console.log('Aborted');
+        return;
+      }
+    }
+    
+    await client.trunks.delete(trunkId);
+    
+    console.log(`Trunk '${trunkId}' has been deleted from domain '${domain}'`);
+  } catch (error) {
+    exitWithError(error, 'Error deleting trunk');
+  }
+};
+
+module.exports = {
+  addTrunk,
+  editTrunk,
+  removeTrunk
+};
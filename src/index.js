@@ -5,50 +5,175 @@ const { configure } = require('./commands/configure');
 const { deleteDomain } = require('./commands/delete');
 const { display } = require('./commands/display');
 const { getDomain } = require('./commands/get');
-const { getCallInfo } = require('./commands/call');
+const { getCallInfo, analyzeCall } = require('./commands/call');
+const { listCalls } = require('./commands/calls');
+const { generateReport } = require('./commands/report');
+const { addSubscriber, editSubscriber, resetSubscriberCredentials, removeSubscriber } = require('./commands/subscriber');
+const { addApplication, editApplication, removeApplication } = require('./commands/application');
+const { addTrunk, editTrunk, removeTrunk } = require('./commands/trunk');
+const { addDnid, editDnid, removeDnid, importDnids } = require('./commands/dnid');
+const { useProfile } = require('./commands/profile');
+const { lock, unlock } = require('./commands/config');
+const { startMockServer } = require('./commands/mock');
+const { exportDomain, applySnapshot, diffDomains } = require('./commands/snapshot');
+const { backupDomain, restoreDomain } = require('./commands/backup');
+const { startShell } = require('./commands/shell');
+const { exportHar } = require('./commands/cassette');
+const { printCompletion, completeWords } = require('./commands/completion');
 const package = require('../package.json');
-const { enableDebug } = require('./utils/debug');
+const { LOG_LEVELS, enableDebug, setLogLevel, setLogFile } = require('./utils/debug');
+const { setApiBaseUrl, setRequestSettings } = require('./utils/api');
+const { startRecording, startReplay } = require('./utils/cassette');
+const { REPORT_GROUPS } = require('./utils/report');
+const { setOutputFormat, configureColor, OUTPUT_FORMATS } = require('./utils/output');
+const { collectKeyValue, collectRawKeyValue, parseSeconds, parseCount } = require('./utils/options');
+const { EXIT_CODES, ValidationError, exitWithError } = require('./utils/errors');
 
 program
   .name('cx-cli')
   .description('Cloudonix CLI tool for managing accounts and resources')
   .version(package.version)
-  .option('--debug', 'Enable debug mode to show API requests and responses');
+  .option('--debug', 'Enable debug mode to show API requests and responses, same as --log-level debug')
+  .option('--log-level <level>', `Log level on stderr (${LOG_LEVELS.join(', ')}, or set CX_LOG_LEVEL). Defaults to warn`)
+  .option('--debug-file <path>', 'Also write the log, at least at the debug level, to a file as JSON lines')
+  .option('--record <file>', 'Record every API request and response, secrets redacted, to a cassette file')
+  .option('--replay <file>', 'Answer API requests from a recorded cassette instead of the network')
+  .option('--output <format>', `Output format (${OUTPUT_FORMATS.join(', ')}). Defaults to colored YAML`)
+  .option('--profile <name>', 'Configuration profile to use (or set CX_PROFILE)')
+  .option('--api-url <url>', 'API base URL (or set CX_API_URL). Overrides the profile setting')
+  .option('--timeout <seconds>', 'Request timeout in seconds, 0 for none (or set CX_TIMEOUT). Defaults to 30', parseSeconds)
+  .option('--retries <count>', 'Retries for failed idempotent or rate-limited requests (or set CX_RETRIES). Defaults to 3', parseCount)
+  // Usage errors (unknown options, invalid values) exit like other validation errors.
+  // Set before adding commands so every subcommand inherits it.
+  .exitOverride((error) => {
+    process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.validation);
+  });
 
 // Helper function for applying debug option
 const withDebug = (fn) => {
-  return (options, command) => {
-    // Get access to the global --debug flag
-    const globalOptions = command.parent.opts();
+  return (...args) => {
+    // Commander passes positional arguments first, then the options and the command
+    const command = args[args.length - 1];
+    const positional = args.slice(0, -2);
     
-    // If debug mode is enabled, set it in our debug utility
+    // Get access to the global flags, also from nested subcommands
+    const globalOptions = command.optsWithGlobals();
+    
+    // Set up logging first, so everything after it can be logged. Secrets are always redacted.
+    try {
+      const logLevel = globalOptions.logLevel || process.env.CX_LOG_LEVEL;
+      if (logLevel) {
+        setLogLevel(logLevel);
+      }
+    } catch (error) {
+      exitWithError(new ValidationError(error.message));
+    }
     if (globalOptions.debug) {
       enableDebug();
     }
+    if (globalOptions.debugFile) {
+      try {
+        setLogFile(globalOptions.debugFile);
+      } catch (error) {
+        exitWithError(error, 'Error opening the debug file');
+      }
+    }
+    
+    // Recording and replay apply to all API clients, so they are set up before any request
+    if (globalOptions.record && globalOptions.replay) {
+      exitWithError(new ValidationError('Use either --record or --replay, not both'));
+    }
+    try {
+      if (globalOptions.record) {
+        startRecording(globalOptions.record);
+      }
+      if (globalOptions.replay) {
+        startReplay(globalOptions.replay);
+      }
+    } catch (error) {
+      exitWithError(error, 'Error opening the cassette');
+    }
+    
+    // Apply the global --output format and turn colors off when not on a terminal
+    try {
+      setOutputFormat(globalOptions.output);
+    } catch (error) {
+      exitWithError(new ValidationError(error.message));
+    }
+    configureColor();
+    
+    // An explicit API base URL wins over the one stored in the profile
+    if (globalOptions.apiUrl || process.env.CX_API_URL) {
+      setApiBaseUrl(globalOptions.apiUrl || process.env.CX_API_URL);
+    }
+    
+    // The same goes for the timeout and retry settings
+    try {
+      const { CX_TIMEOUT, CX_RETRIES } = process.env;
+      setRequestSettings({
+        timeout: globalOptions.timeout !== undefined ? globalOptions.timeout : (CX_TIMEOUT ? parseSeconds(CX_TIMEOUT) : undefined),
+        retries: globalOptions.retries !== undefined ? globalOptions.retries : (CX_RETRIES ? parseCount(CX_RETRIES) : undefined)
+      });
+    } catch (error) {
+      exitWithError(new ValidationError(error.message));
+    }
     
-    // Pass options to the command function
-    fn(options);
+    // Pass options, including the global ones, and positional arguments to the command function.
+    // Returning the result lets the shell wait for the command to finish.
+    return fn(globalOptions, ...positional);
   };
 };
 
 program
   .command('configure')
-  .description('Configure a Cloudonix domain with API key')
+  .description('Configure a Cloudonix domain with API key as a named profile. Without options, asks for the settings')
   .option('--domain <domain>', 'Domain name')
-  .option('--apikey <apiKey>', 'API key for the domain')
+  .option('--apikey <apiKey>', 'API key for the domain. Prefer --apikey-stdin or the prompt, which keep it out of your shell history')
+  .option('--apikey-stdin', 'Read the API key from stdin')
+  .option('--default-output <format>', 'Default output format for this profile')
+  .option('--default', 'Make this the default profile')
+  .option('-y, --yes', 'Replace an existing profile with another API key without asking')
   .action(withDebug(configure));
 
 program
   .command('delete')
-  .description('Delete a domain from the configuration')
+  .description('Delete a profile, or all profiles of a domain, from the configuration')
   .option('--domain <domain>', 'Domain name to delete')
   .action(withDebug(deleteDomain));
 
 program
   .command('display')
-  .description('Display all configured domains')
+  .description('Display all configured profiles')
+  .action(withDebug(display));
+
+const profileCommand = program
+  .command('profile')
+  .description('Manage configuration profiles');
+
+profileCommand
+  .command('use <name>')
+  .description('Set the default profile used when no --domain or --profile is given')
+  .action(withDebug(useProfile));
+
+profileCommand
+  .command('list')
+  .description('List configured profiles')
   .action(withDebug(display));
 
+const configCommand = program
+  .command('config')
+  .description('Manage the configuration file');
+
+configCommand
+  .command('lock')
+  .description('Encrypt the stored API keys with a passphrase (or CX_PASSPHRASE)')
+  .action(withDebug(lock));
+
+configCommand
+  .command('unlock')
+  .description('Decrypt the stored API keys and store them in plain text')
+  .action(withDebug(unlock));
+
 program
   .command('get')
   .description('Get detailed information about a specific domain, subscribers, applications, trunks, or DNIDs')
@@ -57,14 +182,287 @@ program
   .option('--application [application-id]', 'Get application information. If no application ID is provided, get all applications')
   .option('--trunk [trunk-id]', 'Get trunk information. If no trunk ID is provided, get all trunks')
   .option('--dnid [dnid-id]', 'Get DNID information. If no DNID ID is provided, get all DNIDs')
+  .option('--limit <count>', 'When listing, return at most this many items (the page size with --page)')
+  .option('--page <number>', 'When listing, return only this page')
+  .option('--all', 'When listing, follow pagination to return every item (the default)')
   .action(withDebug(getDomain));
   
-program
+const callCommand = program
   .command('call')
   .description('Get detailed information about a call session')
   .option('--domain <domain>', 'Domain name')
   .option('--session <session-id>', 'ID of the call session to retrieve')
   .option('--log', 'Show only the log object from the response')
+  .option('--follow', 'Keep polling the session and print new log entries and events until it ends')
+  .option('--interval <seconds>', 'Polling interval for --follow', '2')
+  .option('--timeline [format]', 'Show the call flow as a ladder diagram (ascii, mermaid or html)')
   .action(withDebug(getCallInfo));
 
+callCommand
+  .command('analyze')
+  .description('Classify how a call ended and why, with SIP responses, timings and the relevant log lines')
+  .option('--domain <domain>', 'Domain name')
+  .option('--session <session-id>', 'ID of the call session to analyze')
+  .action(withDebug(analyzeCall));
+
+const callsCommand = program
+  .command('calls')
+  .description('Search call sessions in a domain');
+
+callsCommand
+  .command('list')
+  .description('List call sessions by time range, caller, callee or status')
+  .option('--domain <domain>', 'Domain name')
+  .option('--from <time>', 'Start of the time range (ISO date/time or relative, e.g. 2h, 7d)')
+  .option('--to <time>', 'End of the time range (ISO date/time, "now" or relative). A date alone includes the whole day')
+  .option('--caller <caller-id>', 'Only sessions whose caller ID contains this value')
+  .option('--callee <destination>', 'Only sessions whose destination contains this value')
+  .option('--status <status>', 'Only sessions with this status')
+  .option('--max <count>', 'Maximum number of sessions to list', '100')
+  .option('--page-size <count>', 'Number of sessions fetched per request', '50')
+  .action(withDebug(listCalls));
+
+program
+  .command('report')
+  .description('Call statistics per trunk, application, DNID or hour: counts, ASR, ACD, minutes and failure causes')
+  .option('--domain <domain>', 'Domain name')
+  .option('--from <time>', 'Start of the time range (ISO date/time or relative, e.g. 7d)')
+  .option('--to <time>', 'End of the time range (ISO date/time, "now" or relative). A date alone includes the whole day. Defaults to now')
+  .option('--group-by <group>', `What to group sessions by (${REPORT_GROUPS.join(', ')})`, 'trunk')
+  .option('--page-size <count>', 'Number of sessions fetched per request', '100')
+  .action(withDebug(generateReport));
+
+const subscriberCommand = program
+  .command('subscriber')
+  .description('Create, update and delete subscribers in a domain');
+
+subscriberCommand
+  .command('create')
+  .description('Create a subscriber')
+  .option('--domain <domain>', 'Domain name')
+  .option('--msisdn <msisdn>', 'Subscriber MSISDN')
+  .option('--sip-password <password>', 'SIP password. A random password is generated if not provided')
+  .option('--field <key=value>', 'Set a field of the subscriber profile (repeatable)', collectKeyValue)
+  .action(withDebug(addSubscriber));
+
+subscriberCommand
+  .command('update')
+  .description('Update a subscriber')
+  .option('--domain <domain>', 'Domain name')
+  .option('--subscriber <subscriber-id>', 'Subscriber ID or MSISDN')
+  .option('--sip-password <password>', 'New SIP password')
+  .option('--field <key=value>', 'Set a field of the subscriber profile (repeatable)', collectKeyValue)
+  .option('--active <active>', 'Enable or disable the subscriber (true/false)')
+  .action(withDebug(editSubscriber));
+
+subscriberCommand
+  .command('reset-password')
+  .description('Reset the SIP password of a subscriber')
+  .option('--domain <domain>', 'Domain name')
+  .option('--subscriber <subscriber-id>', 'Subscriber ID or MSISDN')
+  .option('--sip-password <password>', 'New SIP password. A random password is generated if not provided')
+  .action(withDebug(resetSubscriberCredentials));
+
+subscriberCommand
+  .command('delete')
+  .description('Delete a subscriber')
+  .option('--domain <domain>', 'Domain name')
+  .option('--subscriber <subscriber-id>', 'Subscriber ID or MSISDN')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(withDebug(removeSubscriber));
+
+const applicationCommand = program
+  .command('application')
+  .description('Create, update and delete voice applications in a domain');
+
+applicationCommand
+  .command('create')
+  .description('Create an application from a URL, an inline script or a local CXML/XML file')
+  .option('--domain <domain>', 'Domain name')
+  .option('--name <name>', 'Application name')
+  .option('--type <type>', 'Application type', 'cloudonix')
+  .option('--url <url>', 'URL serving the application CXML')
+  .option('--method <method>', 'HTTP method used to fetch the URL (GET or POST)')
+  .option('--script <script>', 'Inline CXML script')
+  .option('--file <path>', 'Local CXML/XML file to upload as the application script')
+  .action(withDebug(addApplication));
+
+applicationCommand
+  .command('update')
+  .description('Update an application')
+  .option('--domain <domain>', 'Domain name')
+  .option('--application <application-id>', 'Application ID or name')
+  .option('--name <name>', 'New application name')
+  .option('--type <type>', 'Application type')
+  .option('--url <url>', 'URL serving the application CXML')
+  .option('--method <method>', 'HTTP method used to fetch the URL (GET or POST)')
+  .option('--script <script>', 'Inline CXML script')
+  .option('--file <path>', 'Local CXML/XML file to upload as the application script')
+  .action(withDebug(editApplication));
+
+applicationCommand
+  .command('delete')
+  .description('Delete an application')
+  .option('--domain <domain>', 'Domain name')
+  .option('--application <application-id>', 'Application ID or name')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(withDebug(removeApplication));
+
+const trunkCommand = program
+  .command('trunk')
+  .description('Create, update and delete SIP trunks in a domain');
+
+trunkCommand
+  .command('create')
+  .description('Create a trunk')
+  .option('--domain <domain>', 'Domain name')
+  .option('--name <name>', 'Trunk name')
+  .option('--ip <ip>', 'Trunk IP address or hostname')
+  .option('--port <port>', 'Trunk SIP port')
+  .option('--transport <transport>', 'SIP transport (udp, tcp, tls)')
+  .option('--direction <direction>', 'Trunk direction (inbound, outbound, public-inbound, public-outbound)')
+  .option('--prefix <prefix>', 'Number prefix for the trunk')
+  .option('--header <key=value>', 'Add a custom SIP header (repeatable)', collectRawKeyValue)
+  .action(withDebug(addTrunk));
+
+trunkCommand
+  .command('update')
+  .description('Update a trunk, showing the changes before they are applied')
+  .option('--domain <domain>', 'Domain name')
+  .option('--trunk <trunk-id>', 'Trunk ID or name')
+  .option('--name <name>', 'New trunk name')
+  .option('--ip <ip>', 'Trunk IP address or hostname')
+  .option('--port <port>', 'Trunk SIP port')
+  .option('--transport <transport>', 'SIP transport (udp, tcp, tls)')
+  .option('--direction <direction>', 'Trunk direction (inbound, outbound, public-inbound, public-outbound)')
+  .option('--prefix <prefix>', 'Number prefix for the trunk')
+  .option('--header <key=value>', 'Set a custom SIP header (repeatable)', collectRawKeyValue)
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(withDebug(editTrunk));
+
+trunkCommand
+  .command('delete')
+  .description('Delete a trunk')
+  .option('--domain <domain>', 'Domain name')
+  .option('--trunk <trunk-id>', 'Trunk ID or name')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(withDebug(removeTrunk));
+
+const dnidCommand = program
+  .command('dnid')
+  .description('Create, assign, release and bulk import DNIDs in a domain');
+
+dnidCommand
+  .command('create')
+  .description('Create a DNID')
+  .option('--domain <domain>', 'Domain name')
+  .option('--number <number>', 'DNID number or pattern')
+  .option('--application <application>', 'Application ID or name to route the DNID to')
+  .option('--prefix', 'Match the number as a prefix')
+  .option('--expression', 'Match the number as a regular expression')
+  .action(withDebug(addDnid));
+
+dnidCommand
+  .command('update')
+  .description('Update a DNID, e.g. assign it to another application')
+  .option('--domain <domain>', 'Domain name')
+  .option('--dnid <dnid-id>', 'DNID ID')
+  .option('--application <application>', 'Application ID or name to route the DNID to')
+  .option('--active <active>', 'Enable or disable the DNID (true/false)')
+  .action(withDebug(editDnid));
+
+dnidCommand
+  .command('delete')
+  .description('Release a DNID')
+  .option('--domain <domain>', 'Domain name')
+  .option('--dnid <dnid-id>', 'DNID ID')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(withDebug(removeDnid));
+
+dnidCommand
+  .command('import')
+  .description('Create DNIDs from a CSV file with number and application columns')
+  .option('--domain <domain>', 'Domain name')
+  .option('--file <path>', 'CSV file to import')
+  .option('--dry-run', 'Validate every row without creating anything')
+  .action(withDebug(importDnids));
+
+program
+  .command('mock-server')
+  .description('Run a local mock of the Cloudonix API serving recorded fixtures, for offline use and testing')
+  .option('--port <port>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Address to listen on', '127.0.0.1')
+  .option('--fixtures <path>', 'Fixtures JSON file, or directory with one JSON file per resource type')
+  .option('--quiet', 'Do not log requests')
+  .action(withDebug(startMockServer));
+
+program
+  .command('export')
+  .description('Print the configuration of a domain (settings, applications, trunks, subscribers, DNIDs) as YAML, with secrets redacted')
+  .option('--domain <domain>', 'Domain name')
+  .action(withDebug(exportDomain));
+
+program
+  .command('apply')
+  .description('Make a domain match an exported configuration file, showing the planned changes first')
+  .option('-f, --file <file>', 'Configuration file (YAML or JSON) created with export')
+  .option('--domain <domain>', 'Domain name. Defaults to the domain in the file')
+  .option('--dry-run', 'Only show the planned changes')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .action(withDebug(applySnapshot));
+
+program
+  .command('diff')
+  .description('Compare the configuration of a domain with another domain or an exported file, ignoring IDs and timestamps')
+  .option('--domain <domain>', 'Domain name')
+  .option('--against <domain|profile|file>', 'Domain, profile or exported file to compare with')
+  .option('--exit-code', 'Exit with code 1 when there are differences')
+  .action(withDebug(diffDomains));
+
+program
+  .command('backup')
+  .description('Back up every resource of a domain, including secrets, to a .tgz archive')
+  .option('--domain <domain>', 'Domain name')
+  .option('--out <file>', 'Archive to write (default: <domain>-<timestamp>.tgz)')
+  .action(withDebug(backupDomain));
+
+program
+  .command('restore')
+  .description('Restore a backup archive into its domain or another one, resuming an interrupted restore')
+  .option('--in <file>', 'Archive written by backup')
+  .option('--domain <domain>', 'Domain to restore into (default: the domain in the archive)')
+  .option('--journal <file>', 'Progress journal (default: <archive>.journal.json)')
+  .option('--dry-run', 'Only show what would be restored')
+  .action(withDebug(restoreDomain));
+
+const cassetteCommand = program
+  .command('cassette')
+  .description('Work with API traffic recorded with --record');
+
+cassetteCommand
+  .command('har')
+  .description('Convert a cassette to HAR, for browser developer tools and HAR viewers')
+  .option('--in <file>', 'Cassette written with --record')
+  .option('--out <file>', 'HAR file to write (default: stdout)')
+  .action(withDebug(exportHar));
+
+program
+  .command('shell')
+  .description('Open an interactive shell to run commands against a domain, with tab completion and history')
+  .option('--domain <domain>', 'Domain to start with')
+  .action(withDebug(options => startShell(program, options)));
+
+program
+  .command('completion <shell>')
+  .description('Print the completion script for bash, zsh or fish')
+  .option('--resource-ids', 'Also complete names and IDs of subscribers, applications, trunks and DNIDs, and recent session tokens, from the API')
+  .action(withDebug(printCompletion));
+
+// Called by the completion scripts with the words typed so far
+program
+  .command('__complete', { hidden: true })
+  .argument('[words...]')
+  .option('--resource-ids')
+  .action(withDebug((options, words) => completeWords(program, options, words)));
+
 program.parse(process.argv);
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * Local mock of the Cloudonix API, serving fixtures for offline use and testing
+ */
+
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures.json');
+const COLLECTIONS = ['subscribers', 'applications', 'trunks', 'dnids', 'sessions'];
+
+// Fields that can be used instead of the ID in resource URLs
+const LOOKUP_FIELDS = ['id', 'token', 'name', 'msisdn', 'source'];
+
+/**
+ * Loads fixtures from a JSON file, or from a directory holding one JSON file per collection
+ * @param {string} [source] - The fixtures file or directory. Defaults to the bundled fixtures
+ * @returns {Promise<Object>} The fixtures (domain and one array per collection)
+ */
+const loadFixtures = async (source = DEFAULT_FIXTURES) => {
+  const stats = await fs.stat(source);
+  
+  if (!stats.isDirectory()) {
+    return fs.readJson(source);
+  }
+  
+  const fixtures = {};
+  for (const name of ['domain', ...COLLECTIONS]) {
+    const file = path.join(source, `${name}.json`);
+    if (await fs.pathExists(file)) {
+      fixtures[name] = await fs.readJson(file);
+    }
+  }
+  return fixtures;
+};
+
+/**
+ * Creates the in-memory state of one mocked domain from the fixtures
+ * @param {Object} fixtures - The fixtures
+ * @param {string} domain - The domain name
+ * @returns {Object} The domain state
+ */
+const createDomainState = (fixtures, domain) => {
+  // Deep copy so changes made through the API don't leak between domains
+  const copy = JSON.parse(JSON.stringify(fixtures));
+  const state = { domain: { ...(copy.domain || {}), domain } };
+  COLLECTIONS.forEach(name => {
+    state[name] = Array.isArray(copy[name]) ? copy[name] : [];
+  });
+  return state;
+};
+
+/**
+ * Finds a resource by ID or by one of its lookup fields
+ * @param {Array<Object>} items - The collection
+ * @param {string} key - The ID or name from the URL
+ * @returns {Object|undefined} The resource
+ */
+const findItem = (items, key) => {
+  return items.find(item => LOOKUP_FIELDS.some(field => item[field] !== undefined && String(item[field]) === key));
+};
+
+/**
+ * Filters and paginates sessions using the query parameters of a list request
+ * @param {Array<Object>} sessions - The sessions
+ * @param {URLSearchParams} query - The query parameters
+ * @returns {Array<Object>} The matching sessions on the requested page
+ */
+const querySessions = (sessions, query) => {
+  const from = query.get('from') ? Date.parse(query.get('from')) : null;
+  const to = query.get('to') ? Date.parse(query.get('to')) : null;
+  const callerId = query.get('callerId');
+  const destination = query.get('destination');
+  const status = query.get('status');
+  
+  return sessions.filter(session => {
+    const start = Date.parse(session.callStartTime || session.createdAt);
+    if (from && start < from) return false;
+    if (to && start > to) return false;
+    if (callerId && !String(session.callerId || '').includes(callerId)) return false;
+    if (destination && !String(session.destination || '').includes(destination)) return false;
+    if (status && session.status !== status) return false;
+    return true;
+  });
+};
+
+/**
+ * Applies page and limit query parameters to a list
+ * @param {Array<Object>} items - The list
+ * @param {URLSearchParams} query - The query parameters
+ * @returns {Array<Object>} The requested page
+ */
+const paginate = (items, query) => {
+  if (!query.has('page') && !query.has('limit')) {
+    return items;
+  }
+  const page = Math.max(1, Number(query.get('page')) || 1);
+  const limit = Math.max(1, Number(query.get('limit')) || 50);
+  return items.slice((page - 1) * limit, page * limit);
+};
+
+/**
+ * Creates the mock API server
+ * @param {Object} fixtures - The fixtures to serve
+ * @param {Object} [options] - Server options
+ * @param {Function} [options.log] - Called with a line for every request
+ * @returns {http.Server} The server, not yet listening
+ */
+const createMockServer = (fixtures, { log = () => {} } = {}) => {
+  const domains = new Map();
+  let nextId = 900000;
+  
+  const getDomain = (name) => {
+    if (!domains.has(name)) {
+      domains.set(name, createDomainState(fixtures, name));
+    }
+    return domains.get(name);
+  };
+  
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      
+      const send = (status, data) => {
+        log(`${req.method} ${url.pathname}${url.search} -> ${status}`);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+      
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        return send(401, { message: 'Unauthorized' });
+      }
+      
+      const match = /^\/customers\/self\/domains\/([^/]+)(?:\/([^/]+)(?:\/([^/]+))?)?\/?$/.exec(url.pathname);
+      if (!match) {
+        return send(404, { message: 'Not found' });
+      }
+      
+      const [, domainName, collection, key] = match.map(part => part && decodeURIComponent(part));
+      const state = getDomain(domainName);
+      
+      let payload = {};
+      if (body) {
+        try {
+          payload = JSON.parse(body);
+        } catch (error) {
+          return send(400, { message: 'Invalid JSON body' });
+        }
+      }
+      
+      if (!collection) {
+        if (req.method === 'GET') {
+          return send(200, state.domain);
+        }
+        if (req.method === 'PATCH' || req.method === 'PUT') {
+          Object.assign(state.domain, payload, { modifiedAt: new Date().toISOString() });
+          return send(200, state.domain);
+        }
+        return send(405, { message: 'Method not allowed' });
+      }
+      
+      if (!COLLECTIONS.includes(collection)) {
+        return send(404, { message: `Unknown resource '${collection}'` });
+      }
+      
+      const items = state[collection];
+      
+      if (!key) {
+        if (req.method === 'GET') {
+          const list = collection === 'sessions' ? querySessions(items, url.searchParams) : items;
+          return send(200, paginate(list, url.searchParams));
+        }
+        if (req.method === 'POST') {
+          const now = new Date().toISOString();
+          const item = { id: nextId++, ...payload, active: payload.active !== undefined ? payload.active : true, createdAt: now, modifiedAt: now };
+          items.push(item);
+          return send(201, item);
+        }
+        return send(405, { message: 'Method not allowed' });
+      }
+      
+      const item = findItem(items, key);
+      if (!item) {
+        return send(404, { message: `${collection.replace(/s$/, '')} '${key}' not found` });
+      }
+      
+      switch (req.method) {
+        case 'GET':
+          return send(200, item);
+        case 'PATCH':
+        case 'PUT':
+          Object.assign(item, payload, { modifiedAt: new Date().toISOString() });
+          return send(200, item);
+        case 'DELETE':
+          items.splice(items.indexOf(item), 1);
+          return send(204);
+        default:
+          return send(405, { message: 'Method not allowed' });
+      }
+    });
+  });
+};
+
+module.exports = {
+  DEFAULT_FIXTURES,
+  loadFixtures,
+  createMockServer
+};
@@ -0,0 +1,272 @@
+/**
+ * CloudonixClient: the Cloudonix API for Node.js programs, and the layer the CLI commands
+ * are built on. Failed requests reject with the typed errors from utils/errors.js.
+ */
+
+const { createApiClient, getApiBaseUrl, toList } = require('../utils/api');
+const { fetchPages, fetchAll } = require('../utils/pagination');
+const { debug } = require('../utils/debug');
+const { ValidationError } = require('../utils/errors');
+
+// Resource collections of a domain, with their name and identifying field in log messages
+const COLLECTIONS = {
+  subscribers: { label: 'subscriber', identity: 'msisdn' },
+  applications: { label: 'application', identity: 'name' },
+  trunks: { label: 'trunk', identity: 'name' },
+  dnids: { label: 'DNID', identity: 'source' }
+};
+
+/**
+ * Creates the methods for one resource collection of the client's domain
+ * @param {CloudonixClient} client - The client
+ * @param {string} collection - The collection (subscribers, applications, trunks or dnids)
+ * @returns {Object} The methods: list, iterate, listAll, get, create, update and delete
+ */
+const createResourceApi = (client, collection) => {
+  const { label, identity } = COLLECTIONS[collection];
+  const path = (id) => `${client.domainPath()}/${collection}${id === undefined ? '' : `/${encodeURIComponent(id)}`}`;
+  
+  /**
+   * Lists one page of the collection
+   * @param {Object} [paging] - Paging options
+   * @param {number} [paging.page=1] - The page to fetch, starting at 1
+   * @param {number} [paging.limit=100] - The number of items per page
+   * @returns {Promise<Array<Object>>} The items on the requested page
+   */
+  const list = async ({ page = 1, limit = 100 } = {}) => {
+    debug(`Listing ${collection} in domain '${client.domain}' (page ${page}, ${limit} per page)`);
+    const response = await client.http().get(path(), { params: { page, limit } });
+    return toList(response.data);
+  };
+  
+  return {
+    list,
+    
+    /**
+     * Iterates over the collection page by page
+     * @param {Object} [options] - Paging options (pageSize, page, max, onPage), see fetchPages()
+     * @returns {AsyncGenerator<Array<Object>>} The pages
+     */
+    iterate: (options = {}) => fetchPages(list, options),
+    
+    /**
+     * Lists the whole collection, following pagination
+     * @param {Object} [options] - Paging options (pageSize, max), see fetchPages()
+     * @returns {Promise<Array<Object>>} All items
+     */
+    listAll: (options) => {
+      debug(`Fetching ${label} information for domain '${client.domain}' (all ${collection})`);
+      return fetchAll(list, options);
+    },
+    
+    /**
+     * Gets one item of the collection
+     * @param {string|number} id - The ID, or the name or number the API also accepts
+     * @returns {Promise<Object>} The item
+     */
+    get: async (id) => {
+      debug(`Fetching ${label} information for domain '${client.domain}' and ${label} '${id}'`);
+      const response = await client.http().get(path(id));
+      return response.data;
+    },
+    
+    /**
+     * Creates an item in the collection
+     * @param {Object} fields - The fields of the new item
+     * @returns {Promise<Object>} The created item
+     */
+    create: async (fields) => {
+      debug(`Creating ${label} '${fields[identity]}' in domain '${client.domain}'`);
+      const response = await client.http().post(path(), fields);
+      return response.data;
+    },
+    
+    /**
+     * Updates an item of the collection
+     * @param {string|number} id - The ID, or the name or number the API also accepts
+     * @param {Object} changes - The fields to change
+     * @returns {Promise<Object>} The updated item
+     */
+    update: async (id, changes) => {
+      debug(`Updating ${label} '${id}' in domain '${client.domain}'`);
+      const response = await client.http().patch(path(id), changes);
+      return response.data;
+    },
+    
+    /**
+     * Deletes an item of the collection
+     * @param {string|number} id - The ID, or the name or number the API also accepts
+     * @returns {Promise<void>}
+     */
+    delete: async (id) => {
+      debug(`Deleting ${label} '${id}' from domain '${client.domain}'`);
+      await client.http().delete(path(id));
+    }
+  };
+};
+
+/**
+ * Creates the methods for domains. They work on the client's domain unless another one is named.
+ * @param {CloudonixClient} client - The client
+ * @returns {Object} The methods: get, update and validate
+ */
+const createDomainApi = (client) => ({
+  /**
+   * Gets the settings of a domain
+   * @param {string} [domain] - The domain name. Defaults to the client's domain
+   * @returns {Promise<Object>} The domain
+   */
+  get: async (domain = client.domain) => {
+    debug(`Fetching information for domain '${domain}'`);
+    const response = await client.http().get(client.domainPath(domain));
+    return response.data;
+  },
+  
+  /**
+   * Updates the settings of a domain
+   * @param {string|null} domain - The domain name, or null for the client's domain
+   * @param {Object} changes - The domain fields to change
+   * @returns {Promise<Object>} The updated domain
+   */
+  update: async (domain, changes) => {
+    const name = domain || client.domain;
+    debug(`Updating domain '${name}'`);
+    const response = await client.http().patch(client.domainPath(name), changes);
+    return response.data;
+  },
+  
+  /**
+   * Checks that a domain exists and the API key may use it
+   * @param {string} [domain] - The domain name. Defaults to the client's domain
+   * @returns {Promise<boolean>} Whether the domain is valid. Failed requests reject
+   *   with a typed error, e.g. AuthError for a rejected API key
+   */
+  validate: async (domain = client.domain) => {
+    debug(`Validating domain '${domain}'`);
+    const response = await client.http().get(client.domainPath(domain));
+    return response.status === 200;
+  }
+});
+
+/**
+ * Creates the methods for the call sessions of the client's domain
+ * @param {CloudonixClient} client - The client
+ * @returns {Object} The methods: get, list and iterate
+ */
+const createSessionApi = (client) => {
+  /**
+   * Lists one page of call sessions
+   * @param {Object} [filters] - Query filters (from, to, callerId, destination, status)
+   * @param {Object} [paging] - Paging options
+   * @param {number} [paging.page=1] - The page to fetch, starting at 1
+   * @param {number} [paging.limit=50] - The number of sessions per page
+   * @returns {Promise<Array<Object>>} The sessions on the requested page
+   */
+  const list = async (filters = {}, { page = 1, limit = 50 } = {}) => {
+    debug(`Listing sessions in domain '${client.domain}' (page ${page}, ${limit} per page)`, filters);
+    
+    // Drop unset filters so they are not sent as empty query parameters
+    const params = { page, limit };
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params[key] = value;
+      }
+    });
+    
+    const response = await client.http().get(`${client.domainPath()}/sessions`, { params });
+    return toList(response.data);
+  };
+  
+  return {
+    list,
+    
+    /**
+     * Iterates over call sessions page by page
+     * @param {Object} [filters] - Query filters, see list()
+     * @param {Object} [options] - Paging options (pageSize, page, max, onPage), see fetchPages()
+     * @returns {AsyncGenerator<Array<Object>>} The pages
+     */
+    iterate: (filters = {}, options = {}) => fetchPages(paging => list(filters, paging), options),
+    
+    /**
+     * Gets a call session with its call log
+     * @param {string} token - The session token
+     * @returns {Promise<Object>} The session
+     */
+    get: async (token) => {
+      debug(`Fetching information for session '${token}' in domain '${client.domain}'`);
+      const response = await client.http().get(`${client.domainPath()}/sessions/${encodeURIComponent(token)}`);
+      return response.data;
+    }
+  };
+};
+
+/**
+ * A client for the Cloudonix API, working on one domain
+ *
+ * @example
+ * const { CloudonixClient, NotFoundError } = require('cx-client');
+ * const cx = new CloudonixClient({ domain: 'example.cloudonix.net', apiKey: process.env.CX_APIKEY });
+ * const trunks = await cx.trunks.listAll();
+ */
+class CloudonixClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.apiKey - The API key for authentication
+   * @param {string} [options.domain] - The domain to work on. Required for everything but domains.get(name) and similar
+   * @param {string} [options.apiUrl] - The API base URL. Defaults to https://api.cloudonix.io
+   * @param {number} [options.timeout] - Request timeout in seconds, 0 to wait indefinitely. Defaults to 30
+   * @param {number} [options.retries] - Retries for failed idempotent or rate-limited requests. Defaults to 3
+   */
+  constructor({ apiKey, domain, apiUrl, timeout, retries } = {}) {
+    if (!apiKey) {
+      throw new ValidationError('An API key is required');
+    }
+    
+    this.domain = domain;
+    this.apiKey = apiKey;
+    this.settings = { apiUrl, timeout, retries };
+    
+    this.domains = createDomainApi(this);
+    this.subscribers = createResourceApi(this, 'subscribers');
+    this.applications = createResourceApi(this, 'applications');
+    this.trunks = createResourceApi(this, 'trunks');
+    this.dnids = createResourceApi(this, 'dnids');
+    this.sessions = createSessionApi(this);
+    
+    // The API key is left out when the client is logged or printed
+    Object.defineProperty(this, 'apiKey', { enumerable: false });
+  }
+  
+  /**
+   * The API base URL requests are sent to
+   * @returns {string} The URL
+   */
+  get apiUrl() {
+    return this.settings.apiUrl || getApiBaseUrl();
+  }
+  
+  /**
+   * Returns the Axios instance for this client's key and settings
+   * @returns {Object} The Axios instance
+   */
+  http() {
+    return createApiClient(this.apiKey, this.settings);
+  }
+  
+  /**
+   * Builds the API path of a domain
+   * @param {string} [domain] - The domain name. Defaults to the client's domain
+   * @returns {string} The path
+   */
+  domainPath(domain = this.domain) {
+    if (!domain) {
+      throw new ValidationError('No domain given. Pass one to the CloudonixClient constructor.');
+    }
+    return `/customers/self/domains/${encodeURIComponent(domain)}`;
+  }
+}
+
+module.exports = {
+  CloudonixClient
+};
@@ -0,0 +1,184 @@
+// Type declarations for the cx-client SDK (src/sdk/index.js)
+
+export declare const DEFAULT_API_BASE_URL: string;
+
+export interface ClientOptions {
+  /** The API key for authentication */
+  apiKey: string;
+  /** The domain to work on */
+  domain?: string;
+  /** The API base URL. Defaults to https://api.cloudonix.io */
+  apiUrl?: string;
+  /** Request timeout in seconds, 0 to wait indefinitely. Defaults to 30 */
+  timeout?: number;
+  /** Retries for failed idempotent or rate-limited requests. Defaults to 3 */
+  retries?: number;
+}
+
+export interface Paging {
+  /** The page to fetch, starting at 1 */
+  page?: number;
+  /** The number of items per page */
+  limit?: number;
+}
+
+export interface PageProgress {
+  page: number;
+  count: number;
+  total: number;
+}
+
+export interface IterateOptions {
+  /** Number of items requested per page. Defaults to 100 */
+  pageSize?: number;
+  /** Fetch only this page, starting at 1 */
+  page?: number;
+  /** Stop after this many items */
+  max?: number;
+  /** Called after every page */
+  onPage?: (progress: PageProgress) => void;
+}
+
+/** A resource as returned by the API. Fields vary by resource type. */
+export interface Resource {
+  id?: number;
+  createdAt?: string;
+  modifiedAt?: string;
+  [field: string]: unknown;
+}
+
+export interface Domain extends Resource {
+  domain?: string;
+  active?: boolean;
+}
+
+export interface Subscriber extends Resource {
+  msisdn?: string;
+  active?: boolean;
+  profile?: Record<string, unknown>;
+}
+
+export interface Application extends Resource {
+  name?: string;
+  type?: string;
+  url?: string;
+  method?: string;
+}
+
+export interface Trunk extends Resource {
+  name?: string;
+  ip?: string;
+  port?: number;
+  transport?: string;
+  direction?: string;
+  prefix?: string;
+}
+
+export interface Dnid extends Resource {
+  source?: string;
+  application?: string;
+  applicationId?: number;
+  prefix?: boolean;
+  expression?: boolean;
+  active?: boolean;
+}
+
+export interface Session extends Resource {
+  token?: string;
+  callerId?: string;
+  destination?: string;
+  direction?: string;
+  status?: string;
+  log?: Array<Record<string, unknown>>;
+  events?: Array<Record<string, unknown>>;
+}
+
+export interface SessionFilters {
+  /** Start of the time range, as an ISO 8601 date */
+  from?: string;
+  /** End of the time range, as an ISO 8601 date */
+  to?: string;
+  callerId?: string;
+  destination?: string;
+  status?: string;
+}
+
+export type ResourceId = string | number;
+
+export interface ResourceApi<T extends Resource> {
+  /** Lists one page */
+  list(paging?: Paging): Promise<T[]>;
+  /** Iterates over the collection page by page */
+  iterate(options?: IterateOptions): AsyncGenerator<T[]>;
+  /** Lists the whole collection, following pagination */
+  listAll(options?: IterateOptions): Promise<T[]>;
+  get(id: ResourceId): Promise<T>;
+  create(fields: Partial<T> & Record<string, unknown>): Promise<T>;
+  update(id: ResourceId, changes: Partial<T> & Record<string, unknown>): Promise<T>;
+  delete(id: ResourceId): Promise<void>;
+}
+
+export interface DomainApi {
+  /** Gets a domain, by default the client's */
+  get(domain?: string): Promise<Domain>;
+  /** Updates a domain; null means the client's */
+  update(domain: string | null, changes: Partial<Domain> & Record<string, unknown>): Promise<Domain>;
+  /** Checks that a domain exists and the API key may use it */
+  validate(domain?: string): Promise<boolean>;
+}
+
+export interface SessionApi {
+  list(filters?: SessionFilters, paging?: Paging): Promise<Session[]>;
+  iterate(filters?: SessionFilters, options?: IterateOptions): AsyncGenerator<Session[]>;
+  get(token: string): Promise<Session>;
+}
+
+export declare class CloudonixClient {
+  constructor(options: ClientOptions);
+
+  readonly domain: string | undefined;
+  /** The API base URL requests are sent to */
+  readonly apiUrl: string;
+
+  readonly domains: DomainApi;
+  readonly subscribers: ResourceApi<Subscriber>;
+  readonly applications: ResourceApi<Application>;
+  readonly trunks: ResourceApi<Trunk>;
+  readonly dnids: ResourceApi<Dnid>;
+  readonly sessions: SessionApi;
+}
+
+export type ErrorType = 'error' | 'validation' | 'config' | 'network' | 'api' | 'auth' | 'not_found' | 'rate_limited';
+
+export interface ErrorOptions {
+  status?: number;
+  details?: Record<string, unknown>;
+  cause?: Error;
+}
+
+/** Base class of all errors. Failed requests reject with one of its subclasses. */
+export declare class CliError extends Error {
+  constructor(message: string, options?: ErrorOptions);
+  type: ErrorType;
+  /** The exit code cx-cli uses for this error */
+  exitCode: number;
+  /** The HTTP status of a failed API request */
+  status?: number;
+  details?: Record<string, unknown>;
+  toJSON(): { type: ErrorType; message: string; exitCode: number; status?: number; details?: Record<string, unknown> };
+}
+
+/** Invalid input, or a request the API rejected as invalid */
+export declare class ValidationError extends CliError {}
+/** Missing or unusable cx-cli configuration */
+export declare class ConfigError extends CliError {}
+/** The API could not be reached or did not answer in time */
+export declare class NetworkError extends CliError {}
+/** The API answered with an error not covered by a more specific type */
+export declare class ApiError extends CliError {}
+/** The API key was rejected or lacks permission (HTTP 401 and 403) */
+export declare class AuthError extends ApiError {}
+/** The requested resource does not exist (HTTP 404) */
+export declare class NotFoundError extends ApiError {}
+/** The API rate limit was hit and retrying did not help (HTTP 429) */
+export declare class RateLimitError extends ApiError {}
@@ -0,0 +1,30 @@
+/**
+ * The package entry point for Node.js programs. Requiring it has no side effects: it
+ * neither parses the command line nor reads the cx-cli configuration.
+ */
+
+const { CloudonixClient } = require('./client');
+const { DEFAULT_API_BASE_URL } = require('../utils/api');
+const {
+  CliError,
+  ValidationError,
+  ConfigError,
+  NetworkError,
+  ApiError,
+  AuthError,
+  NotFoundError,
+  RateLimitError
+} = require('../utils/errors');
+
+module.exports = {
+  CloudonixClient,
+  DEFAULT_API_BASE_URL,
+  CliError,
+  ValidationError,
+  ConfigError,
+  NetworkError,
+  ApiError,
+  AuthError,
+  NotFoundError,
+  RateLimitError
+};
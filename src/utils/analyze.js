@@ -0,0 +1,326 @@
+/**
+ * Call session analysis: classifies how a call ended and why, from its log and events
+ */
+
+const chalk = require('chalk');
+const { entryText } = require('./timeline');
+const { getEntryTime, getSessionStart, getSessionAnswer, getSessionEnd, isSessionFinished } = require('./session');
+
+// Standard reason phrases, used when the log gives a SIP code without one
+const SIP_REASONS = {
+  180: 'Ringing',
+  181: 'Call Is Being Forwarded',
+  182: 'Queued',
+  183: 'Session Progress',
+  200: 'OK',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  407: 'Proxy Authentication Required',
+  408: 'Request Timeout',
+  480: 'Temporarily Unavailable',
+  484: 'Address Incomplete',
+  486: 'Busy Here',
+  487: 'Request Terminated',
+  488: 'Not Acceptable Here',
+  500: 'Server Internal Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Server Time-out',
+  600: 'Busy Everywhere',
+  603: 'Decline',
+  604: 'Does Not Exist Anywhere',
+  606: 'Not Acceptable'
+};
+
+// Final SIP responses by the outcome they stand for
+const BUSY_CODES = [486, 600];
+const NO_ANSWER_CODES = [408, 480, 487];
+const REJECTED_CODES = [401, 403, 404, 407, 484, 488, 603, 604, 606];
+
+// Session statuses by outcome, for calls whose log has no final SIP response
+const STATUS_OUTCOMES = {
+  busy: 'busy',
+  noanswer: 'no-answer',
+  'no-answer': 'no-answer',
+  timeout: 'no-answer',
+  cancel: 'no-answer',
+  canceled: 'no-answer',
+  cancelled: 'no-answer',
+  rejected: 'rejected',
+  failed: 'trunk-failure',
+  congestion: 'trunk-failure'
+};
+
+// "SIP 486 Busy Here from trunk a": the code, and the reason up to punctuation or a preposition
+const SIP_PATTERN = /\bSIP\b\D{0,12}?([1-6]\d{2})\b(?:\s+([A-Za-z][\w -]*?))?(?=\s*(?:[,;.()]|\b(?:from|via|to|at|on)\b|$))/i;
+// Error phrases must describe something that went wrong, so settings such as "(timeout 5s)" don't count
+// A timeout followed by a value, e.g. "(timeout 5s)", is a setting rather than a failure
+const APPLICATION_ERROR_PATTERN = /\b(application|cxml|webhook|script)\b.*\b(errors?|failed|failure|timed?[ -]?out(?!\s*[:=]?\s*\d)|unreachable|invalid)\b|\bapplication response [45]\d\d\b/i;
+const TRUNK_ERROR_PATTERN = /\btrunk\b.*\b(errors?|failed|failure|timed?[ -]?out(?!\s*[:=]?\s*\d)|unreachable)\b/i;
+const DIAL_PATTERN = /\b(dial(ing|ed)?|invite|calling|outbound call)\b/i;
+const RINGING_PATTERN = /\b(ringing|early media|session progress)\b/i;
+const ANSWER_PATTERN = /\b(answered|connected)\b/i;
+const NEGATED_ANSWER_PATTERN = /\b(not|never|no|nobody|without)\s+(\w+\s+)?(answered|connected)\b|\bunanswered\b|n't\s+(\w+\s+)?(answered|connected)\b/i;
+
+/**
+ * Merges the log and events of a session, in time order
+ * @param {Object} session - The session
+ * @returns {Array<Object>} The entries as { kind, time, text, level, sip }
+ */
+const collectEntries = (session) => {
+  const entries = [];
+  [['event', session.events], ['log', session.log]].forEach(([kind, list]) => {
+    (Array.isArray(list) ? list : []).forEach(entry => {
+      const text = entryText(entry);
+      entries.push({ kind, time: getEntryTime(entry), text, level: entry.level, sip: parseSipResponse(text) });
+    });
+  });
+
+  // Entries without a time keep their place at the end
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => ((a.entry.time && b.entry.time) ? a.entry.time - b.entry.time : a.index - b.index))
+    .map(({ entry }) => entry);
+};
+
+/**
+ * Finds a SIP response in a log line
+ * @param {string} text - The log line
+ * @returns {Object|null} The response as { code, reason }, or null if the line has none
+ */
+const parseSipResponse = (text) => {
+  const match = SIP_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  const code = Number(match[1]);
+  return { code, reason: (match[2] || '').trim() || SIP_REASONS[code] || '' };
+};
+
+/**
+ * Checks whether a log line says the call was answered, e.g. "call answered" but not
+ * "Call not answered after 30s"
+ * @param {string} text - The log line
+ * @returns {boolean} Whether the line reports an answer
+ */
+const isAnswerText = (text) => ANSWER_PATTERN.test(text) && !NEGATED_ANSWER_PATTERN.test(text);
+
+/**
+ * Seconds between two times, rounded to milliseconds
+ * @param {Date|null} from - The first time
+ * @param {Date|null} to - The second time
+ * @returns {number|null} The seconds, or null if either time is missing
+ */
+const secondsBetween = (from, to) => {
+  if (!from || !to) {
+    return null;
+  }
+  return Math.max(0, to - from) / 1000;
+};
+
+/**
+ * Classifies the outcome of a call
+ * @param {Object} session - The session
+ * @param {Object} facts - What the log shows: answered, applicationError, finalResponse and trunkError
+ * @returns {string} One of answered, busy, no-answer, rejected, trunk-failure,
+ *   application-error, in-progress or unknown
+ */
+const classifyOutcome = (session, { applicationError, answered, finalResponse, trunkError }) => {
+  if (answered) {
+    return 'answered';
+  }
+  if (applicationError) {
+    return 'application-error';
+  }
+  if (!isSessionFinished(session)) {
+    return 'in-progress';
+  }
+
+  if (finalResponse) {
+    const { code } = finalResponse;
+    if (BUSY_CODES.includes(code)) return 'busy';
+    if (NO_ANSWER_CODES.includes(code)) return 'no-answer';
+    if (REJECTED_CODES.includes(code)) return 'rejected';
+    if (code >= 500) return 'trunk-failure';
+  }
+
+  const status = String(session.status || '').toLowerCase();
+  if (STATUS_OUTCOMES[status]) {
+    return STATUS_OUTCOMES[status];
+  }
+  return trunkError ? 'trunk-failure' : 'unknown';
+};
+
+/**
+ * Formats a SIP response, e.g. "SIP 486 Busy Here"
+ * @param {Object|null} response - The response
+ * @returns {string} The text, empty without a response
+ */
+const formatSipResponse = (response) => {
+  return response ? `SIP ${response.code}${response.reason ? ` ${response.reason}` : ''}` : '';
+};
+
+/**
+ * Writes the diagnosis of a call in a sentence or two
+ * @param {Object} analysis - The analysis so far
+ * @param {Object} session - The session
+ * @returns {string} The diagnosis
+ */
+const diagnose = (analysis, session) => {
+  const { outcome, finalResponse, timings, applicationError } = analysis;
+  const response = finalResponse ? ` (${formatSipResponse(finalResponse)})` : '';
+  const trunk = session.trunk ? ` trunk '${session.trunk}'` : ' the trunk';
+
+  switch (outcome) {
+    case 'application-error':
+      return `The voice application${session.application ? ` '${session.application}'` : ''} failed: ${applicationError.text}. ` +
+        'Check that its URL is reachable and that it returns valid CXML.';
+    case 'answered':
+      return `The call was answered${timings.ringTime !== null ? ` after ${timings.ringTime.toFixed(1)}s of ringing` : ''}` +
+        `${timings.talkTime !== null ? ` and lasted ${timings.talkTime.toFixed(1)}s` : ''}.`;
+    case 'busy':
+      return `The called party was busy${response}.`;
+    case 'no-answer':
+      if (finalResponse && finalResponse.code === 487) {
+        return `The caller hung up before the call was answered${response}.`;
+      }
+      return `Nobody answered the call${timings.ringTime !== null ? ` within ${timings.ringTime.toFixed(1)}s` : ''}${response}.`;
+    case 'rejected':
+      return `The call was rejected${response}. Check the number format and that${trunk} accepts calls to this destination.`;
+    case 'trunk-failure':
+      return `The call could not be set up through${trunk}${response}. ` +
+        'Check its address, port and transport, and whether the carrier is reachable.';
+    case 'in-progress':
+      return `The call is still in progress (status ${session.status || 'unknown'}).`;
+    default:
+      return `The log does not show why the call ended (status ${session.status || 'unknown'}).`;
+  }
+};
+
+/**
+ * Analyzes a call session: its outcome, SIP responses and timings, a diagnosis, and
+ * the log lines that explain it
+ * @param {Object} session - The session, with its log and events
+ * @returns {Object} The analysis
+ */
+const analyzeSession = (session) => {
+  const entries = collectEntries(session);
+  const sipEntries = entries.filter(entry => entry.sip);
+  const finalEntry = [...sipEntries].reverse().find(entry => entry.sip.code >= 200) || null;
+  const finalResponse = finalEntry ? finalEntry.sip : null;
+
+  const applicationError = entries.find(entry => entry.kind === 'log' && APPLICATION_ERROR_PATTERN.test(entry.text)) ||
+    entries.find(entry => entry.level === 'error' && /\b(application|cxml|webhook|script)\b/i.test(entry.text)) ||
+    null;
+  const trunkError = entries.find(entry => TRUNK_ERROR_PATTERN.test(entry.text)) || null;
+
+  // A session that ended busy, unanswered, cancelled or failed was not answered, whatever its log says
+  const notAnswered = Boolean(STATUS_OUTCOMES[String(session.status || '').toLowerCase()]);
+  const answerEntry = notAnswered
+    ? null
+    : entries.find(entry => (entry.sip && entry.sip.code === 200) || (!entry.sip && isAnswerText(entry.text))) || null;
+  const answerTime = notAnswered ? null : getSessionAnswer(session) || (answerEntry && answerEntry.time);
+
+  // Post-dial delay runs from dialing to the first ringing or final response
+  const start = getSessionStart(session) || (entries.length > 0 ? entries[0].time : null);
+  const dialEntry = entries.find(entry => DIAL_PATTERN.test(entry.text));
+  const ringEntry = entries.find(entry => (entry.sip && entry.sip.code >= 180 && entry.sip.code < 200) || (!entry.sip && RINGING_PATTERN.test(entry.text)));
+  const ringTime = ringEntry ? ringEntry.time : null;
+  const end = getSessionEnd(session) || (entries.length > 0 ? entries[entries.length - 1].time : null);
+
+  const analysis = {
+    session: session.token || session.id || '',
+    status: session.status || '',
+    outcome: null,
+    diagnosis: '',
+    finalResponse,
+    sipResponses: sipEntries.map(entry => ({ time: entry.time ? entry.time.toISOString() : null, ...entry.sip })),
+    timings: {
+      // Without a dial entry only ringing counts, as a final response may come from the application
+      postDialDelay: dialEntry
+        ? secondsBetween(dialEntry.time, ringTime || (finalEntry && finalEntry.time) || answerTime)
+        : secondsBetween(start, ringTime),
+      ringTime: ringTime ? secondsBetween(ringTime, answerTime || (finalEntry && finalEntry.time) || end) : null,
+      talkTime: answerTime ? secondsBetween(answerTime, end) : null
+    },
+    applicationError
+  };
+
+  analysis.outcome = classifyOutcome(session, { applicationError, answered: Boolean(answerTime), finalResponse, trunkError });
+  analysis.diagnosis = diagnose(analysis, session);
+
+  // The lines worth reading: errors, and the ones the outcome was read from
+  const relevant = new Set(entries.filter(entry => ['error', 'warn', 'warning'].includes(entry.level)));
+  if (analysis.outcome === 'application-error') {
+    relevant.add(applicationError);
+  } else if (analysis.outcome === 'answered') {
+    [answerEntry, entries[entries.length - 1]].forEach(entry => entry && relevant.add(entry));
+  } else if (trunkError && !finalEntry) {
+    relevant.add(trunkError);
+  }
+  if (finalEntry) {
+    relevant.add(finalEntry);
+  }
+
+  analysis.entries = entries.map(entry => ({
+    time: entry.time ? entry.time.toISOString() : null,
+    offset: secondsBetween(start, entry.time),
+    kind: entry.kind,
+    text: entry.text,
+    relevant: relevant.has(entry)
+  }));
+  analysis.applicationError = applicationError ? applicationError.text : null;
+
+  return analysis;
+};
+
+/**
+ * Formats seconds for display
+ * @param {number|null} seconds - The duration
+ * @returns {string} The duration, e.g. "1.250s", or "-" if unknown
+ */
+const formatDuration = (seconds) => (seconds === null ? '-' : `${seconds.toFixed(3)}s`);
+
+/**
+ * Renders an analysis as text, with the relevant log lines highlighted
+ * @param {Object} analysis - The analysis from analyzeSession()
+ * @returns {string} The text
+ */
+const renderAnalysis = (analysis) => {
+  const failed = !['answered', 'in-progress'].includes(analysis.outcome);
+  const highlight = failed ? chalk.red.bold : chalk.green.bold;
+  const { postDialDelay, ringTime, talkTime } = analysis.timings;
+
+  const lines = [
+    chalk.bold.blue(`=== Call Analysis for session ${analysis.session} ===`),
+    '',
+    `${chalk.bold('Outcome:')}            ${highlight(analysis.outcome)}`,
+    `${chalk.bold('Diagnosis:')}          ${analysis.diagnosis}`,
+    `${chalk.bold('Final SIP response:')} ${formatSipResponse(analysis.finalResponse) || '-'}`,
+    `${chalk.bold('SIP responses:')}      ${analysis.sipResponses.map(response => `${response.code} ${response.reason}`.trim()).join(' → ') || '-'}`,
+    `${chalk.bold('Post-dial delay:')}    ${formatDuration(postDialDelay)}`,
+    `${chalk.bold('Ring time:')}          ${formatDuration(ringTime)}`,
+    `${chalk.bold('Talk time:')}          ${formatDuration(talkTime)}`,
+    '',
+    chalk.bold('Log:')
+  ];
+
+  analysis.entries.forEach(entry => {
+    const offset = entry.offset === null ? '' : `+${entry.offset.toFixed(3)}s`;
+    const line = `${offset.padStart(10)}  ${entry.kind.padEnd(5)}  ${entry.text}`;
+    lines.push(entry.relevant ? `${highlight('▶')}${highlight(line)}` : ` ${chalk.dim(line)}`);
+  });
+  if (analysis.entries.length === 0) {
+    lines.push(chalk.dim('  The session has no log entries or events'));
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  SIP_REASONS,
+  parseSipResponse,
+  analyzeSession,
+  renderAnalysis
+};
@@ -1,25 +1,204 @@
 const axios = require('axios');
-const { debug } = require('./debug');
+const { debug, info, trace, addSecret } = require('./debug');
+const { getCassetteAdapter } = require('./cassette');
+const { CliError, NetworkError, errorClassForStatus } = require('./errors');
 
-const API_BASE_URL = 'https://api.cloudonix.io';
+const DEFAULT_API_BASE_URL = 'https://api.cloudonix.io';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+
+// Retry-After values beyond this are not waited for
+const MAX_RETRY_AFTER_MS = 60000;
+
+let apiBaseUrl = DEFAULT_API_BASE_URL;
+
+// Clients by base URL, timeout and API key, reused by all requests of a process (e.g. in the shell)
+const clients = new Map();
+
+// Timeout in seconds and number of retries after the first attempt
+const requestSettings = {
+  timeout: 30,
+  retries: 3
+};
+
+/**
+ * Sets the base URL used for API requests
+ * @param {string} [url] - The API base URL. Resets to the default when empty
+ */
+const setApiBaseUrl = (url) => {
+  apiBaseUrl = url ? url.replace(/\/+$/, '') : DEFAULT_API_BASE_URL;
+};
+
+/**
+ * Gets the base URL used for API requests
+ * @returns {string} The API base URL
+ */
+const getApiBaseUrl = () => {
+  return apiBaseUrl;
+};
+
+/**
+ * Sets how requests are timed out and retried
+ * @param {Object} settings - The settings to change, others are kept
+ * @param {number} [settings.timeout] - Request timeout in seconds, 0 to wait indefinitely
+ * @param {number} [settings.retries] - Number of retries after a failed attempt
+ */
+const setRequestSettings = ({ timeout, retries } = {}) => {
+  if (timeout !== undefined) {
+    requestSettings.timeout = timeout;
+  }
+  if (retries !== undefined) {
+    requestSettings.retries = retries;
+  }
+};
+
+/**
+ * Gets the request timeout and retry settings
+ * @returns {{timeout: number, retries: number}} The settings (timeout in seconds)
+ */
+const getRequestSettings = () => {
+  return { ...requestSettings };
+};
+
+/**
+ * Checks whether a failed request should be retried. Only idempotent requests are
+ * retried after timeouts, network errors and 5xx gateway errors; a 429 response means
+ * the request was not processed, so it is retried for every method.
+ * @param {Object} error - The Axios error
+ * @returns {boolean} Whether to retry
+ */
+const isRetryable = (error) => {
+  const method = String((error.config && error.config.method) || 'get').toUpperCase();
+  
+  if (error.response) {
+    const status = error.response.status;
+    return status === 429 || (RETRYABLE_STATUSES.includes(status) && IDEMPOTENT_METHODS.includes(method));
+  }
+  
+  // No response at all: timeout, connection reset or refused
+  return Boolean(error.request) && IDEMPOTENT_METHODS.includes(method);
+};
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string} [value] - The header value
+ * @returns {number|null} The delay in milliseconds, or null if there is no valid header
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
 
 /**
- * Creates an API client with the given API key
+ * Calculates how long to wait before the next attempt: the server's Retry-After
+ * if given, otherwise exponential backoff with full jitter
+ * @param {Object} error - The Axios error
+ * @param {number} attempt - The attempt that failed, starting at 1
+ * @returns {number} The delay in milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = error.response ? parseRetryAfter(error.response.headers && error.response.headers['retry-after']) : null;
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Turns a failed request into a typed error (see errors.js) with a one-line message
+ * @param {Object} error - The Axios error, or any other error
+ * @returns {CliError} The typed error
+ */
+const toCliError = (error) => {
+  if (error instanceof CliError) {
+    return error;
+  }
+  
+  const attempts = error.attempts > 1 ? ` (after ${error.attempts} attempts)` : '';
+  const details = error.attempts > 1 ? { attempts: error.attempts } : undefined;
+  
+  if (error.response) {
+    const { status, data, statusText } = error.response;
+    const message = (data && data.message) || statusText;
+    const retryAfter = error.retryAfter ? ` (retry after ${error.retryAfter}s)` : '';
+    const ErrorClass = errorClassForStatus(status);
+    return new ErrorClass(`API Error: ${status} - ${message}${attempts}${retryAfter}`, {
+      status,
+      details: error.retryAfter ? { ...details, retryAfter: error.retryAfter } : details,
+      cause: error
+    });
+  } else if (error.request) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      const timeout = error.config && error.config.timeout ? error.config.timeout / 1000 : requestSettings.timeout;
+      return new NetworkError(`Network Error: Request timed out after ${timeout}s${attempts}`, { details, cause: error });
+    }
+    return new NetworkError(`Network Error: Unable to reach Cloudonix API${attempts}`, { details, cause: error });
+  }
+  return new CliError(`Error: ${error.message}`, { cause: error });
+};
+
+/**
+ * Milliseconds since a request was sent, for the log
+ * @param {Object} config - The Axios request config
+ * @returns {number|undefined} The duration, or undefined if the start was not recorded
+ */
+const elapsedSince = (config) => {
+  return config.startedAt ? Date.now() - config.startedAt : undefined;
+};
+
+/**
+ * Creates an API client with the given API key, or returns the one already created
+ * for the same key and settings
  * @param {string} apiKey - The API key to use for authentication
+ * @param {Object} [settings] - Settings for this client. Those not given are taken from
+ *   setApiBaseUrl() and setRequestSettings()
+ * @param {string} [settings.apiUrl] - The API base URL
+ * @param {number} [settings.timeout] - Request timeout in seconds, 0 to wait indefinitely
+ * @param {number} [settings.retries] - Number of retries after a failed attempt
  * @returns {Object} The API client
  */
-const createApiClient = (apiKey) => {
+const createApiClient = (apiKey, settings = {}) => {
+  const baseURL = settings.apiUrl ? settings.apiUrl.replace(/\/+$/, '') : apiBaseUrl;
+  const timeout = settings.timeout !== undefined ? settings.timeout : requestSettings.timeout;
+  const retries = settings.retries !== undefined ? settings.retries : requestSettings.retries;
+  
+  const cacheKey = `${baseURL} ${timeout} ${retries} ${apiKey}`;
+  if (clients.has(cacheKey)) {
+    return clients.get(cacheKey);
+  }
+  
+  addSecret(apiKey);
+  
   const client = axios.create({
-    baseURL: API_BASE_URL,
+    baseURL,
+    timeout: timeout * 1000,
+    // Set while recording or replaying a cassette (--record, --replay)
+    adapter: getCassetteAdapter(),
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
     }
   });
   
-  // Add request interceptor for debugging
+  // Log requests; headers and bodies only at the trace level, always with secrets redacted
   client.interceptors.request.use(request => {
+    request.startedAt = Date.now();
     debug(`REQUEST: ${request.method.toUpperCase()} ${request.baseURL}${request.url}`, {
+      method: request.method.toUpperCase(),
+      url: `${request.baseURL}${request.url}`,
+      params: request.params
+    });
+    trace('Request details', {
       headers: request.headers,
       data: request.data
     });
@@ -30,8 +209,14 @@ const createApiClient = (apiKey) => {
   client.interceptors.response.use(
     response => {
       debug(`RESPONSE: ${response.status} ${response.statusText}`, {
-        data: response.data,
-        headers: response.headers
+        method: response.config.method.toUpperCase(),
+        url: `${response.config.baseURL}${response.config.url}`,
+        status: response.status,
+        durationMs: elapsedSince(response.config)
+      });
+      trace('Response details', {
+        headers: response.headers,
+        data: response.data
       });
       
       // Ensure timestamps in log entries are preserved in full ISO format
@@ -72,222 +257,64 @@ const createApiClient = (apiKey) => {
       
       return response;
     },
-    error => {
+    async error => {
+      const timing = error.config
+        ? { method: (error.config.method || '').toUpperCase(), url: `${error.config.baseURL}${error.config.url}`, durationMs: elapsedSince(error.config) }
+        : {};
       if (error.response) {
         debug(`ERROR RESPONSE: ${error.response.status} ${error.response.statusText}`, {
-          data: error.response.data,
-          headers: error.response.headers
+          ...timing,
+          status: error.response.status,
+          data: error.response.data
         });
+        trace('Error response headers', { headers: error.response.headers });
       } else if (error.request) {
-        debug('ERROR: No response received', { request: error.request });
+        debug('ERROR: No response received', { ...timing, code: error.code, message: error.message });
       } else {
         debug('ERROR: Request setup failed', { message: error.message });
       }
-      return Promise.reject(error);
-    }
-  );
-  
-  return client;
-};
-
-/**
- * Validates a domain by attempting to fetch it
- * @param {string} domain - The domain name to validate
- * @param {string} apiKey - The API key for authentication
- * @returns {Promise<boolean>} Whether the domain is valid
- */
-const validateDomain = async (domain, apiKey) => {
-  try {
-    debug(`Validating domain '${domain}'`);
-    const client = createApiClient(apiKey);
-    const response = await client.get(`/customers/self/domains/${domain}`);
-    return response.status === 200;
-  } catch (error) {
-    if (error.response) {
-      console.error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
-    } else if (error.request) {
-      console.error(`Network Error: Unable to reach Cloudonix API`);
-    } else {
-      console.error(`Error: ${error.message}`);
-    }
-    return false;
-  }
-};
-
-/**
- * Gets detailed information about a domain
- * @param {string} domain - The domain name to fetch
- * @param {string} apiKey - The API key for authentication
- * @returns {Promise<Object>} The domain information
- */
-const getDomainInfo = async (domain, apiKey) => {
-  try {
-    debug(`Fetching information for domain '${domain}'`);
-    const client = createApiClient(apiKey);
-    const response = await client.get(`/customers/self/domains/${domain}`);
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error(`Network Error: Unable to reach Cloudonix API`);
-    } else {
-      throw new Error(`Error: ${error.message}`);
-    }
-  }
-};
-
-/**
- * Gets detailed information about a call session
- * @param {string} domain - The domain name
- * @param {string} sessionId - The session ID to fetch
- * @param {string} apiKey - The API key for authentication
- * @returns {Promise<Object>} The session information
- */
-const getSessionInfo = async (domain, sessionId, apiKey) => {
-  try {
-    debug(`Fetching information for session '${sessionId}' in domain '${domain}'`);
-    const client = createApiClient(apiKey);
-    const response = await client.get(`/customers/self/domains/${domain}/sessions/${sessionId}`);
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error(`Network Error: Unable to reach Cloudonix API`);
-    } else {
-      throw new Error(`Error: ${error.message}`);
-    }
-  }
-};
-
-/**
- * Gets detailed information about a domain's subscribers
- * @param {string} domain - The domain name
- * @param {string} apiKey - The API key for authentication
- * @param {string} [subscriberId] - Optional subscriber ID to fetch a specific subscriber
- * @returns {Promise<Object>} The subscriber information
- */
-const getSubscriberInfo = async (domain, apiKey, subscriberId = null) => {
-  try {
-    debug(`Fetching subscriber information for domain '${domain}'${subscriberId ? ` and subscriber '${subscriberId}'` : ' (all subscribers)'}`);
-    const client = createApiClient(apiKey);
-    
-    // Build the URL based on whether we're fetching a specific subscriber or all subscribers
-    const url = subscriberId 
-      ? `/customers/self/domains/${domain}/subscribers/${subscriberId}`
-      : `/customers/self/domains/${domain}/subscribers`;
       
-    const response = await client.get(url);
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error(`Network Error: Unable to reach Cloudonix API`);
-    } else {
-      throw new Error(`Error: ${error.message}`);
-    }
-  }
-};
-
-/**
- * Gets detailed information about a domain's applications
- * @param {string} domain - The domain name
- * @param {string} apiKey - The API key for authentication
- * @param {string} [applicationId] - Optional application ID to fetch a specific application
- * @returns {Promise<Object>} The application information
- */
-const getApplicationInfo = async (domain, apiKey, applicationId = null) => {
-  try {
-    debug(`Fetching application information for domain '${domain}'${applicationId ? ` and application '${applicationId}'` : ' (all applications)'}`);
-    const client = createApiClient(apiKey);
-    
-    // Build the URL based on whether we're fetching a specific application or all applications
-    const url = applicationId 
-      ? `/customers/self/domains/${domain}/applications/${applicationId}`
-      : `/customers/self/domains/${domain}/applications`;
+      const config = error.config;
+      const attempt = (config && config.retryAttempt) || 1;
+      error.attempts = attempt;
       
-    const response = await client.get(url);
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error(`Network Error: Unable to reach Cloudonix API`);
-    } else {
-      throw new Error(`Error: ${error.message}`);
-    }
-  }
-};
-
-/**
- * Gets detailed information about a domain's trunks
- * @param {string} domain - The domain name
- * @param {string} apiKey - The API key for authentication
- * @param {string} [trunkId] - Optional trunk ID to fetch a specific trunk
- * @returns {Promise<Object>} The trunk information
- */
-const getTrunkInfo = async (domain, apiKey, trunkId = null) => {
-  try {
-    debug(`Fetching trunk information for domain '${domain}'${trunkId ? ` and trunk '${trunkId}'` : ' (all trunks)'}`);
-    const client = createApiClient(apiKey);
-    
-    // Build the URL based on whether we're fetching a specific trunk or all trunks
-    const url = trunkId 
-      ? `/customers/self/domains/${domain}/trunks/${trunkId}`
-      : `/customers/self/domains/${domain}/trunks`;
+      if (config && attempt <= retries && isRetryable(error)) {
+        const delay = getRetryDelay(error, attempt);
+        
+        if (delay <= MAX_RETRY_AFTER_MS) {
+          info(`Retrying ${config.method.toUpperCase()} ${config.url} in ${delay}ms (attempt ${attempt + 1} of ${retries + 1})`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          return client.request({ ...config, retryAttempt: attempt + 1 });
+        }
+        error.retryAfter = Math.round(delay / 1000);
+      }
       
-    const response = await client.get(url);
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error(`Network Error: Unable to reach Cloudonix API`);
-    } else {
-      throw new Error(`Error: ${error.message}`);
+      return Promise.reject(toCliError(error));
     }
-  }
+  );
+  
+  clients.set(cacheKey, client);
+  return client;
 };
 
 /**
- * Gets detailed information about a domain's DNIDs
- * @param {string} domain - The domain name
- * @param {string} apiKey - The API key for authentication
- * @param {string} [dnidId] - Optional DNID ID to fetch a specific DNID
- * @returns {Promise<Object>} The DNID information
+ * Extracts the items of a list response, which is either an array or wrapped as { data: [...] }
+ * @param {*} data - The response body
+ * @returns {Array<Object>} The items
  */
-const getDnidInfo = async (domain, apiKey, dnidId = null) => {
-  try {
-    debug(`Fetching DNID information for domain '${domain}'${dnidId ? ` and DNID '${dnidId}'` : ' (all DNIDs)'}`);
-    const client = createApiClient(apiKey);
-    
-    // Build the URL based on whether we're fetching a specific DNID or all DNIDs
-    const url = dnidId 
-      ? `/customers/self/domains/${domain}/dnids/${dnidId}`
-      : `/customers/self/domains/${domain}/dnids`;
-      
-    const response = await client.get(url);
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`API Error: ${error.response.status} - ${error.response.data.message || error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error(`Network Error: Unable to reach Cloudonix API`);
-    } else {
-      throw new Error(`Error: ${error.message}`);
-    }
+const toList = (data) => {
+  if (Array.isArray(data)) {
+    return data;
   }
+  return data && Array.isArray(data.data) ? data.data : [];
 };
 
 module.exports = {
+  DEFAULT_API_BASE_URL,
+  setApiBaseUrl,
+  getApiBaseUrl,
+  setRequestSettings,
+  getRequestSettings,
   createApiClient,
-  validateDomain,
-  getDomainInfo,
-  getSessionInfo,
-  getSubscriberInfo,
-  getApplicationInfo,
-  getTrunkInfo,
-  getDnidInfo
+  toList
 };
\ No newline at end of file
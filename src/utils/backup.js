@@ -0,0 +1,321 @@
+/**
+ * Domain backups: a .tgz archive holding every resource of a domain as returned by
+ * the API, and a restore that recreates them in a domain, resumable through a journal
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const tar = require('tar');
+const { promisify } = require('util');
+const stream = require('stream');
+const { RESOURCES } = require('./snapshot');
+const { isPlainObject } = require('./diff');
+const { ValidationError } = require('./errors');
+const { version: cliVersion } = require('../../package.json');
+
+const pipeline = promisify(stream.pipeline);
+
+const BACKUP_FORMAT = 'cx-cli-backup';
+const BACKUP_VERSION = 1;
+const METADATA_FILE = 'metadata.json';
+const DOMAIN_FILE = 'domain.json';
+
+// Fields the API assigns itself; they are dropped when a resource is recreated
+const ASSIGNED_FIELDS = ['id', 'customerId', 'domainId', 'domain', 'createdAt', 'modifiedAt', 'deletedAt'];
+
+/**
+ * Reads everything needed to rebuild a domain: its settings and every page of every resource
+ * @param {CloudonixClient} client - The client for the domain
+ * @param {Function} [onResource] - Called with ({ key, count }) after each resource type is read
+ * @returns {Promise<Object>} The backup (metadata, domain and one list per resource type)
+ */
+const readBackup = async (client, onResource = () => {}) => {
+  const backup = { domain: await client.domains.get() };
+  const counts = {};
+  
+  for (const { key } of RESOURCES) {
+    const items = await client[key].listAll();
+    backup[key] = Array.isArray(items) ? items : [];
+    counts[key] = backup[key].length;
+    onResource({ key, count: counts[key] });
+  }
+  
+  backup.metadata = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    cliVersion,
+    apiBaseUrl: client.apiUrl,
+    domain: client.domain,
+    counts
+  };
+  
+  return backup;
+};
+
+/**
+ * Runs a function with a temporary directory, removing the directory afterwards
+ * @param {Function} work - Called with the directory path
+ * @returns {Promise<*>} What the function returned
+ */
+const withTempDir = async (work) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cx-backup-'));
+  try {
+    return await work(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+/**
+ * Writes a backup to a gzipped tar archive. The archive holds secrets such as SIP
+ * passwords, so it is only readable by the current user.
+ * @param {Object} backup - The backup from readBackup()
+ * @param {string} file - The archive path
+ */
+const writeBackup = async (backup, file) => {
+  await withTempDir(async (dir) => {
+    const entries = [METADATA_FILE, DOMAIN_FILE, ...RESOURCES.map(({ key }) => `${key}.json`)];
+    
+    await fs.writeJson(path.join(dir, METADATA_FILE), backup.metadata, { spaces: 2 });
+    await fs.writeJson(path.join(dir, DOMAIN_FILE), backup.domain, { spaces: 2 });
+    for (const { key } of RESOURCES) {
+      await fs.writeJson(path.join(dir, `${key}.json`), backup[key], { spaces: 2 });
+    }
+    
+    await fs.ensureDir(path.dirname(path.resolve(file)));
+    
+    // The archive holds SIP passwords and API keys: restrict it before the first byte is
+    // written, also when it replaces an older file
+    const fd = await fs.open(file, 'w', 0o600);
+    try {
+      await fs.fchmod(fd, 0o600);
+    } catch (error) {
+      await fs.close(fd);
+      throw error;
+    }
+    await pipeline(tar.c({ gzip: true, cwd: dir, portable: true }, entries), fs.createWriteStream(null, { fd }));
+  });
+};
+
+/**
+ * Reads a backup archive written by writeBackup()
+ * @param {string} file - The archive path
+ * @returns {Promise<Object>} The backup (metadata, domain and one list per resource type)
+ */
+const readBackupFile = async (file) => {
+  if (!(await fs.pathExists(file))) {
+    throw new ValidationError(`File '${file}' not found`);
+  }
+  
+  return withTempDir(async (dir) => {
+    try {
+      await tar.x({ file, cwd: dir, strict: true });
+    } catch (error) {
+      throw new ValidationError(`Cannot read '${file}': ${error.message}`);
+    }
+    
+    const metadataFile = path.join(dir, METADATA_FILE);
+    const metadata = (await fs.pathExists(metadataFile)) ? await fs.readJson(metadataFile) : null;
+    
+    if (!metadata || metadata.format !== BACKUP_FORMAT) {
+      throw new ValidationError(`'${file}' is not a cx-cli backup`);
+    }
+    if (metadata.version > BACKUP_VERSION) {
+      throw new ValidationError(`'${file}' uses backup version ${metadata.version}, this cx-cli supports up to ${BACKUP_VERSION}`);
+    }
+    
+    const backup = { metadata, domain: await fs.readJson(path.join(dir, DOMAIN_FILE)) };
+    for (const { key } of RESOURCES) {
+      const items = await fs.readJson(path.join(dir, `${key}.json`));
+      if (!Array.isArray(items)) {
+        throw new ValidationError(`'${key}.json' in '${file}' must hold a list`);
+      }
+      backup[key] = items;
+    }
+    
+    return backup;
+  });
+};
+
+/**
+ * Opens the journal of a restore, creating it when there is none yet. The journal
+ * records each finished step and the new ID of each resource, so an interrupted
+ * restore continues where it stopped.
+ * @param {string} file - The journal path
+ * @param {Object} backup - The backup being restored
+ * @param {string} domain - The domain being restored into
+ * @returns {Promise<Object>} The journal ({ file, state, resumed, isDone, record, remove })
+ */
+const openJournal = async (file, backup, domain) => {
+  let state = null;
+  
+  if (await fs.pathExists(file)) {
+    state = await fs.readJson(file);
+    if (state.domain !== domain || state.backupCreatedAt !== backup.metadata.createdAt) {
+      throw new ValidationError(`Journal '${file}' belongs to a restore of another backup or domain (${state.domain}). Remove it or use --journal`);
+    }
+  }
+  
+  const resumed = Boolean(state);
+  state = state || {
+    domain,
+    sourceDomain: backup.metadata.domain,
+    backupCreatedAt: backup.metadata.createdAt,
+    startedAt: new Date().toISOString(),
+    steps: {}
+  };
+  
+  return {
+    file,
+    state,
+    resumed,
+    isDone: (step) => Boolean(state.steps[step]),
+    record: async (step, entry) => {
+      state.steps[step] = { ...entry, at: new Date().toISOString() };
+      await fs.writeJson(file, state, { spaces: 2 });
+    },
+    remove: () => fs.remove(file)
+  };
+};
+
+/**
+ * Turns a resource from a backup into the fields sent to create it again
+ * @param {string} type - The resource type
+ * @param {Object} item - The resource as stored in the backup
+ * @param {Object} idMap - New application IDs by backed-up application ID
+ * @returns {Object} The fields to send
+ */
+const toCreateFields = (type, item, idMap) => {
+  const fields = {};
+  Object.entries(item).forEach(([key, value]) => {
+    if (!ASSIGNED_FIELDS.includes(key)) {
+      fields[key] = value;
+    }
+  });
+  
+  // The API returns the SIP password as sipPassword but expects sip-password on create
+  if (type === 'subscriber' && fields.sipPassword !== undefined) {
+    if (fields['sip-password'] === undefined) {
+      fields['sip-password'] = fields.sipPassword;
+    }
+    delete fields.sipPassword;
+  }
+  
+  // Applications get new IDs in the target domain, so DNIDs are pointed at the new ones
+  if (type === 'dnid' && fields.applicationId !== undefined) {
+    const newId = idMap[String(fields.applicationId)];
+    if (newId !== undefined) {
+      fields.applicationId = newId;
+    } else {
+      delete fields.applicationId;
+    }
+  }
+  
+  return fields;
+};
+
+/**
+ * Lists the steps of a restore in dependency order: domain settings first, then
+ * applications, trunks, subscribers and DNIDs
+ * @param {Object} backup - The backup
+ * @returns {Array<Object>} The steps ({ step, type, key, item })
+ */
+const planRestore = (backup) => {
+  const steps = [];
+  
+  if (isPlainObject(backup.domain)) {
+    steps.push({ step: 'settings', type: 'settings', key: 'settings', item: backup.domain });
+  }
+  
+  RESOURCES.forEach(({ key, type, identity }) => {
+    backup[key].forEach(item => {
+      const name = String(item[identity]);
+      steps.push({ step: `${key}:${name}`, type, key: name, item });
+    });
+  });
+  
+  return steps;
+};
+
+/**
+ * Recreates the resources of a backup in a domain. Resources that already exist there
+ * (by name, MSISDN or number) are kept as they are. Every finished step is written to
+ * the journal, and steps found in the journal are skipped.
+ * @param {CloudonixClient} client - The client for the domain to restore into
+ * @param {Object} backup - The backup from readBackupFile()
+ * @param {Object} journal - The journal from openJournal()
+ * @param {Object} [options] - Restore options
+ * @param {boolean} [options.dryRun] - Only work out what would be done
+ * @param {Function} [options.onStep] - Called with ({ step, type, key, status, oldId, newId }) after each step
+ * @returns {Promise<Array<Object>>} The result of each step
+ */
+const restoreBackup = async (client, backup, journal, { dryRun, onStep = () => {} } = {}) => {
+  const steps = planRestore(backup);
+  const idMap = {};
+  const results = [];
+  
+  // IDs assigned by an earlier, interrupted run
+  Object.values(journal.state.steps).forEach(({ type, oldId, newId }) => {
+    if (type === 'application' && oldId !== undefined && newId !== undefined) {
+      idMap[String(oldId)] = newId;
+    }
+  });
+  
+  const existing = {};
+  for (const { key, type, identity } of RESOURCES) {
+    const items = await client[key].listAll();
+    existing[type] = new Map((Array.isArray(items) ? items : []).map(item => [String(item[identity]), item]));
+  }
+  
+  for (const { step, type, key, item } of steps) {
+    const oldId = item.id;
+    let status;
+    let newId;
+    
+    if (journal.isDone(step)) {
+      status = 'done';
+      newId = journal.state.steps[step].newId;
+    } else if (type === 'settings') {
+      status = 'updated';
+      if (!dryRun) {
+        await client.domains.update(null, toCreateFields(type, item, idMap));
+      }
+    } else if (existing[type].has(key)) {
+      status = 'exists';
+      newId = existing[type].get(key).id;
+    } else {
+      status = 'created';
+      if (!dryRun) {
+        const resource = RESOURCES.find(candidate => candidate.type === type);
+        const created = await client[resource.key].create(toCreateFields(type, item, idMap));
+        newId = created && created.id;
+      }
+    }
+    
+    if (type === 'application' && oldId !== undefined && newId !== undefined) {
+      idMap[String(oldId)] = newId;
+    }
+    
+    const result = { step, type, key, status, oldId, newId };
+    if (!dryRun && status !== 'done') {
+      await journal.record(step, { type, status, oldId, newId });
+    }
+    
+    results.push(result);
+    onStep(result);
+  }
+  
+  return results;
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  readBackup,
+  writeBackup,
+  readBackupFile,
+  openJournal,
+  restoreBackup
+};
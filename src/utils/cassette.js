@@ -0,0 +1,331 @@
+/**
+ * Recording and replaying API traffic. A cassette holds every request made through the
+ * API client with its raw response, secrets redacted, so a command can be reproduced
+ * offline exactly as the user ran it.
+ */
+
+const fs = require('fs');
+const { isDeepStrictEqual } = require('util');
+const axios = require('axios');
+const { redact, debug } = require('./debug');
+const { CliError, ValidationError } = require('./errors');
+const package = require('../../package.json');
+
+const CASSETTE_FORMAT = 'cx-cli-cassette';
+const CASSETTE_VERSION = 1;
+
+// Query parameters holding times, which change on every run when given relative to now (--from 1h)
+const TIME_PARAMS = ['from', 'to'];
+
+// The cassette being recorded or replayed, if any
+let recording = null;
+let replaying = null;
+
+/**
+ * Redacts a raw request or response body. JSON bodies keep their exact text unless
+ * they contain secret fields.
+ * @param {string} [body] - The raw body
+ * @returns {string|undefined} The redacted body
+ */
+const redactBody = (body) => {
+  if (body === undefined || body === null || body === '') {
+    return undefined;
+  }
+  const text = typeof body === 'string' ? body : String(body);
+  
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return redact(text);
+  }
+  const redacted = redact(parsed);
+  return isDeepStrictEqual(redacted, parsed) ? redact(text) : JSON.stringify(redacted);
+};
+
+/**
+ * Describes the URL of a request: the full URL, and the path with the query string,
+ * which is what replayed requests are matched on
+ * @param {Object} config - The Axios request config
+ * @returns {{url: string, path: string}} The URLs
+ */
+const describeUrl = (config) => {
+  const url = axios.getUri(config);
+  const parsed = new URL(url);
+  return { url, path: `${parsed.pathname}${parsed.search}` };
+};
+
+/**
+ * Gets the key replayed requests are matched on: the path with the query parameters in
+ * name order, leaving out time parameters
+ * @param {string} path - The path with the query string
+ * @returns {string} The key
+ */
+const matchKey = (path) => {
+  const parsed = new URL(path, 'http://cassette');
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !TIME_PARAMS.includes(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  return `${parsed.pathname}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Writes the cassette being recorded. It is rewritten after every request, so nothing
+ * is lost when a command exits early.
+ */
+const saveRecording = () => {
+  fs.writeFileSync(recording.file, `${JSON.stringify(recording.cassette, null, 2)}\n`, { mode: 0o600 });
+};
+
+/**
+ * Starts recording every API request and response to a cassette file
+ * @param {string} file - The cassette path. An existing file is replaced
+ */
+const startRecording = (file) => {
+  // Commands run from the shell keep adding to the same cassette
+  if (recording && recording.file === file) {
+    return;
+  }
+  recording = {
+    file,
+    cassette: {
+      format: CASSETTE_FORMAT,
+      version: CASSETTE_VERSION,
+      cliVersion: package.version,
+      recordedAt: new Date().toISOString(),
+      entries: []
+    }
+  };
+  saveRecording();
+};
+
+/**
+ * Reads and checks a cassette file
+ * @param {string} file - The cassette path
+ * @returns {Object} The cassette
+ */
+const readCassette = (file) => {
+  let cassette;
+  try {
+    cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(error.code === 'ENOENT' ? `Cassette '${file}' not found` : `Cassette '${file}' is not valid JSON: ${error.message}`);
+  }
+  
+  if (!cassette || cassette.format !== CASSETTE_FORMAT || !Array.isArray(cassette.entries)) {
+    throw new ValidationError(`'${file}' is not a cx-cli cassette`);
+  }
+  if (cassette.version > CASSETTE_VERSION) {
+    throw new ValidationError(`Cassette '${file}' has version ${cassette.version}, this cx-cli reads up to version ${CASSETTE_VERSION}. Upgrade cx-cli to replay it.`);
+  }
+  return cassette;
+};
+
+/**
+ * Starts serving API responses from a cassette instead of the network
+ * @param {string} file - The cassette path
+ */
+const startReplay = (file) => {
+  if (replaying && replaying.file === file) {
+    return;
+  }
+  const cassette = readCassette(file);
+  replaying = { file, cassette, used: new Set() };
+  debug(`Replaying ${cassette.entries.length} recorded requests from '${file}'`);
+};
+
+/**
+ * Wraps the network adapter to record each exchange
+ * @param {Function} adapter - The Axios network adapter
+ * @returns {Function} The recording adapter
+ */
+const recordingAdapter = (adapter) => async (config) => {
+  const startedAt = new Date();
+  const { url, path } = describeUrl(config);
+  const entry = {
+    startedAt: startedAt.toISOString(),
+    durationMs: 0,
+    request: {
+      method: config.method.toUpperCase(),
+      url: redact(url),
+      path: redact(path),
+      headers: redact(config.headers),
+      body: redactBody(config.data)
+    }
+  };
+  
+  /**
+   * Adds the entry to the cassette once the exchange is over
+   * @param {Object} [response] - The response, if one was received
+   * @param {Object} [error] - The network error otherwise
+   */
+  const record = (response, error) => {
+    entry.durationMs = Date.now() - startedAt.getTime();
+    if (response) {
+      entry.response = {
+        status: response.status,
+        statusText: response.statusText,
+        headers: redact(response.headers),
+        body: redactBody(response.data)
+      };
+    } else {
+      entry.error = { code: error.code, message: error.message };
+    }
+    recording.cassette.entries.push(entry);
+    saveRecording();
+  };
+  
+  try {
+    const response = await adapter(config);
+    record(response);
+    return response;
+  } catch (error) {
+    record(error.response, error);
+    throw error;
+  }
+};
+
+/**
+ * Answers requests with the next unused recorded exchange for the same method and path.
+ * An exact match is preferred; otherwise the query may differ in parameter order and in
+ * its from/to times, so commands run with relative times such as --from 1h replay too.
+ * Responses go through the same status handling as real ones.
+ * @param {Object} config - The Axios request config
+ * @returns {Promise<Object>} The recorded response
+ */
+const replayAdapter = async (config) => {
+  const method = config.method.toUpperCase();
+  const { path } = describeUrl(config);
+  const key = matchKey(path);
+  const findEntry = (matches) => replaying.cassette.entries.findIndex((entry, position) => {
+    return !replaying.used.has(position) && entry.request.method === method && matches(entry.request.path);
+  });
+  
+  let index = findEntry(recordedPath => recordedPath === path);
+  if (index < 0) {
+    index = findEntry(recordedPath => matchKey(recordedPath) === key);
+  }
+  
+  if (index < 0) {
+    throw new CliError(`No recorded response for ${method} ${key} in cassette '${replaying.file}' (requests match on method, path and query, ignoring ${TIME_PARAMS.join('/')} times)`);
+  }
+  replaying.used.add(index);
+  
+  const entry = replaying.cassette.entries[index];
+  const request = { method, path, replayed: true };
+  
+  if (!entry.response) {
+    throw new axios.AxiosError(entry.error.message, entry.error.code, config, request);
+  }
+  
+  const response = {
+    data: entry.response.body === undefined ? '' : entry.response.body,
+    status: entry.response.status,
+    statusText: entry.response.statusText,
+    headers: axios.AxiosHeaders.from(entry.response.headers || {}),
+    config,
+    request
+  };
+  const { validateStatus } = config;
+  if (!validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+  const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+  throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, request, response);
+};
+
+/**
+ * Returns the adapter API clients use while recording or replaying
+ * @returns {Function|undefined} The adapter, or undefined to use the network as usual
+ */
+const getCassetteAdapter = () => {
+  if (replaying) {
+    return replayAdapter;
+  }
+  if (recording) {
+    return recordingAdapter(axios.getAdapter(axios.defaults.adapter));
+  }
+  return undefined;
+};
+
+/**
+ * Converts headers to HAR name/value pairs
+ * @param {Object} [headers] - The headers
+ * @returns {Array<Object>} The HAR headers
+ */
+const toHarHeaders = (headers = {}) => {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+};
+
+/**
+ * Converts a cassette to HAR 1.2, for browser developer tools and HAR viewers.
+ * Requests that got no response have status 0 and the error in _error.
+ * @param {Object} cassette - The cassette
+ * @returns {Object} The HAR document
+ */
+const toHar = (cassette) => {
+  const entries = cassette.entries.map(entry => {
+    const url = new URL(entry.request.url);
+    const requestHeaders = entry.request.headers || {};
+    const request = {
+      method: entry.request.method,
+      url: entry.request.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(requestHeaders),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: entry.request.body ? Buffer.byteLength(entry.request.body) : 0
+    };
+    if (entry.request.body) {
+      request.postData = { mimeType: requestHeaders['Content-Type'] || 'application/json', text: entry.request.body };
+    }
+    
+    const recorded = entry.response || { status: 0, statusText: '', headers: {} };
+    const body = recorded.body || '';
+    const response = {
+      status: recorded.status,
+      statusText: recorded.statusText,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(recorded.headers),
+      content: {
+        size: Buffer.byteLength(body),
+        mimeType: (recorded.headers && recorded.headers['content-type']) || 'application/json',
+        text: body
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: Buffer.byteLength(body)
+    };
+    if (entry.error) {
+      response._error = entry.error;
+    }
+    
+    return {
+      startedDateTime: entry.startedAt,
+      time: entry.durationMs,
+      request,
+      response,
+      cache: {},
+      timings: { send: 0, wait: entry.durationMs, receive: 0 }
+    };
+  });
+  
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'cx-cli', version: cassette.cliVersion || package.version },
+      entries
+    }
+  };
+};
+
+module.exports = {
+  startRecording,
+  startReplay,
+  readCassette,
+  getCassetteAdapter,
+  toHar
+};
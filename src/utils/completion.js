@@ -0,0 +1,92 @@
+/**
+ * Completion scripts for bash, zsh and fish. The scripts ask `cx-cli __complete` for the
+ * candidates, so completion always matches the installed version's commands and options.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { CONFIG_FILE } = require('./config');
+
+const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+
+// Resource names and IDs fetched for completion, by domain and option
+const CACHE_FILE = path.join(path.dirname(CONFIG_FILE), 'completion-cache.json');
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Builds the completion script for a shell
+ * @param {string} shell - One of bash, zsh or fish
+ * @param {Object} [options] - Script options
+ * @param {boolean} [options.resourceIds] - Also complete resource names and IDs, fetched from the API
+ * @returns {string} The script
+ */
+const completionScript = (shell, { resourceIds } = {}) => {
+  const command = `cx-cli __complete${resourceIds ? ' --resource-ids' : ''} --`;
+
+  if (shell === 'bash') {
+    return `# cx-cli completion for bash. Add this line to ~/.bashrc:
+#   source <(cx-cli completion bash)
+_cx_cli_complete() {
+  local IFS=$'\\n'
+  COMPREPLY=($(${command} "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))
+}
+complete -o default -F _cx_cli_complete cx-cli
+`;
+  }
+
+  if (shell === 'zsh') {
+    return `#compdef cx-cli
+# cx-cli completion for zsh. Add this line to ~/.zshrc, after compinit:
+#   source <(cx-cli completion zsh)
+_cx_cli() {
+  local -a candidates
+  candidates=(\${(f)"$(${command} "\${(@)words[2,CURRENT]}" 2>/dev/null)"})
+  compadd -- $candidates
+}
+compdef _cx_cli cx-cli
+`;
+  }
+
+  return `# cx-cli completion for fish. Save it as ~/.config/fish/completions/cx-cli.fish:
+#   cx-cli completion fish > ~/.config/fish/completions/cx-cli.fish
+function __cx_cli_complete
+    set -l tokens (commandline -opc)
+    set -l current (commandline -ct)
+    ${command} $tokens[2..-1] "$current" 2>/dev/null
+end
+complete -c cx-cli -f -a '(__cx_cli_complete)'
+`;
+};
+
+/**
+ * Returns resource names and IDs from the completion cache, fetching them when they
+ * are missing or older than a few minutes
+ * @param {string} domain - The domain name
+ * @param {string} flag - The option, e.g. --trunk
+ * @param {Function} fetch - Resolves to the values when they need to be fetched
+ * @returns {Promise<Array<string>>} The values
+ */
+const getCachedValues = async (domain, flag, fetch) => {
+  let cache = {};
+  try {
+    cache = await fs.readJson(CACHE_FILE);
+  } catch (error) {
+    // No cache yet, or an unreadable one that is simply replaced
+  }
+
+  const entry = cache[domain] && cache[domain][flag];
+  if (entry && Date.now() - entry.fetchedAt < CACHE_TTL_MS) {
+    return entry.values;
+  }
+
+  const values = await fetch();
+  cache[domain] = { ...cache[domain], [flag]: { fetchedAt: Date.now(), values } };
+  await fs.writeJson(CACHE_FILE, cache, { mode: 0o600 });
+  return values;
+};
+
+module.exports = {
+  COMPLETION_SHELLS,
+  completionScript,
+  getCachedValues
+};
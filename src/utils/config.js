@@ -2,46 +2,175 @@ const fs = require('fs-extra');
 const os = require('os');
 const path = require('path');
 const yaml = require('yaml');
+const { encryptSecrets, decryptSecrets } = require('./crypto');
+const { askHidden } = require('./prompt');
+const { ConfigError } = require('./errors');
 
 const CONFIG_DIR = path.join(os.homedir(), '.cx-cli');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.yaml');
+const CONFIG_VERSION = 2;
+
+// Last text read from the config file, with the file's modification time and size
+let configText = null;
+
+// Passphrase of an encrypted config, kept in memory once unlocked so saving re-encrypts the API keys
+let storePassphrase = null;
 
 /**
  * Ensures the config directory exists
  */
 const ensureConfigDir = async () => {
-  await fs.ensureDir(CONFIG_DIR);
+  await fs.ensureDir(CONFIG_DIR, { mode: 0o700 });
 };
 
 /**
- * Loads the configuration file
- * @returns {Object} The configuration object
+ * Gets the passphrase for the encrypted credentials, from CX_PASSPHRASE or a prompt
+ * @returns {Promise<string>} The passphrase
+ */
+const getPassphrase = async () => {
+  if (storePassphrase) {
+    return storePassphrase;
+  }
+  if (process.env.CX_PASSPHRASE) {
+    return process.env.CX_PASSPHRASE;
+  }
+  if (!process.stdin.isTTY) {
+    throw new ConfigError('The configuration is locked. Set CX_PASSPHRASE to unlock it in non-interactive sessions.');
+  }
+  return askHidden('Passphrase for the cx-cli configuration: ');
+};
+
+/**
+ * Migrates a version 1 configuration (one API key per domain under `domains`)
+ * to named profiles, one profile per domain named after the domain
+ * @param {Object} config - The configuration object as read from file
+ * @returns {{config: Object, migrated: boolean}} The current configuration and whether it changed
  */
-const loadConfig = async () => {
+const migrateConfig = (config) => {
+  if (config.version === CONFIG_VERSION && config.profiles) {
+    return { config, migrated: false };
+  }
+  
+  const migratedConfig = {
+    ...config,
+    version: CONFIG_VERSION,
+    profiles: { ...(config.profiles || {}) }
+  };
+  
+  Object.entries(config.domains || {}).forEach(([domain, details]) => {
+    if (!migratedConfig.profiles[domain]) {
+      migratedConfig.profiles[domain] = { domain, apiKey: (details && details.apiKey) || '' };
+    }
+  });
+  delete migratedConfig.domains;
+  
+  return { config: migratedConfig, migrated: true };
+};
+
+/**
+ * Reads the text of the configuration file. The text is kept in memory and only read
+ * again when the file changed, so commands run from the shell don't hit the disk each time.
+ * @returns {Promise<string>} The file content
+ */
+const readConfigText = async () => {
+  const { mtimeMs, size } = await fs.stat(CONFIG_FILE);
+  
+  if (!configText || configText.mtimeMs !== mtimeMs || configText.size !== size) {
+    configText = { mtimeMs, size, content: await fs.readFile(CONFIG_FILE, 'utf8') };
+  }
+  
+  return configText.content;
+};
+
+/**
+ * Reads the configuration file as stored, migrating older formats automatically
+ * @returns {Promise<Object|null>} The stored configuration, or null if there is no config file
+ */
+const readConfigFile = async () => {
   await ensureConfigDir();
   
   try {
     if (await fs.pathExists(CONFIG_FILE)) {
-      const fileContent = await fs.readFile(CONFIG_FILE, 'utf8');
-      return yaml.parse(fileContent) || { domains: {} };
+      const fileContent = await readConfigText();
+      const { config, migrated } = migrateConfig(yaml.parse(fileContent) || {});
+      
+      if (migrated) {
+        await saveConfig(config);
+      }
+      
+      return config;
     }
   } catch (error) {
     console.error('Error loading configuration:', error.message);
   }
   
-  return { domains: {} };
+  return null;
 };
 
 /**
- * Saves the configuration to file
+ * Loads the configuration file, transparently decrypting the API keys of a locked configuration
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.decrypt=true] - Whether to decrypt a locked configuration.
+ *   Without decryption, the API keys of a locked configuration are left out
+ * @returns {Object} The configuration object
+ */
+const loadConfig = async ({ decrypt = true } = {}) => {
+  const stored = await readConfigFile();
+  
+  if (!stored) {
+    return { version: CONFIG_VERSION, profiles: {} };
+  }
+  
+  if (!stored.encrypted || !decrypt) {
+    return stored;
+  }
+  
+  const passphrase = await getPassphrase();
+  const secrets = decryptSecrets(stored.encrypted, passphrase);
+  storePassphrase = passphrase;
+  
+  // The decrypted keys go back into the profiles, and the encrypted block is dropped
+  const config = { ...stored };
+  delete config.encrypted;
+  Object.entries(secrets).forEach(([name, apiKey]) => {
+    if (config.profiles[name]) {
+      config.profiles[name] = { ...config.profiles[name], apiKey };
+    }
+  });
+  
+  return config;
+};
+
+/**
+ * Saves the configuration to file, readable by the current user only.
+ * API keys are encrypted when the configuration is locked.
  * @param {Object} config - The configuration object to save
  */
 const saveConfig = async (config) => {
   await ensureConfigDir();
   
   try {
-    const yamlString = yaml.stringify(config);
-    await fs.writeFile(CONFIG_FILE, yamlString, 'utf8');
+    let stored = config;
+    
+    if (storePassphrase && !config.encrypted) {
+      // Move the API keys out of the profiles into the encrypted envelope
+      const profiles = {};
+      const secrets = {};
+      Object.entries(config.profiles || {}).forEach(([name, { apiKey, ...settings }]) => {
+        profiles[name] = settings;
+        if (apiKey) {
+          secrets[name] = apiKey;
+        }
+      });
+      stored = { ...config, profiles, encrypted: encryptSecrets(secrets, storePassphrase) };
+    }
+    
+    const yamlString = yaml.stringify(stored);
+    configText = null;
+    await fs.writeFile(CONFIG_FILE, yamlString, { encoding: 'utf8', mode: 0o600 });
+    
+    // The mode only applies to new files, so fix permissions of existing ones too
+    await fs.chmod(CONFIG_FILE, 0o600);
   } catch (error) {
     console.error('Error saving configuration:', error.message);
     throw error;
@@ -49,24 +178,190 @@ const saveConfig = async (config) => {
 };
 
 /**
- * Adds or updates a domain in the configuration
- * @param {string} domain - The domain name
- * @param {string} apiKey - The API key for the domain
+ * Checks whether the API keys in the configuration file are encrypted
+ * @returns {Promise<boolean>} Whether the configuration is locked
+ */
+const isConfigLocked = async () => {
+  const stored = await readConfigFile();
+  return Boolean(stored && stored.encrypted);
+};
+
+/**
+ * Encrypts the API keys in the configuration file with a passphrase
+ * @param {string} passphrase - The passphrase
+ */
+const lockConfig = async (passphrase) => {
+  if (await isConfigLocked()) {
+    throw new ConfigError('The configuration is already locked');
+  }
+  
+  const config = await loadConfig();
+  storePassphrase = passphrase;
+  await saveConfig(config);
+};
+
+/**
+ * Decrypts the API keys in the configuration file and stores them in plain text again
  */
-const addDomain = async (domain, apiKey) => {
+const unlockConfig = async () => {
+  if (!(await isConfigLocked())) {
+    throw new ConfigError('The configuration is not locked');
+  }
+  
+  const config = await loadConfig();
+  storePassphrase = null;
+  await saveConfig(config);
+};
+
+/**
+ * Gets the permission bits of the configuration file
+ * @returns {Promise<number|null>} The file mode (e.g. 0o600), or null if there is no config file
+ */
+const getConfigFileMode = async () => {
+  if (!(await fs.pathExists(CONFIG_FILE))) {
+    return null;
+  }
+  const stats = await fs.stat(CONFIG_FILE);
+  return stats.mode & 0o777;
+};
+
+/**
+ * Adds or updates a named profile in the configuration
+ * @param {string} name - The profile name
+ * @param {Object} profile - The profile settings
+ * @param {string} profile.domain - The domain name
+ * @param {string} profile.apiKey - The API key for the domain
+ * @param {string} [profile.apiUrl] - The API base URL
+ * @param {number} [profile.timeout] - The request timeout in seconds
+ * @param {number} [profile.retries] - The number of retries for failed requests
+ * @param {string} [profile.output] - The default output format
+ * @param {boolean} [makeDefault=false] - Whether to make this the default profile
+ */
+const saveProfile = async (name, profile, makeDefault = false) => {
   const config = await loadConfig();
   
-  if (!config.domains) {
-    config.domains = {};
+  // Drop unset settings so the file only holds what was configured
+  const settings = {};
+  Object.entries(profile).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      settings[key] = value;
+    }
+  });
+  
+  config.profiles[name] = settings;
+  
+  if (makeDefault) {
+    config.defaultProfile = name;
   }
   
-  config.domains[domain] = { apiKey };
+  await saveConfig(config);
+};
+
+/**
+ * Finds the profile for a domain: a profile named after the domain, the
+ * default profile if it uses the domain, or the first profile that does
+ * @param {Object} config - The configuration object
+ * @param {string} domain - The domain name
+ * @returns {string|undefined} The profile name
+ */
+const findProfileForDomain = (config, domain) => {
+  const profiles = config.profiles || {};
+  
+  if (profiles[domain] && (!profiles[domain].domain || profiles[domain].domain === domain)) {
+    return domain;
+  }
   
+  const defaultProfile = profiles[config.defaultProfile];
+  if (defaultProfile && defaultProfile.domain === domain) {
+    return config.defaultProfile;
+  }
+  
+  return Object.keys(profiles).find(name => profiles[name].domain === domain);
+};
+
+/**
+ * Resolves the profile to use for a command. The profile is chosen by, in order:
+ * --profile or CX_PROFILE, --domain or CX_DOMAIN, and the default profile.
+ * CX_DOMAIN and CX_APIKEY can be used without any config file, and a locked
+ * configuration is only decrypted when the API key has to come from it.
+ * @param {Object} [options] - Command options
+ * @param {string} [options.profile] - The profile name
+ * @param {string} [options.domain] - The domain name
+ * @returns {Promise<Object>} The resolved profile (name, domain, apiKey, apiUrl, output)
+ */
+const resolveProfile = async ({ profile, domain } = {}) => {
+  const config = await loadConfig({ decrypt: false });
+  const env = process.env;
+  const profileName = profile || env.CX_PROFILE;
+  const domainName = domain || env.CX_DOMAIN;
+  
+  let name;
+  if (profileName) {
+    if (!config.profiles[profileName]) {
+      throw new ConfigError(`Profile '${profileName}' not found in configuration. Use 'cx-cli configure' to add it.`);
+    }
+    name = profileName;
+  } else if (domainName) {
+    name = findProfileForDomain(config, domainName);
+    if (!name && !env.CX_APIKEY) {
+      throw new ConfigError(`Domain '${domainName}' not found in configuration. Use 'cx-cli configure' to add it.`);
+    }
+  } else if (config.defaultProfile && config.profiles[config.defaultProfile]) {
+    name = config.defaultProfile;
+  } else {
+    throw new ConfigError('No domain selected. Use --domain or --profile, or set a default with \'cx-cli profile use <name>\'.');
+  }
+  
+  const resolved = { name: name || 'environment', ...(name ? config.profiles[name] : {}) };
+  
+  // An explicit --domain wins over the profile's domain, and the environment wins over the file
+  if (domainName) {
+    resolved.domain = domainName;
+  }
+  
+  if (!resolved.domain) {
+    throw new ConfigError(`Profile '${resolved.name}' has no domain configured`);
+  }
+  
+  if (env.CX_APIKEY) {
+    resolved.apiKey = env.CX_APIKEY;
+  } else if (name && config.encrypted) {
+    const unlocked = await loadConfig();
+    resolved.apiKey = unlocked.profiles[name].apiKey;
+  }
+  
+  if (!resolved.apiKey) {
+    throw new ConfigError(`No API key configured for domain '${resolved.domain}'`);
+  }
+  
+  return resolved;
+};
+
+/**
+ * Sets the default profile
+ * @param {string} name - The profile name
+ */
+const setDefaultProfile = async (name) => {
+  const config = await loadConfig();
+  
+  if (!config.profiles[name]) {
+    throw new ConfigError(`Profile '${name}' not found in configuration`);
+  }
+  
+  config.defaultProfile = name;
   await saveConfig(config);
 };
 
 module.exports = {
+  CONFIG_FILE,
   loadConfig,
   saveConfig,
-  addDomain
-};
\ No newline at end of file
+  isConfigLocked,
+  lockConfig,
+  unlockConfig,
+  getConfigFileMode,
+  saveProfile,
+  resolveProfile,
+  setDefaultProfile,
+  findProfileForDomain
+};
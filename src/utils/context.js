@@ -0,0 +1,63 @@
+/**
+ * Command context: the profile, credentials and settings a command runs with
+ */
+
+const { resolveProfile } = require('./config');
+const { setApiBaseUrl, setRequestSettings } = require('./api');
+const { setOutputFormat, getOutputFormat } = require('./output');
+const { debug } = require('./debug');
+const { CloudonixClient } = require('../sdk/client');
+
+// Profile or domain chosen in the interactive shell, used when a command names neither
+let sessionSelection = null;
+
+/**
+ * Sets the profile or domain that commands use when they are given neither --profile nor --domain
+ * @param {Object|null} selection - The selection, or null to fall back to the usual resolution
+ * @param {string} [selection.profile] - The profile name
+ * @param {string} [selection.domain] - The domain name
+ */
+const setSessionSelection = (selection) => {
+  sessionSelection = selection;
+};
+
+/**
+ * Resolves the profile for a command and applies its settings (API base URL, timeout
+ * and retries unless given on the command line, and the default output format unless --output was given)
+ * @param {Object} options - Command options, including the global --profile
+ * @param {string} [options.profile] - The profile name
+ * @param {string} [options.domain] - The domain name
+ * @param {string} [options.apiUrl] - The API base URL given with --api-url
+ * @param {number} [options.timeout] - The request timeout given with --timeout
+ * @param {number} [options.retries] - The number of retries given with --retries
+ * @returns {Promise<Object>} The resolved profile (name, domain, apiKey, apiUrl, timeout, retries, output),
+ *   and a CloudonixClient for its domain as client
+ */
+const loadContext = async (options = {}) => {
+  const selected = options.profile || options.domain || !sessionSelection ? options : { ...options, ...sessionSelection };
+  const profile = await resolveProfile(selected);
+  debug(`Using profile '${profile.name}' for domain '${profile.domain}'`);
+  
+  // --api-url and CX_API_URL take precedence over the profile setting. Without either,
+  // the profile's URL (or the default) is applied even when another profile was loaded before
+  if (!options.apiUrl && !process.env.CX_API_URL) {
+    setApiBaseUrl(profile.apiUrl);
+  }
+  
+  setRequestSettings({
+    timeout: options.timeout === undefined && !process.env.CX_TIMEOUT ? profile.timeout : undefined,
+    retries: options.retries === undefined && !process.env.CX_RETRIES ? profile.retries : undefined
+  });
+  
+  if (profile.output && !getOutputFormat()) {
+    setOutputFormat(profile.output);
+  }
+  
+  // The client uses the settings applied above, so they are not passed to it
+  return { ...profile, client: new CloudonixClient({ domain: profile.domain, apiKey: profile.apiKey }) };
+};
+
+module.exports = {
+  loadContext,
+  setSessionSelection
+};
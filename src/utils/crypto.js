@@ -0,0 +1,99 @@
+/**
+ * Passphrase-based encryption for stored credentials (AES-256-GCM with a scrypt-derived key)
+ */
+
+const crypto = require('crypto');
+const { ConfigError } = require('./errors');
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+// The cost parameters are read from the config file, so keep them within sane bounds:
+// too low makes the passphrase easy to guess, too high hangs or exhausts memory
+const SCRYPT_LIMITS = { N: [1024, 1048576], r: [1, 32], p: [1, 16] };
+const SCRYPT_MAX_MEMORY = 512 * 1024 * 1024;
+
+/**
+ * Checks the scrypt cost parameters of an encrypted envelope
+ * @param {Object} params - The scrypt cost parameters (N, r, p)
+ * @returns {Object} The parameters
+ */
+const checkKdfParams = (params) => {
+  const valid = params && Object.entries(SCRYPT_LIMITS).every(([name, [min, max]]) => {
+    const value = params[name];
+    return Number.isInteger(value) && value >= min && value <= max;
+  });
+  
+  // N must be a power of two
+  if (!valid || (params.N & (params.N - 1)) !== 0 || 128 * params.N * params.r > SCRYPT_MAX_MEMORY) {
+    throw new ConfigError('Unsupported key derivation parameters in the encrypted credentials');
+  }
+  return params;
+};
+
+/**
+ * Derives an encryption key from a passphrase
+ * @param {string} passphrase - The passphrase
+ * @param {Buffer} salt - The salt
+ * @param {Object} params - The scrypt cost parameters (N, r, p)
+ * @returns {Buffer} The derived key
+ */
+const deriveKey = (passphrase, salt, params) => {
+  const { N, r, p } = params;
+  // scrypt needs 128 * N * r bytes; allow twice that
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r });
+};
+
+/**
+ * Encrypts an object with a passphrase
+ * @param {Object} secrets - The object to encrypt
+ * @param {string} passphrase - The passphrase
+ * @returns {Object} The encrypted envelope, safe to store in the config file
+ */
+const encryptSecrets = (secrets, passphrase) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+  
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  
+  return {
+    cipher: CIPHER,
+    kdf: 'scrypt',
+    kdfParams: SCRYPT_PARAMS,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+/**
+ * Decrypts an envelope created by encryptSecrets()
+ * @param {Object} envelope - The encrypted envelope
+ * @param {string} passphrase - The passphrase
+ * @returns {Object} The decrypted object
+ */
+const decryptSecrets = (envelope, passphrase) => {
+  if (!envelope || envelope.cipher !== CIPHER || envelope.kdf !== 'scrypt') {
+    throw new ConfigError('Unsupported encrypted credentials format');
+  }
+  
+  const key = deriveKey(passphrase, Buffer.from(envelope.salt, 'base64'), checkKdfParams(envelope.kdfParams || SCRYPT_PARAMS));
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new ConfigError('Incorrect passphrase or corrupted credentials');
+  }
+};
+
+module.exports = {
+  encryptSecrets,
+  decryptSecrets
+};
@@ -0,0 +1,91 @@
+/**
+ * CSV parsing helpers
+ */
+
+/**
+ * Parse CSV text into records, honoring quoted fields and escaped quotes
+ * @param {string} text - The CSV text
+ * @returns {Array<{line: number, fields: Array<string>}>} The records, each with the
+ *   physical line it starts on, so line breaks inside quoted fields and skipped blank
+ *   lines are counted
+ */
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+      line++;
+    }
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+  
+  // Skip blank lines
+  return records.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by column name. Column names are
+ * matched without regard to case, so `Number` and `NUMBER` both become `number`.
+ * @param {string} text - The CSV text
+ * @returns {Array<Object>} One object per data line, with a `line` property holding its line number
+ */
+const parseCsv = (text) => {
+  const [header, ...records] = parseCsvRecords(text.replace(/^\uFEFF/, ''));
+  
+  if (!header) {
+    return [];
+  }
+  
+  const columns = header.fields.map(column => column.trim().toLowerCase());
+  
+  return records.map(({ line, fields }) => {
+    const row = { line };
+    columns.forEach((column, position) => {
+      row[column] = (fields[position] || '').trim();
+    });
+    return row;
+  });
+};
+
+module.exports = {
+  parseCsv
+};
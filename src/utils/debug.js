@@ -1,14 +1,55 @@
 /**
- * Debug utility for logging API requests and responses
+ * Logging with levels, for API requests and responses among others. Log lines go to
+ * stderr, and with --debug-file also to a JSON-lines file. Secrets are always redacted.
  */
 
-let isDebugEnabled = false;
+const fs = require('fs');
+
+// From least to most verbose
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+const REDACTED = '<redacted>';
+
+// Field and header names whose values are secrets
+const SECRET_KEYS = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[-_]?key|passphrase|.*password|.*secret|access[-_]?token|refresh[-_]?token)$/i;
+
+let consoleLevel = 'warn';
+let fileLevel = 'debug';
+let logFile = null;
+let logFilePath = null;
+
+// Secret values seen at runtime, e.g. API keys, redacted wherever they appear in log text
+const secrets = new Set();
 
 /**
- * Enable debug mode
+ * Checks whether messages of a level pass a threshold
+ * @param {string} level - The message level
+ * @param {string} threshold - The most verbose level to log
+ * @returns {boolean} Whether to log the message
+ */
+const passes = (level, threshold) => LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+
+/**
+ * Sets the most verbose level written to stderr
+ * @param {string} level - One of error, warn, info, debug or trace
+ */
+const setLogLevel = (level) => {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unsupported log level '${level}'. Use one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  consoleLevel = level;
+  if (passes(fileLevel, level)) {
+    fileLevel = level;
+  }
+};
+
+/**
+ * Enable debug mode: log at the debug level, unless a more verbose level is already set
  */
 const enableDebug = () => {
-  isDebugEnabled = true;
+  if (!passes('debug', consoleLevel)) {
+    setLogLevel('debug');
+  }
 };
 
 /**
@@ -16,29 +57,161 @@ const enableDebug = () => {
  * @returns {boolean} Whether debug mode is enabled
  */
 const isDebug = () => {
-  return isDebugEnabled;
+  return passes('debug', consoleLevel);
 };
 
 /**
- * Log debug information if debug mode is enabled
- * @param {string} message - The message to log
- * @param {Object} data - The data to log
+ * Writes the log to a file as well, one JSON object per line. The file records debug
+ * messages even when they are not shown, so it can be attached to a support ticket.
+ * @param {string} file - The file path. Lines are appended to an existing file
+ */
+const setLogFile = (file) => {
+  // Commands run from the shell set the same file again
+  if (file === logFilePath) {
+    return;
+  }
+  if (logFile !== null) {
+    fs.closeSync(logFile);
+  }
+  logFile = fs.openSync(file, 'a', 0o600);
+  logFilePath = file;
+};
+
+/**
+ * Registers a secret value, such as an API key, so it never appears in the log
+ * @param {string} value - The secret
+ */
+const addSecret = (value) => {
+  if (value && String(value).length >= 4) {
+    secrets.add(String(value));
+  }
+};
+
+/**
+ * Removes secrets from a value before it is logged: fields with secret names are
+ * replaced, and registered secret values are masked wherever they appear
+ * @param {*} value - The value to log
+ * @param {WeakSet} [seen] - Objects already visited, to cut circular references
+ * @returns {*} A redacted copy of the value
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    let text = value;
+    secrets.forEach(secret => {
+      text = text.split(secret).join(REDACTED);
+    });
+    return text;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  
+  // Axios header objects and similar classes are logged as their plain fields
+  const source = typeof value.toJSON === 'function' && !(value instanceof Date) ? value.toJSON() : value;
+  if (Array.isArray(source)) {
+    return source.map(item => redact(item, seen));
+  }
+  if (!source || typeof source !== 'object') {
+    return redact(source, seen);
+  }
+  
+  const result = {};
+  Object.entries(source).forEach(([key, item]) => {
+    if (SECRET_KEYS.test(key) && item) {
+      // Keep the authentication scheme, it tells which kind of credentials were sent
+      const scheme = typeof item === 'string' && /^(Bearer|Basic) /i.exec(item);
+      result[key] = scheme ? `${scheme[0]}${REDACTED}` : REDACTED;
+    } else {
+      result[key] = redact(item, seen);
+    }
+  });
+  return result;
+};
+
+/**
+ * Logs a message at a level
+ * @param {string} level - One of error, warn, info, debug or trace
+ * @param {string} message - The message
+ * @param {Object} [data] - Details, written as JSON
  */
-const debug = (message, data = null) => {
-  if (!isDebugEnabled) return;
+const log = (level, message, data = null) => {
+  const toConsole = passes(level, consoleLevel);
+  const toFile = logFile !== null && passes(level, fileLevel);
+  if (!toConsole && !toFile) {
+    return;
+  }
   
-  console.log('\n=== DEBUG ===');
-  console.log(message);
+  const text = redact(message);
+  const details = data === null || data === undefined ? undefined : redact(data);
   
-  if (data) {
-    console.log('Data:');
-    console.log(JSON.stringify(data, null, 2));
+  if (toConsole) {
+    console.error(`[${level}] ${text}`);
+    if (details !== undefined) {
+      console.error(JSON.stringify(details, null, 2));
+    }
+  }
+  
+  if (toFile) {
+    const entry = { time: new Date().toISOString(), level, message: text };
+    if (details !== undefined) {
+      entry.data = details;
+    }
+    // Written synchronously, so nothing is lost when a command exits right after
+    fs.writeSync(logFile, `${JSON.stringify(entry)}\n`);
   }
-  console.log('=============\n');
 };
 
+/**
+ * Logs an error, shown at every level
+ * @param {string} message - The message to log
+ * @param {Object} [data] - The data to log
+ */
+const error = (message, data = null) => log('error', message, data);
+
+/**
+ * Logs a warning, shown unless the level is error
+ * @param {string} message - The message to log
+ * @param {Object} [data] - The data to log
+ */
+const warn = (message, data = null) => log('warn', message, data);
+
+/**
+ * Logs progress information, shown from the info level
+ * @param {string} message - The message to log
+ * @param {Object} [data] - The data to log
+ */
+const info = (message, data = null) => log('info', message, data);
+
+/**
+ * Log debug information if debug mode is enabled
+ * @param {string} message - The message to log
+ * @param {Object} data - The data to log
+ */
+const debug = (message, data = null) => log('debug', message, data);
+
+/**
+ * Logs the finest details, such as request headers and bodies, shown at the trace level
+ * @param {string} message - The message to log
+ * @param {Object} [data] - The data to log
+ */
+const trace = (message, data = null) => log('trace', message, data);
+
 module.exports = {
+  LOG_LEVELS,
+  setLogLevel,
+  setLogFile,
   enableDebug,
   isDebug,
-  debug
-};
\ No newline at end of file
+  addSecret,
+  redact,
+  log,
+  error,
+  warn,
+  info,
+  debug,
+  trace
+};
@@ -0,0 +1,70 @@
+/**
+ * Helpers for comparing resources and displaying the differences
+ */
+
+const chalk = require('chalk');
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Compare two values and list the changed fields
+ * @param {*} before - The old value
+ * @param {*} after - The new value
+ * @param {string} [path] - The path of the values being compared
+ * @returns {Array<{path: string, before: *, after: *}>} The changed fields
+ */
+const diffObjects = (before, after, path = '') => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffObjects(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  
+  return [{ path, before, after }];
+};
+
+/**
+ * Format a value for display in a diff
+ * @param {*} value - The value
+ * @returns {string} The formatted value
+ */
+const formatDiffValue = (value) => {
+  return value === undefined ? '(unset)' : JSON.stringify(value);
+};
+
+/**
+ * Format a list of changes as colored old/new lines
+ * @param {Array<{path: string, before: *, after: *}>} changes - The changes from diffObjects()
+ * @param {string} [indent] - Prefix for each line
+ * @returns {string} The formatted changes
+ */
+const formatChanges = (changes, indent = '  ') => {
+  if (changes.length === 0) {
+    return `${indent}(no changes)`;
+  }
+  
+  return changes.map(({ path, before, after }) => {
+    return [
+      `${indent}${chalk.cyan(path)}:`,
+      `${indent}  ${chalk.red(`- ${formatDiffValue(before)}`)}`,
+      `${indent}  ${chalk.green(`+ ${formatDiffValue(after)}`)}`
+    ].join('\n');
+  }).join('\n');
+};
+
+module.exports = {
+  isPlainObject,
+  diffObjects,
+  formatDiffValue,
+  formatChanges
+};
@@ -0,0 +1,198 @@
+/**
+ * Error types shared by all commands, each with its own exit code
+ */
+
+const { getOutputFormat } = require('./output');
+
+// Exit codes, documented in the README. Keep them stable, scripts depend on them.
+const EXIT_CODES = {
+  success: 0,
+  general: 1,
+  validation: 2,
+  config: 3,
+  auth: 4,
+  notFound: 5,
+  rateLimited: 6,
+  network: 7,
+  api: 8,
+  interrupted: 130
+};
+
+/**
+ * Base class of all errors reported by the CLI
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [options] - Error details
+   * @param {number} [options.status] - The HTTP status of a failed API request
+   * @param {Object} [options.details] - Extra information for automation, included in JSON errors
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, { status, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.type = 'error';
+    this.exitCode = EXIT_CODES.general;
+    this.status = status;
+    this.details = details;
+  }
+
+  /**
+   * The error as a plain object, as printed with --output json
+   * @returns {Object} The error object
+   */
+  toJSON() {
+    const json = { type: this.type, message: this.message, exitCode: this.exitCode };
+    if (this.status !== undefined) {
+      json.status = this.status;
+    }
+    if (this.details !== undefined) {
+      json.details = this.details;
+    }
+    return json;
+  }
+}
+
+/**
+ * Invalid input: bad options or files, or a request the API rejected as invalid
+ */
+class ValidationError extends CliError {
+  constructor(message, options) {
+    super(message, options);
+    this.type = 'validation';
+    this.exitCode = EXIT_CODES.validation;
+  }
+}
+
+/**
+ * Missing or unusable configuration: unknown profile, no API key, wrong passphrase
+ */
+class ConfigError extends CliError {
+  constructor(message, options) {
+    super(message, options);
+    this.type = 'config';
+    this.exitCode = EXIT_CODES.config;
+  }
+}
+
+/**
+ * The API could not be reached or did not answer in time
+ */
+class NetworkError extends CliError {
+  constructor(message, options) {
+    super(message, options);
+    this.type = 'network';
+    this.exitCode = EXIT_CODES.network;
+  }
+}
+
+/**
+ * The API answered with an error not covered by a more specific type
+ */
+class ApiError extends CliError {
+  constructor(message, options) {
+    super(message, options);
+    this.type = 'api';
+    this.exitCode = EXIT_CODES.api;
+  }
+}
+
+/**
+ * The API key was rejected or lacks permission (HTTP 401 and 403)
+ */
+class AuthError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.type = 'auth';
+    this.exitCode = EXIT_CODES.auth;
+  }
+}
+
+/**
+ * The requested resource does not exist
+ */
+class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.type = 'not_found';
+    this.exitCode = EXIT_CODES.notFound;
+  }
+}
+
+/**
+ * The API rate limit was hit and retrying did not help (HTTP 429)
+ */
+class RateLimitError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.type = 'rate_limited';
+    this.exitCode = EXIT_CODES.rateLimited;
+  }
+}
+
+/**
+ * Thrown in place of exiting the process while the interactive shell runs a command,
+ * so a failing command ends without ending the shell
+ */
+class CommandExit extends Error {
+  /**
+   * @param {number} [exitCode] - The exit code the command ended with
+   */
+  constructor(exitCode) {
+    super(`Command exited with code ${exitCode}`);
+    this.name = 'CommandExit';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Picks the error class for an HTTP error status
+ * @param {number} status - The HTTP status
+ * @returns {Function} The error class
+ */
+const errorClassForStatus = (status) => {
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return RateLimitError;
+  if (status === 400 || status === 409 || status === 422) return ValidationError;
+  return ApiError;
+};
+
+/**
+ * Reports an error and exits with its exit code. With --output json the error is
+ * written to stderr as a JSON object, otherwise as a message prefixed with the context.
+ * @param {Error} error - The error
+ * @param {string} [context] - What failed, e.g. "Error creating trunk"
+ */
+const exitWithError = (error, context) => {
+  // Already reported, and now on its way out of a command run from the shell
+  if (error instanceof CommandExit) {
+    throw error;
+  }
+
+  const cliError = error instanceof CliError ? error : new CliError(error.message, { cause: error });
+
+  if (getOutputFormat() === 'json') {
+    console.error(JSON.stringify({ error: cliError }, null, 2));
+  } else {
+    console.error(context ? `${context}: ${cliError.message}` : cliError.message);
+  }
+
+  process.exit(cliError.exitCode);
+};
+
+module.exports = {
+  EXIT_CODES,
+  CliError,
+  ValidationError,
+  ConfigError,
+  NetworkError,
+  ApiError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  CommandExit,
+  errorClassForStatus,
+  exitWithError
+};
@@ -0,0 +1,103 @@
+/**
+ * Helpers for parsing command line option values
+ */
+
+const { InvalidArgumentError } = require('commander');
+const { exitWithError, ValidationError } = require('./errors');
+
+/**
+ * Parse a scalar option value. Only true and false are converted; everything else stays
+ * a string, so numbers such as 0501234567 keep their leading zeros and all their digits.
+ * @param {string} value - The raw value
+ * @returns {string|boolean} The parsed value
+ */
+const parseValue = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Splits a key=value pair from the command line
+ * @param {string} pair - The key=value pair
+ * @returns {Array<string>} The key and the raw value
+ */
+const splitKeyValue = (pair) => {
+  const separator = pair.indexOf('=');
+  if (separator <= 0) {
+    throw new InvalidArgumentError(`Invalid value '${pair}'. Expected key=value.`);
+  }
+  return [pair.substring(0, separator).trim(), pair.substring(separator + 1)];
+};
+
+/**
+ * Commander collector for repeatable key=value options
+ * @param {string} pair - The key=value pair from the command line
+ * @param {Object} previous - The pairs collected so far
+ * @returns {Object} The collected pairs
+ */
+const collectKeyValue = (pair, previous = {}) => {
+  const [key, value] = splitKeyValue(pair);
+  return { ...previous, [key]: parseValue(value) };
+};
+
+/**
+ * Commander collector for repeatable key=value options whose values are kept exactly as typed
+ * @param {string} pair - The key=value pair from the command line
+ * @param {Object} previous - The pairs collected so far
+ * @returns {Object} The collected pairs
+ */
+const collectRawKeyValue = (pair, previous = {}) => {
+  const [key, value] = splitKeyValue(pair);
+  return { ...previous, [key]: value };
+};
+
+/**
+ * Parse a duration in seconds, e.g. for --timeout
+ * @param {string} value - The raw value
+ * @returns {number} The number of seconds (0 or more)
+ */
+const parseSeconds = (value) => {
+  const seconds = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(seconds) || seconds < 0) {
+    throw new InvalidArgumentError(`Invalid value '${value}'. Expected a number of seconds.`);
+  }
+  return seconds;
+};
+
+/**
+ * Parse a count that may be zero, e.g. for --retries
+ * @param {string} value - The raw value
+ * @returns {number} The count
+ */
+const parseCount = (value) => {
+  const count = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(count) || count < 0) {
+    throw new InvalidArgumentError(`Invalid value '${value}'. Expected a whole number of 0 or more.`);
+  }
+  return count;
+};
+
+/**
+ * Exits with an error if a required option is missing
+ * @param {Object} options - Command options
+ * @param {Array<string>} required - Names of the required options, as written on the command line
+ */
+const requireOptions = (options, required) => {
+  required.forEach(flag => {
+    const key = flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (!options[key]) {
+      exitWithError(new ValidationError(`The --${flag} option is required`));
+    }
+  });
+};
+
+module.exports = {
+  parseValue,
+  collectKeyValue,
+  collectRawKeyValue,
+  parseSeconds,
+  parseCount,
+  requireOptions
+};
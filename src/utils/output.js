@@ -0,0 +1,394 @@
+/**
+ * Output rendering utility shared by all commands
+ */
+
+const yaml = require('yaml');
+const chalk = require('chalk');
+
+const OUTPUT_FORMATS = ['json', 'yaml', 'table', 'csv'];
+
+// Preferred table columns per resource type, first match wins
+const TABLE_COLUMNS = {
+  domain: ['id', 'domain', 'active', 'createdAt', 'modifiedAt'],
+  subscriber: ['id', 'msisdn', 'active', 'createdAt', 'modifiedAt'],
+  application: ['id', 'name', 'type', 'url', 'active', 'modifiedAt'],
+  trunk: ['id', 'name', 'ip', 'port', 'transport', 'direction', 'prefix', 'active'],
+  dnid: ['id', 'source', 'dnid', 'prefix', 'application', 'applicationId', 'active'],
+  session: ['token', 'startTime', 'createdAt', 'callerId', 'destination', 'direction', 'status', 'duration'],
+  log: ['timestamp', 'time', 'level', 'message'],
+  import: ['line', 'number', 'application', 'status', 'id', 'error'],
+  plan: ['action', 'type', 'key'],
+  difference: ['type', 'key', 'status'],
+  restore: ['type', 'key', 'status', 'oldId', 'newId'],
+  analysis: ['session', 'status', 'outcome', 'diagnosis'],
+  report: ['group', 'calls', 'answered', 'asr', 'acd', 'minutes', 'busy', 'noAnswer', 'rejected', 'trunkFailure', 'applicationError', 'other']
+};
+
+let outputFormat = null;
+
+/**
+ * Set the output format requested on the command line
+ * @param {string} format - One of json, yaml, table or csv
+ */
+const setOutputFormat = (format) => {
+  if (format && !OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported output format '${format}'. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  outputFormat = format || null;
+};
+
+/**
+ * Get the selected output format
+ * @returns {string|null} The output format, or null for the default colored YAML
+ */
+const getOutputFormat = () => {
+  return outputFormat;
+};
+
+/**
+ * Disable colors when stdout is not a terminal (e.g. piped into jq or a file)
+ */
+const configureColor = () => {
+  if (!process.stdout.isTTY) {
+    chalk.level = 0;
+  }
+};
+
+/**
+ * Process and color a YAML value
+ * @param {string} value - The YAML value to process
+ * @returns {string} Colored value
+ */
+function processValue(value) {
+  // Empty or null values
+  if (!value.trim() || value.trim() === 'null') {
+    return value;
+  }
+
+  // Numbers
+  if (value.trim().match(/^-?\d+(\.\d+)?$/)) {
+    return value.replace(/(-?\d+(\.\d+)?)/, chalk.yellow('$1'));
+  }
+
+  // Booleans
+  if (value.trim() === 'true' || value.trim() === 'false') {
+    return value.replace(/(true|false)/, chalk.yellow('$1'));
+  }
+
+  // Dates (ISO format)
+  if (value.trim().match(/\d{4}-\d{2}-\d{2}T/)) {
+    return value.replace(/(\d{4}-\d{2}-\d{2}T[\d:.Z+-]+)/, chalk.green('$1'));
+  }
+
+  // Strings in quotes
+  if (value.trim().match(/^".*"$/) || value.trim().match(/^'.*'$/)) {
+    return value.replace(/(["']).*\1/, chalk.green('$&'));
+  }
+
+  return value;
+}
+
+/**
+ * Add color highlighting to YAML text
+ * @param {string} yamlString - The YAML text
+ * @returns {string} Colored YAML
+ */
+const colorYaml = (yamlString) => {
+  return yamlString.split('\n').map(line => {
+    // Handle key: value lines
+    if (line.includes(':')) {
+      const colonPos = line.indexOf(':');
+      const key = line.substring(0, colonPos);
+      const value = line.substring(colonPos + 1);
+
+      return chalk.cyan(key + ':') + processValue(value);
+    }
+
+    // Handle list items
+    if (line.trim().startsWith('-')) {
+      return line.replace('-', chalk.yellow('-'));
+    }
+
+    return line;
+  }).join('\n');
+};
+
+/**
+ * Format the title banner of the default output
+ * @param {string} title - Title to display
+ * @returns {string} The banner
+ */
+const formatBanner = (title) => {
+  return chalk.bold.blue(`\n=== ${title} ===\n\n`);
+};
+
+/**
+ * Format data as YAML with highlighting and a title banner
+ * @param {Object} data - The data to format
+ * @param {string} title - Title to display
+ * @returns {string} Formatted YAML with colors
+ */
+const formatYaml = (data, title) => {
+  if (!data) {
+    return 'No data available';
+  }
+
+  return formatBanner(title) + colorYaml(yaml.stringify(data));
+};
+
+/**
+ * Turn API data into a list of rows for tabular output
+ * @param {*} data - An array, a wrapper object holding one array, or a single object
+ * @returns {Array<Object>} The rows
+ */
+const toRows = (data) => {
+  if (data === null || data === undefined) {
+    return [];
+  }
+
+  if (Array.isArray(data)) {
+    return data;
+  }
+
+  if (typeof data === 'object') {
+    // Unwrap objects such as { log: [...] } or { data: [...] }
+    const arrayKeys = Object.keys(data).filter(key => Array.isArray(data[key]));
+    if (Object.keys(data).length === 1 && arrayKeys.length === 1) {
+      return data[arrayKeys[0]];
+    }
+    return [data];
+  }
+
+  return [{ value: data }];
+};
+
+/**
+ * Pick the columns to show for a set of rows
+ * @param {Array<Object>} rows - The rows to display
+ * @param {string} [resourceType] - The resource type, used to pick preferred columns
+ * @returns {Array<string>} The column names
+ */
+const pickColumns = (rows, resourceType) => {
+  const available = new Set();
+  rows.forEach(row => {
+    if (row !== null && typeof row === 'object') {
+      Object.keys(row).forEach(key => available.add(key));
+    }
+  });
+
+  const preferred = (TABLE_COLUMNS[resourceType] || []).filter(column => available.has(column));
+  if (preferred.length > 0) {
+    return preferred;
+  }
+
+  // Fall back to every scalar field found in the rows
+  return [...available].filter(column => rows.some(row => {
+    const value = row && row[column];
+    return value === null || value === undefined || typeof value !== 'object';
+  }));
+};
+
+/**
+ * Convert a cell value to a plain string
+ * @param {*} value - The cell value
+ * @returns {string} The string representation
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Format one line of a column-aligned table
+ * @param {Array<string>} values - The cell texts
+ * @param {Array<number>} widths - The column widths
+ * @returns {string} The line
+ */
+const formatTableLine = (values, widths) => {
+  return values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+};
+
+/**
+ * Format rows as a column-aligned table
+ * @param {Array<Object>} rows - The rows to display
+ * @param {Array<string>} columns - The columns to display
+ * @returns {string} The table
+ */
+const formatTable = (rows, columns) => {
+  if (rows.length === 0 || columns.length === 0) {
+    return 'No data available';
+  }
+
+  const cells = rows.map(row => columns.map(column => cellText(row[column])));
+  const widths = columns.map((column, index) => {
+    return Math.max(column.length, ...cells.map(line => line[index].length));
+  });
+
+  const formatLine = (values) => formatTableLine(values, widths);
+
+  const header = formatLine(columns.map(column => column.toUpperCase()));
+  const lines = cells.map(formatLine);
+
+  return [chalk.bold(header), ...lines].join('\n');
+};
+
+/**
+ * Escape a single CSV field
+ * @param {string} value - The field value
+ * @returns {string} The escaped field
+ */
+const csvField = (value) => {
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+};
+
+/**
+ * Format rows as CSV with a header line
+ * @param {Array<Object>} rows - The rows to display
+ * @param {Array<string>} columns - The columns to display
+ * @returns {string} The CSV text
+ */
+const formatCsv = (rows, columns) => {
+  const lines = [columns.map(csvField).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvField(cellText(row[column]))).join(','));
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Render data in the selected output format
+ * @param {*} data - The data to render
+ * @param {Object} options - Rendering options
+ * @param {string} options.title - Title used by the default colored YAML output
+ * @param {string} [options.resourceType] - Resource type, used to pick table columns
+ * @param {string} [options.format] - Override the globally selected format
+ * @returns {string} The rendered output
+ */
+const render = (data, { title, resourceType, format = outputFormat } = {}) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data === undefined ? null : data, null, 2);
+    case 'yaml':
+      return yaml.stringify(data === undefined ? null : data).trimEnd();
+    case 'table':
+    case 'csv': {
+      const rows = toRows(data);
+      const columns = pickColumns(rows, resourceType);
+      return format === 'table' ? formatTable(rows, columns) : formatCsv(rows, columns);
+    }
+    default:
+      return formatYaml(data, title);
+  }
+};
+
+/**
+ * Create a renderer that prints a list to stdout page by page, as the pages arrive.
+ * Table column widths and CSV columns are taken from the first page.
+ * @param {Object} options - Rendering options, see render()
+ * @returns {{write: Function, end: Function}} Call write(rows) for every page, then end()
+ */
+const createListPrinter = ({ title, resourceType, format = outputFormat } = {}) => {
+  const out = (text) => process.stdout.write(text);
+  let count = 0;
+
+  // Stop quietly when the reader goes away early, e.g. when piped into head
+  if (process.stdout.listenerCount('error') === 0) {
+    process.stdout.on('error', (error) => {
+      if (error.code === 'EPIPE') {
+        process.exit(0);
+      }
+      throw error;
+    });
+  }
+  let columns = null;
+  let widths = null;
+
+  const write = (rows) => {
+    if (rows.length === 0) {
+      return;
+    }
+
+    switch (format) {
+      case 'json':
+        // Same layout as JSON.stringify(list, null, 2), one item at a time
+        rows.forEach((row, index) => {
+          const item = JSON.stringify(row, null, 2).replace(/\n/g, '\n  ');
+          out(`${count === 0 && index === 0 ? '[\n' : ',\n'}  ${item}`);
+        });
+        break;
+      case 'yaml':
+        out(yaml.stringify(rows));
+        break;
+      case 'table':
+      case 'csv':
+        if (!columns) {
+          columns = pickColumns(rows, resourceType);
+        }
+        if (format === 'csv') {
+          const lines = formatCsv(rows, columns).split('\n');
+          out(`${(count === 0 ? lines : lines.slice(1)).join('\n')}\n`);
+        } else {
+          const cells = rows.map(row => columns.map(column => cellText(row[column])));
+          if (!widths) {
+            widths = columns.map((column, index) => Math.max(column.length, ...cells.map(line => line[index].length)));
+            out(`${chalk.bold(formatTableLine(columns.map(column => column.toUpperCase()), widths))}\n`);
+          }
+          out(`${cells.map(line => formatTableLine(line, widths)).join('\n')}\n`);
+        }
+        break;
+      default:
+        if (count === 0) {
+          out(formatBanner(title));
+        }
+        out(colorYaml(yaml.stringify(rows)));
+    }
+
+    count += rows.length;
+  };
+
+  const end = () => {
+    if (count > 0) {
+      if (format === 'json') {
+        out('\n]\n');
+      }
+      return;
+    }
+
+    // Nothing was streamed, so print the empty list like render() would
+    console.log(render([], { title, resourceType, format }));
+  };
+
+  return { write, end };
+};
+
+/**
+ * Render data and print it to stdout
+ * @param {*} data - The data to print
+ * @param {Object} options - Rendering options, see render()
+ */
+const printOutput = (data, options) => {
+  console.log(render(data, options));
+};
+
+module.exports = {
+  OUTPUT_FORMATS,
+  setOutputFormat,
+  getOutputFormat,
+  configureColor,
+  formatYaml,
+  formatTable,
+  formatCsv,
+  pickColumns,
+  toRows,
+  render,
+  printOutput,
+  createListPrinter
+};
@@ -0,0 +1,122 @@
+/**
+ * Pagination helpers for list endpoints
+ */
+
+const { ValidationError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Returns the identity of a list item, used to detect an API that ignores paging
+ * @param {Object} item - The list item
+ * @returns {string} The identity
+ */
+const itemKey = (item) => {
+  if (item && typeof item === 'object') {
+    return String(item.id !== undefined ? item.id : (item.token || JSON.stringify(item)));
+  }
+  return String(item);
+};
+
+/**
+ * Fetches a list page by page, yielding each page as soon as it arrives
+ * @param {Function} fetchPage - Called with ({ page, limit }), resolves to an array of items
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.pageSize=100] - Number of items requested per page
+ * @param {number} [options.page] - Fetch only this page (starting at 1)
+ * @param {number} [options.max] - Stop after this many items
+ * @param {Function} [options.onPage] - Called with ({ page, count, total }) after every page
+ * @returns {AsyncGenerator<Array<Object>>} The pages
+ */
+async function* fetchPages(fetchPage, { pageSize = DEFAULT_PAGE_SIZE, page, max, onPage } = {}) {
+  let total = 0;
+  let previousFirst = null;
+
+  for (let current = page || 1; ; current++) {
+    let items = await fetchPage({ page: current, limit: pageSize });
+    const fullPage = items.length >= pageSize;
+
+    // Endpoints without paging return the whole list, or the same page again
+    const unpaged = items.length > pageSize || (items.length > 0 && itemKey(items[0]) === previousFirst);
+    if (unpaged && current > (page || 1)) {
+      break;
+    }
+    previousFirst = items.length > 0 ? itemKey(items[0]) : null;
+
+    if (max && total + items.length > max) {
+      items = items.slice(0, max - total);
+    }
+    total += items.length;
+
+    if (onPage) {
+      onPage({ page: current, count: items.length, total });
+    }
+    if (items.length > 0) {
+      yield items;
+    }
+
+    if (page || unpaged || !fullPage || (max && total >= max)) {
+      break;
+    }
+  }
+}
+
+/**
+ * Fetches every page of a list into a single array
+ * @param {Function} fetchPage - Called with ({ page, limit }), resolves to an array of items
+ * @param {Object} [options] - Paging options, see fetchPages()
+ * @returns {Promise<Array<Object>>} All items
+ */
+const fetchAll = async (fetchPage, options) => {
+  const items = [];
+  for await (const batch of fetchPages(fetchPage, options)) {
+    items.push(...batch);
+  }
+  return items;
+};
+
+/**
+ * Parses the --limit, --page and --all command options into paging options
+ * @param {Object} options - Command options
+ * @param {string} [options.limit] - Maximum number of items, or the page size with --page
+ * @param {string} [options.page] - Page number to fetch
+ * @param {boolean} [options.all] - Fetch every page
+ * @returns {Object} Paging options for fetchPages()
+ */
+const parsePagingOptions = ({ limit, page, all } = {}) => {
+  const parsed = {};
+
+  if (all && (limit !== undefined || page !== undefined)) {
+    throw new ValidationError('--all cannot be combined with --limit or --page');
+  }
+
+  if (limit !== undefined) {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new ValidationError('--limit must be a positive integer');
+    }
+    parsed.max = value;
+    parsed.pageSize = Math.min(value, DEFAULT_PAGE_SIZE);
+  }
+
+  if (page !== undefined) {
+    const value = Number(page);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new ValidationError('--page must be a positive integer');
+    }
+    parsed.page = value;
+    // With --page, --limit sets the size of that page
+    if (parsed.max) {
+      parsed.pageSize = parsed.max;
+    }
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  fetchPages,
+  fetchAll,
+  parsePagingOptions
+};
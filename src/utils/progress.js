@@ -0,0 +1,59 @@
+/**
+ * Progress indicator for long fetches, written to stderr so it never mixes with command output
+ */
+
+/**
+ * Creates a single-line progress indicator. It is only shown when stderr is a terminal.
+ * @param {string} label - What is being fetched, e.g. "subscribers"
+ * @returns {{update: Function, clear: Function, restore: Function, done: Function}} The indicator
+ */
+const createProgress = (label) => {
+  const stream = process.stderr;
+  const enabled = Boolean(stream.isTTY);
+  let visible = false;
+  let lastText = '';
+
+  const draw = (text) => {
+    stream.write(`\r\x1b[K${text}`);
+    visible = true;
+  };
+
+  /**
+   * Shows the number of items fetched so far
+   * @param {Object} state - The fetch state
+   * @param {number} state.page - The last page fetched
+   * @param {number} state.total - The number of items fetched so far
+   */
+  const update = ({ page, total }) => {
+    if (!enabled) {
+      return;
+    }
+    lastText = `Fetching ${label}... ${total} so far (page ${page})`;
+    draw(lastText);
+  };
+
+  /**
+   * Removes the indicator from the screen, e.g. before printing output
+   */
+  const clear = () => {
+    if (visible) {
+      stream.write('\r\x1b[K');
+      visible = false;
+    }
+  };
+
+  /**
+   * Shows the indicator again after clear()
+   */
+  const restore = () => {
+    if (enabled && lastText) {
+      draw(lastText);
+    }
+  };
+
+  return { update, clear, restore, done: clear };
+};
+
+module.exports = {
+  createProgress
+};
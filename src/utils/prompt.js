@@ -0,0 +1,144 @@
+/**
+ * Interactive prompt helpers
+ */
+
+const readline = require('readline');
+
+// The interactive shell's readline interface. While it is open, questions are asked
+// through it, since a second interface on the same terminal would receive the same keys.
+let sharedInterface = null;
+
+/**
+ * Sets the readline interface used to ask questions
+ * @param {Object|null} rl - The interface, or null to create one per question
+ */
+const setPromptInterface = (rl) => {
+  sharedInterface = rl;
+};
+
+/**
+ * Asks a question through the shared interface, keeping the answer out of its history
+ * @param {string} question - The question to display
+ * @param {boolean} hidden - Whether to hide what is typed
+ * @returns {Promise<string>} The answer
+ */
+const askShared = (question, hidden) => {
+  const rl = sharedInterface;
+  const { historySize } = rl;
+  const writeToOutput = rl._writeToOutput;
+  
+  return new Promise((resolve) => {
+    rl.historySize = 0;
+    if (hidden) {
+      rl._writeToOutput = (text) => {
+        if (text.includes(question)) {
+          rl.output.write(question);
+        }
+      };
+    }
+    
+    rl.question(question, (answer) => {
+      rl.historySize = historySize;
+      rl._writeToOutput = writeToOutput;
+      if (hidden) {
+        rl.output.write('\n');
+      }
+      resolve(hidden ? answer : answer.trim());
+    });
+  });
+};
+
+/**
+ * Ask a question on the terminal and wait for the answer
+ * @param {string} question - The question to display
+ * @returns {Promise<string>} The answer, or an empty string if input ended
+ */
+const ask = (question) => {
+  if (sharedInterface) {
+    return askShared(question, false);
+  }
+  
+  return new Promise((resolve) => {
+    // Prompts go to stderr so they never end up in piped output
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    let answered = false;
+    
+    rl.question(question, (answer) => {
+      answered = true;
+      rl.close();
+      resolve(answer.trim());
+    });
+    
+    rl.on('close', () => {
+      if (!answered) {
+        resolve('');
+      }
+    });
+  });
+};
+
+/**
+ * Ask for a secret on the terminal without echoing what is typed
+ * @param {string} question - The question to display
+ * @returns {Promise<string>} The answer, or an empty string if input ended
+ */
+const askHidden = (question) => {
+  if (sharedInterface) {
+    return askShared(question, true);
+  }
+  
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: Boolean(process.stdin.isTTY) });
+    let answered = false;
+    
+    // Only the question is written; typed characters are not echoed
+    rl._writeToOutput = (text) => {
+      if (!answered && text.includes(question)) {
+        process.stderr.write(question);
+      }
+    };
+    
+    rl.question(question, (answer) => {
+      answered = true;
+      process.stderr.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    
+    rl.on('close', () => {
+      if (!answered) {
+        resolve('');
+      }
+    });
+  });
+};
+
+/**
+ * Ask a yes/no question
+ * @param {string} question - The question to display
+ * @returns {Promise<boolean>} Whether the user answered yes
+ */
+const confirm = async (question) => {
+  const answer = await ask(`${question} [y/N] `);
+  return /^y(es)?$/i.test(answer);
+};
+
+/**
+ * Reads everything piped to stdin, e.g. a secret passed with --apikey-stdin
+ * @returns {Promise<string>} The input without surrounding whitespace
+ */
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').trim();
+};
+
+module.exports = {
+  ask,
+  askHidden,
+  confirm,
+  readStdin,
+  setPromptInterface
+};
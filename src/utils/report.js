@@ -0,0 +1,131 @@
+/**
+ * Traffic statistics over call sessions, aggregated per trunk, application, DNID or hour
+ */
+
+const { analyzeSession } = require('./analyze');
+const { getSessionStart } = require('./session');
+const { ValidationError } = require('./errors');
+
+const REPORT_GROUPS = ['trunk', 'application', 'dnid', 'hour'];
+
+// Report columns for each failed outcome from analyzeSession(); anything else counts as "other"
+const FAILURE_COLUMNS = {
+  busy: 'busy',
+  'no-answer': 'noAnswer',
+  rejected: 'rejected',
+  'trunk-failure': 'trunkFailure',
+  'application-error': 'applicationError'
+};
+
+const NO_GROUP = '(none)';
+const TOTAL_GROUP = '(total)';
+
+/**
+ * Gets the group a session is counted in
+ * @param {Object} session - The session
+ * @param {string} groupBy - One of REPORT_GROUPS
+ * @returns {string} The group name
+ */
+const groupOf = (session, groupBy) => {
+  switch (groupBy) {
+    case 'hour': {
+      // Hours are in UTC, e.g. "2025-03-01T10:00Z", so they sort as text
+      const start = getSessionStart(session);
+      return start ? `${start.toISOString().substring(0, 13)}:00Z` : NO_GROUP;
+    }
+    case 'dnid':
+      // Sessions name the dialed number as their destination when they carry no DNID
+      return String(session.dnid || session.destination || NO_GROUP);
+    default:
+      return String(session[groupBy] || NO_GROUP);
+  }
+};
+
+/**
+ * Creates the counters of one group
+ * @returns {Object} The counters
+ */
+const createCounters = () => {
+  const counters = { calls: 0, answered: 0, talkSeconds: 0 };
+  Object.values(FAILURE_COLUMNS).forEach(column => {
+    counters[column] = 0;
+  });
+  counters.other = 0;
+  return counters;
+};
+
+/**
+ * Turns the counters of a group into a report row
+ * @param {string} group - The group name
+ * @param {Object} counters - The counters
+ * @returns {Object} The row: calls, answered, ASR in percent, ACD in seconds, total minutes and failures
+ */
+const toRow = (group, { calls, answered, talkSeconds, ...failures }) => ({
+  group,
+  calls,
+  answered,
+  asr: calls > 0 ? Math.round((answered / calls) * 1000) / 10 : 0,
+  acd: answered > 0 ? Math.round((talkSeconds / answered) * 10) / 10 : 0,
+  minutes: Math.round((talkSeconds / 60) * 100) / 100,
+  ...failures
+});
+
+/**
+ * Creates a report that sessions are added to one at a time. Only the counters of each
+ * group are kept, so any number of sessions can be streamed through it.
+ * @param {string} groupBy - One of REPORT_GROUPS
+ * @returns {{add: Function, rows: Function}} The report
+ */
+const createReport = (groupBy) => {
+  if (!REPORT_GROUPS.includes(groupBy)) {
+    throw new ValidationError(`Unsupported group '${groupBy}'. Use one of: ${REPORT_GROUPS.join(', ')}`);
+  }
+  
+  const groups = new Map();
+  const total = createCounters();
+  
+  /**
+   * Counts a session in its group
+   * @param {Object} session - The session
+   * @returns {string} The outcome of the session, see analyzeSession()
+   */
+  const add = (session) => {
+    const { outcome, timings } = analyzeSession(session);
+    const group = groupOf(session, groupBy);
+    if (!groups.has(group)) {
+      groups.set(group, createCounters());
+    }
+    
+    [groups.get(group), total].forEach(counters => {
+      counters.calls++;
+      if (outcome === 'answered') {
+        counters.answered++;
+        counters.talkSeconds += timings.talkTime || 0;
+      } else {
+        counters[FAILURE_COLUMNS[outcome] || 'other']++;
+      }
+    });
+    return outcome;
+  };
+  
+  /**
+   * Gets the report rows: hours in time order and other groups by call count, then the total
+   * @returns {Array<Object>} The rows
+   */
+  const rows = () => {
+    const names = [...groups.keys()].sort((a, b) => {
+      if (groupBy === 'hour') {
+        return a.localeCompare(b);
+      }
+      return (groups.get(b).calls - groups.get(a).calls) || a.localeCompare(b);
+    });
+    return [...names.map(name => toRow(name, groups.get(name))), toRow(TOTAL_GROUP, total)];
+  };
+  
+  return { add, rows };
+};
+
+module.exports = {
+  REPORT_GROUPS,
+  createReport
+};
@@ -0,0 +1,154 @@
+/**
+ * Helpers for reading call session data
+ */
+
+// Statuses after which a session does not change anymore
+const TERMINAL_STATUSES = [
+  'completed', 'ended', 'hangup', 'busy', 'noanswer', 'no-answer', 'cancel', 'canceled',
+  'cancelled', 'rejected', 'failed', 'error', 'congestion', 'nocredit', 'timeout'
+];
+
+/**
+ * Parse a session timestamp, completing truncated ISO strings such as "2025-04-01T02"
+ * @param {string|number|Date} value - An ISO string, epoch milliseconds or a Date
+ * @returns {Date|null} The parsed date, or null if the value is not a valid time
+ */
+const parseTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  let input = value;
+  if (typeof input === 'string') {
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}$/.test(input)) {
+      input += ':00:00.000Z';
+    } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(input)) {
+      input += ':00.000Z';
+    } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/.test(input)) {
+      input += '.000Z';
+    } else if (/^\d+$/.test(input)) {
+      input = Number(input);
+    }
+  }
+  
+  const date = new Date(input);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get the first valid time among several session fields
+ * @param {Object} session - The session
+ * @param {Array<string>} fields - The field names to try, in order
+ * @returns {Date|null} The time, or null if none of the fields is set
+ */
+const firstTime = (session, fields) => {
+  for (const field of fields) {
+    const date = parseTimestamp(session[field]);
+    if (date) {
+      return date;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the time a session started
+ * @param {Object} session - The session
+ * @returns {Date|null} The start time
+ */
+const getSessionStart = (session) => firstTime(session, ['callStartTime', 'startTime', 'createdAt']);
+
+/**
+ * Get the time a session was answered
+ * @param {Object} session - The session
+ * @returns {Date|null} The answer time, or null if the call was not answered
+ */
+const getSessionAnswer = (session) => firstTime(session, ['callAnswerTime', 'answerTime']);
+
+/**
+ * Get the time a session ended
+ * @param {Object} session - The session
+ * @returns {Date|null} The end time, or null if the call is still active
+ */
+const getSessionEnd = (session) => firstTime(session, ['callEndTime', 'endTime']);
+
+/**
+ * Get the total duration of a session in seconds
+ * @param {Object} session - The session
+ * @returns {number|null} The duration, or null if the session has not ended
+ */
+const getSessionDuration = (session) => {
+  const start = getSessionStart(session);
+  const end = getSessionEnd(session);
+  if (!start || !end) {
+    return null;
+  }
+  return Math.max(0, Math.round((end - start) / 1000));
+};
+
+/**
+ * Check whether a session has reached a terminal state
+ * @param {Object} session - The session
+ * @returns {boolean} Whether the session is finished
+ */
+const isSessionFinished = (session) => {
+  if (!session) {
+    return false;
+  }
+  const status = String(session.status || '').toLowerCase();
+  return TERMINAL_STATUSES.includes(status) || Boolean(getSessionEnd(session));
+};
+
+/**
+ * Get the time of a log entry or event
+ * @param {Object} entry - The log entry or event
+ * @returns {Date|null} The entry time
+ */
+const getEntryTime = (entry) => firstTime(entry || {}, ['timestamp', 'time']);
+
+/**
+ * Build a compact one-line summary of a session
+ * @param {Object} session - The session
+ * @returns {Object} The summary fields
+ */
+const summarizeSession = (session) => {
+  const start = getSessionStart(session);
+  return {
+    token: session.token || session.id,
+    startTime: start ? start.toISOString() : '',
+    callerId: session.callerId || '',
+    destination: session.destination || '',
+    direction: session.direction || '',
+    status: session.status || '',
+    duration: getSessionDuration(session)
+  };
+};
+
+/**
+ * Checks a session against the filters locally, in case the API ignores some of them
+ * @param {Object} session - The session
+ * @param {Object} [filters] - The parsed filters: from and to as Dates, caller, callee and status
+ * @returns {boolean} Whether the session matches
+ */
+const matchesSessionFilters = (session, { from, to, caller, callee, status } = {}) => {
+  const start = getSessionStart(session);
+  if (from && start && start < from) return false;
+  if (to && start && start > to) return false;
+  if (caller && !String(session.callerId || '').includes(caller)) return false;
+  if (callee && !String(session.destination || '').includes(callee)) return false;
+  if (status && String(session.status || '').toLowerCase() !== status.toLowerCase()) return false;
+  return true;
+};
+
+module.exports = {
+  parseTimestamp,
+  getSessionStart,
+  getSessionAnswer,
+  getSessionEnd,
+  getSessionDuration,
+  isSessionFinished,
+  getEntryTime,
+  summarizeSession,
+  matchesSessionFilters,
+  TERMINAL_STATUSES
+};
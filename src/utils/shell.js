@@ -0,0 +1,196 @@
+/**
+ * Line parsing and tab completion, for the interactive shell and the completion scripts
+ */
+
+const { ValidationError } = require('./errors');
+const { loadConfig } = require('./config');
+const { OUTPUT_FORMATS } = require('./output');
+const { RESOURCES } = require('./snapshot');
+
+// Number of recent call sessions offered when completing --session
+const SESSION_SUGGESTIONS = 20;
+
+/**
+ * Splits a command line into words like a POSIX shell: words are separated by spaces,
+ * quotes group words and a backslash escapes the next character
+ * @param {string} line - The command line
+ * @returns {Array<string>} The words
+ */
+const splitCommandLine = (line) => {
+  const words = [];
+  let word = '';
+  let inWord = false;
+  let quote = null;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (char === '\\' && index + 1 < line.length && (!quote || ['"', '\\'].includes(line[index + 1]))) {
+      word += line[++index];
+      inWord = true;
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inWord = true;
+    } else if (/\s/.test(char)) {
+      if (inWord) {
+        words.push(word);
+        word = '';
+        inWord = false;
+      }
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) {
+    throw new ValidationError(`Missing closing ${quote === '"' ? 'double' : 'single'} quote`);
+  }
+  if (inWord) {
+    words.push(word);
+  }
+
+  return words;
+};
+
+/**
+ * Lists the values of an option that are known without calling the API: output formats,
+ * and the profiles and domains in the configuration
+ * @param {string} flag - The option, e.g. --profile
+ * @returns {Promise<Array<string>|null>} The values, or null if the option has none of these
+ */
+const listConfigValues = async (flag) => {
+  if (flag === '--output' || flag === '--default-output') {
+    return OUTPUT_FORMATS;
+  }
+  if (flag !== '--profile' && flag !== '--domain') {
+    return null;
+  }
+
+  // API keys are not needed, so a locked configuration is not decrypted
+  const { profiles } = await loadConfig({ decrypt: false });
+  return flag === '--profile'
+    ? Object.keys(profiles)
+    : [...new Set(Object.values(profiles).map(profile => profile.domain).filter(Boolean))];
+};
+
+/**
+ * Lists the names and IDs of the resources an option refers to, e.g. the trunks for
+ * --trunk, or the most recent call sessions for --session
+ * @param {string} flag - The option
+ * @param {CloudonixClient} client - The client for the domain
+ * @returns {Promise<Array<string>|null>} The values, or null if the option refers to no resource
+ */
+const listResourceValues = async (flag, client) => {
+  if (flag === '--session') {
+    const sessions = await client.sessions.list({}, { limit: SESSION_SUGGESTIONS });
+    return sessions.map(session => session.token).filter(Boolean);
+  }
+
+  const resource = RESOURCES.find(candidate => `--${candidate.type}` === flag);
+  if (!resource) {
+    return null;
+  }
+
+  const values = [];
+  (await client[resource.key].listAll()).forEach(item => {
+    values.push(item[resource.identity], item.id);
+  });
+  return values.filter(value => value !== undefined && value !== null).map(String);
+};
+
+/**
+ * Finds the command a list of words leads to, following subcommand names
+ * @param {Object} program - The Commander program
+ * @param {Array<string>} words - The words typed so far
+ * @returns {Object} The innermost command
+ */
+const findCommand = (program, words) => {
+  let command = program;
+
+  words.filter(word => !word.startsWith('-')).forEach(word => {
+    const subcommand = command.commands.find(candidate => candidate.name() === word || candidate.aliases().includes(word));
+    if (subcommand) {
+      command = subcommand;
+    }
+  });
+
+  return command;
+};
+
+/**
+ * Lists the long option flags accepted by a command, including the global ones
+ * @param {Object} program - The Commander program
+ * @param {Object} command - The command
+ * @returns {Array<Object>} The options
+ */
+const listOptions = (program, command) => {
+  const options = command === program ? program.options : [...command.options, ...program.options];
+  return options.filter(option => option.long);
+};
+
+/**
+ * Creates a readline completer for the commands of a Commander program. It completes
+ * command and subcommand names, option flags and, through getValues, option values.
+ * @param {Object} program - The Commander program
+ * @param {Object} [options] - Completion options
+ * @param {Array<string>} [options.builtins] - Extra top-level commands, e.g. exit
+ * @param {Function} [options.getValues] - Called with an option flag (e.g. "--trunk") or
+ *   a builtin, resolves to the values to offer for it
+ * @returns {Function} The completer, taking (line, callback)
+ */
+const createCompleter = (program, { builtins = [], getValues = async () => [] } = {}) => {
+  return (line, callback) => {
+    const words = line.split(/\s+/);
+    const current = words.pop();
+    const previous = words[words.length - 1];
+    const command = findCommand(program, words);
+    const match = (candidates) => {
+      const matches = [...new Set(candidates.map(String))].filter(candidate => candidate.startsWith(current)).sort();
+      // A single match is completed as a whole word, ready for the next one
+      callback(null, [matches.length === 1 ? [`${matches[0]} `] : matches, current]);
+    };
+
+    const option = previous && previous.startsWith('--')
+      ? listOptions(program, command).find(candidate => candidate.long === previous)
+      : null;
+
+    if (option && (option.required || option.optional) && !current.startsWith('-')) {
+      getValues(option.long).then(match, () => match([]));
+      return;
+    }
+
+    // Arguments of builtins, e.g. the profile of "use"
+    if (command === program && words.length === 1 && builtins.includes(previous)) {
+      getValues(previous).then(match, () => match([]));
+      return;
+    }
+
+    if (current.startsWith('-')) {
+      match([...listOptions(program, command).map(candidate => candidate.long), '--help']);
+      return;
+    }
+
+    const names = command.createHelp().visibleCommands(command).map(subcommand => subcommand.name());
+    match(command === program ? [...names, ...builtins] : names);
+  };
+};
+
+module.exports = {
+  splitCommandLine,
+  listConfigValues,
+  listResourceValues,
+  createCompleter
+};
@@ -0,0 +1,467 @@
+/**
+ * Declarative domain snapshots: export a domain's configuration, and plan and apply
+ * the changes needed to make a live domain match a snapshot
+ */
+
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+const { diffObjects, formatDiffValue, isPlainObject } = require('./diff');
+const { ValidationError } = require('./errors');
+
+const SNAPSHOT_VERSION = 1;
+const REDACTED = '<redacted>';
+
+// Resource collections in the order they are created, keyed like the CloudonixClient
+// namespaces. Deletions run in reverse, so DNIDs never point to an application that no longer exists.
+const RESOURCES = [
+  {
+    key: 'applications',
+    title: 'Applications',
+    type: 'application',
+    identity: 'name'
+  },
+  {
+    key: 'trunks',
+    title: 'Trunks',
+    type: 'trunk',
+    identity: 'name'
+  },
+  {
+    key: 'subscribers',
+    title: 'Subscribers',
+    type: 'subscriber',
+    identity: 'msisdn'
+  },
+  {
+    key: 'dnids',
+    title: 'DNIDs',
+    type: 'dnid',
+    identity: 'source'
+  }
+];
+
+// Markers for created, updated and deleted resources and fields
+const SYMBOLS = {
+  create: chalk.green('+'),
+  update: chalk.yellow('~'),
+  delete: chalk.red('-')
+};
+
+// Fields the API manages itself; they are left out of snapshots and never sent
+const READ_ONLY_FIELDS = ['id', 'customerId', 'domainId', 'domain', 'createdAt', 'modifiedAt', 'deletedAt', 'applicationId'];
+
+// Fields holding credentials, which are never written to a snapshot
+const SECRET_FIELDS = ['sipPassword', 'sip-password', 'password', 'secret', 'apiKey'];
+
+/**
+ * Strips API-managed fields from a resource and redacts its secrets
+ * @param {Object} item - The resource as returned by the API
+ * @returns {Object} The resource as stored in a snapshot
+ */
+const normalizeResource = (item) => {
+  const normalized = {};
+  Object.entries(item || {}).forEach(([key, value]) => {
+    if (READ_ONLY_FIELDS.includes(key)) {
+      return;
+    }
+    normalized[key] = SECRET_FIELDS.includes(key) && value ? REDACTED : value;
+  });
+  return normalized;
+};
+
+/**
+ * Removes redacted values, which must neither be compared nor sent to the API
+ * @param {Object} item - A resource from a snapshot
+ * @returns {Object} The resource without redacted values
+ */
+const withoutRedacted = (item) => {
+  const result = {};
+  Object.entries(item).forEach(([key, value]) => {
+    if (value !== REDACTED) {
+      result[key] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Reads the configuration of a live domain as a snapshot, along with the API IDs
+ * of its resources, which are needed to update or delete them
+ * @param {CloudonixClient} client - The client for the domain
+ * @returns {Promise<{snapshot: Object, ids: Object}>} The snapshot, and the IDs by resource type and identity
+ */
+const readDomain = async (client) => {
+  const info = await client.domains.get();
+  const snapshot = { version: SNAPSHOT_VERSION, domain: client.domain, settings: normalizeResource(info) };
+  const ids = {};
+  
+  // Fetch sequentially to stay friendly to the API rate limit
+  const lists = {};
+  for (const resource of RESOURCES) {
+    const list = await client[resource.key].listAll();
+    lists[resource.key] = Array.isArray(list) ? list : [];
+  }
+  
+  // DNIDs may only reference their application by ID; snapshots use the name
+  const applicationNames = new Map(lists.applications.map(application => [String(application.id), application.name]));
+  lists.dnids = lists.dnids.map(dnid => {
+    if (!dnid.application && dnid.applicationId !== undefined) {
+      return { ...dnid, application: applicationNames.get(String(dnid.applicationId)) };
+    }
+    return dnid;
+  });
+  
+  RESOURCES.forEach(({ key, identity }) => {
+    ids[key] = {};
+    lists[key].forEach(item => {
+      ids[key][String(item[identity])] = item.id !== undefined ? item.id : item[identity];
+    });
+    
+    // Sort by identity so exports of the same domain produce stable, reviewable diffs
+    snapshot[key] = lists[key]
+      .map(normalizeResource)
+      .sort((a, b) => String(a[identity]).localeCompare(String(b[identity])));
+  });
+  
+  return { snapshot, ids };
+};
+
+/**
+ * Reads the configuration of a live domain as a snapshot
+ * @param {CloudonixClient} client - The client for the domain
+ * @returns {Promise<Object>} The snapshot (version, domain, settings and one list per resource type)
+ */
+const takeSnapshot = async (client) => {
+  const { snapshot } = await readDomain(client);
+  return snapshot;
+};
+
+/**
+ * Formats a snapshot as YAML or JSON text
+ * @param {Object} snapshot - The snapshot
+ * @param {string} [format='yaml'] - Either yaml or json
+ * @returns {string} The text
+ */
+const formatSnapshot = (snapshot, format = 'yaml') => {
+  if (format === 'json') {
+    return JSON.stringify(snapshot, null, 2);
+  }
+  
+  const header = [
+    `# Cloudonix domain '${snapshot.domain}', exported by cx-cli on ${new Date().toISOString()}`,
+    `# Secrets are shown as '${REDACTED}' and are left unchanged by 'cx-cli apply'.`
+  ].join('\n');
+  return `${header}\n${yaml.stringify(snapshot)}`;
+};
+
+/**
+ * Reads a snapshot from a YAML or JSON file
+ * @param {string} file - The file path
+ * @returns {Promise<Object>} The snapshot
+ */
+const readSnapshot = async (file) => {
+  if (!(await fs.pathExists(file))) {
+    throw new ValidationError(`File '${file}' not found`);
+  }
+  
+  let snapshot;
+  try {
+    snapshot = yaml.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Cannot parse '${file}': ${error.message}`);
+  }
+  
+  if (!isPlainObject(snapshot)) {
+    throw new ValidationError(`'${file}' is not a domain snapshot`);
+  }
+  if (snapshot.version !== undefined && snapshot.version > SNAPSHOT_VERSION) {
+    throw new ValidationError(`'${file}' uses snapshot version ${snapshot.version}, this cx-cli supports up to ${SNAPSHOT_VERSION}`);
+  }
+  
+  RESOURCES.forEach(({ key, type, identity }) => {
+    if (snapshot[key] === undefined) {
+      return;
+    }
+    if (!Array.isArray(snapshot[key])) {
+      throw new ValidationError(`'${key}' in '${file}' must be a list`);
+    }
+    const seen = new Set();
+    snapshot[key].forEach((item, index) => {
+      if (!isPlainObject(item) || item[identity] === undefined || item[identity] === '') {
+        throw new ValidationError(`${type} #${index + 1} in '${file}' has no '${identity}'`);
+      }
+      if (seen.has(String(item[identity]))) {
+        throw new ValidationError(`Duplicate ${type} '${item[identity]}' in '${file}'`);
+      }
+      seen.add(String(item[identity]));
+    });
+  });
+  
+  return snapshot;
+};
+
+/**
+ * Compares the fields set in a snapshot resource with the live resource
+ * @param {Object} current - The live resource, normalized
+ * @param {Object} desired - The resource from the snapshot
+ * @returns {{changes: Array<Object>, fields: Object}} The changed fields, and the top-level fields to send
+ */
+const compareResource = (current, desired) => {
+  const wanted = withoutRedacted(desired);
+  const fields = {};
+  const changes = [];
+  
+  // Only fields present in the snapshot are managed; others keep their live value
+  Object.keys(wanted).forEach(key => {
+    const fieldChanges = diffObjects(current[key], wanted[key], key);
+    if (fieldChanges.length > 0) {
+      changes.push(...fieldChanges);
+      fields[key] = wanted[key];
+    }
+  });
+  
+  return { changes, fields };
+};
+
+/**
+ * Computes the actions that make a live domain match a snapshot. Resource types
+ * missing from the snapshot are left alone; resources missing from a listed type are deleted.
+ * @param {Object} desired - The snapshot to apply
+ * @param {Object} current - A snapshot of the live domain, from readDomain()
+ * @param {Object} [liveIds] - Live resource IDs by type and identity, from readDomain()
+ * @returns {Array<Object>} The actions ({ action, type, key, id, fields, changes }) in execution order
+ */
+const computePlan = (desired, current, liveIds = {}) => {
+  const actions = [];
+  
+  if (isPlainObject(desired.settings)) {
+    const { changes, fields } = compareResource(current.settings || {}, desired.settings);
+    if (changes.length > 0) {
+      actions.push({ action: 'update', type: 'settings', key: current.domain, fields, changes });
+    }
+  }
+  
+  const upserts = [];
+  const deletions = [];
+  
+  RESOURCES.forEach(({ key, type, identity }) => {
+    if (!Array.isArray(desired[key])) {
+      return;
+    }
+    
+    const ids = liveIds[key] || {};
+    const live = new Map((current[key] || []).map(item => [String(item[identity]), item]));
+    const wanted = new Set();
+    
+    desired[key].forEach(item => {
+      const name = String(item[identity]);
+      wanted.add(name);
+      
+      if (!live.has(name)) {
+        const fields = withoutRedacted(item);
+        const changes = Object.keys(fields).map(field => ({ path: field, before: undefined, after: fields[field] }));
+        upserts.push({ action: 'create', type, key: name, fields, changes });
+        return;
+      }
+      
+      const { changes, fields } = compareResource(live.get(name), item);
+      if (changes.length > 0) {
+        upserts.push({ action: 'update', type, key: name, id: ids[name], fields, changes });
+      }
+    });
+    
+    live.forEach((item, name) => {
+      if (!wanted.has(name)) {
+        deletions.push({ action: 'delete', type, key: name, id: ids[name], changes: [] });
+      }
+    });
+  });
+  
+  // Delete in reverse dependency order, after creating what may replace the resources
+  const order = RESOURCES.map(resource => resource.type).reverse();
+  deletions.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+  
+  return [...actions, ...upserts, ...deletions];
+};
+
+/**
+ * Counts the actions of a plan by kind
+ * @param {Array<Object>} plan - The actions from computePlan()
+ * @returns {{create: number, update: number, delete: number}} The counts
+ */
+const summarizePlan = (plan) => {
+  const summary = { create: 0, update: 0, delete: 0 };
+  plan.forEach(({ action }) => {
+    summary[action]++;
+  });
+  return summary;
+};
+
+/**
+ * Formats one changed field of a resource
+ * @param {Object} change - The change from diffObjects()
+ * @param {string} [indent] - Prefix for the line
+ * @returns {string} The formatted line
+ */
+const formatFieldChange = ({ path, before, after }, indent = '      ') => {
+  if (before === undefined) {
+    return `${indent}${SYMBOLS.create} ${path}: ${formatDiffValue(after)}`;
+  }
+  if (after === undefined) {
+    return `${indent}${SYMBOLS.delete} ${path}: ${formatDiffValue(before)}`;
+  }
+  return `${indent}${SYMBOLS.update} ${path}: ${formatDiffValue(before)} → ${formatDiffValue(after)}`;
+};
+
+/**
+ * Formats a plan for review, in the style of a Terraform plan
+ * @param {Array<Object>} plan - The actions from computePlan()
+ * @param {string} domain - The domain the plan applies to
+ * @returns {string} The formatted plan
+ */
+const formatPlan = (plan, domain) => {
+  const blocks = plan.map(({ action, type, key, changes }) => {
+    const title = type === 'settings' ? 'domain settings' : `${type} "${key}"`;
+    return [`  ${SYMBOLS[action]} ${chalk.bold(title)}`, ...changes.map(change => formatFieldChange(change))].join('\n');
+  });
+  
+  const { create, update, delete: remove } = summarizePlan(plan);
+  return [
+    `cx-cli will perform the following actions on domain '${domain}':`,
+    '',
+    blocks.join('\n\n'),
+    '',
+    chalk.bold(`Plan: ${create} to add, ${update} to change, ${remove} to destroy.`)
+  ].join('\n');
+};
+
+/**
+ * Compares two snapshots resource by resource, matching resources by name.
+ * Redacted secrets are ignored, since their values are unknown.
+ * @param {Object} before - The baseline snapshot
+ * @param {Object} after - The snapshot compared with the baseline
+ * @returns {Array<Object>} The differences ({ type, key, status, changes }), status being added, removed or changed
+ */
+const diffSnapshots = (before, after) => {
+  const differences = [];
+  
+  // Parts missing from either side, e.g. a hand-written file without subscribers, are not compared
+  if (isPlainObject(before.settings) && isPlainObject(after.settings)) {
+    const settingsChanges = diffObjects(withoutRedacted(before.settings), withoutRedacted(after.settings));
+    if (settingsChanges.length > 0) {
+      differences.push({ type: 'settings', key: 'settings', status: 'changed', changes: settingsChanges });
+    }
+  }
+  
+  RESOURCES.forEach(({ key, type, identity }) => {
+    if (!Array.isArray(before[key]) || !Array.isArray(after[key])) {
+      return;
+    }
+    
+    const beforeItems = new Map(before[key].map(item => [String(item[identity]), item]));
+    const afterItems = new Map(after[key].map(item => [String(item[identity]), item]));
+    const names = [...new Set([...beforeItems.keys(), ...afterItems.keys()])].sort();
+    
+    names.forEach(name => {
+      if (!afterItems.has(name)) {
+        differences.push({ type, key: name, status: 'removed', changes: [] });
+      } else if (!beforeItems.has(name)) {
+        differences.push({ type, key: name, status: 'added', changes: [] });
+      } else {
+        const changes = diffObjects(withoutRedacted(beforeItems.get(name)), withoutRedacted(afterItems.get(name)));
+        if (changes.length > 0) {
+          differences.push({ type, key: name, status: 'changed', changes });
+        }
+      }
+    });
+  });
+  
+  return differences;
+};
+
+/**
+ * Formats the differences between two snapshots, grouped by resource type
+ * @param {Array<Object>} differences - The differences from diffSnapshots()
+ * @param {string} beforeLabel - Name of the baseline, e.g. a domain or file name
+ * @param {string} afterLabel - Name of the compared side
+ * @returns {string} The formatted differences
+ */
+const formatSnapshotDiff = (differences, beforeLabel, afterLabel) => {
+  const statusSymbols = { added: SYMBOLS.create, removed: SYMBOLS.delete, changed: SYMBOLS.update };
+  const statusNotes = { added: `only in ${afterLabel}`, removed: `only in ${beforeLabel}`, changed: '' };
+  const sections = [];
+  
+  [{ type: 'settings', title: 'Domain settings' }, ...RESOURCES].forEach(({ type, title }) => {
+    const entries = differences.filter(difference => difference.type === type);
+    if (entries.length === 0) {
+      return;
+    }
+    
+    const lines = [chalk.bold.blue(`=== ${title} ===`)];
+    
+    entries.forEach(({ key, status, changes }) => {
+      if (type === 'settings') {
+        lines.push(...changes.map(change => formatFieldChange(change, '  ')));
+        return;
+      }
+      const note = statusNotes[status] ? chalk.dim(` (${statusNotes[status]})`) : '';
+      lines.push(`  ${statusSymbols[status]} ${chalk.bold(`${type} "${key}"`)}${note}`);
+      lines.push(...changes.map(change => formatFieldChange(change)));
+    });
+    
+    sections.push(lines.join('\n'));
+  });
+  
+  return [
+    chalk.red(`--- ${beforeLabel}`),
+    chalk.green(`+++ ${afterLabel}`),
+    '',
+    sections.join('\n\n')
+  ].join('\n');
+};
+
+/**
+ * Executes the actions of a plan in order, stopping at the first failure
+ * @param {CloudonixClient} client - The client for the domain
+ * @param {Array<Object>} plan - The actions from computePlan()
+ * @param {Function} [onAction] - Called with each action after it succeeded
+ */
+const applyPlan = async (client, plan, onAction = () => {}) => {
+  for (const step of plan) {
+    const { action, type, key, id, fields } = step;
+    
+    if (type === 'settings') {
+      await client.domains.update(null, fields);
+    } else {
+      const resource = client[RESOURCES.find(candidate => candidate.type === type).key];
+      const target = id !== undefined ? id : key;
+      
+      if (action === 'create') {
+        await resource.create(fields);
+      } else if (action === 'update') {
+        await resource.update(target, fields);
+      } else {
+        await resource.delete(target);
+      }
+    }
+    
+    onAction(step);
+  }
+};
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  REDACTED,
+  RESOURCES,
+  readDomain,
+  takeSnapshot,
+  formatSnapshot,
+  readSnapshot,
+  computePlan,
+  summarizePlan,
+  formatPlan,
+  applyPlan,
+  diffSnapshots,
+  formatSnapshotDiff
+};
@@ -0,0 +1,58 @@
+/**
+ * Helpers for parsing time options given on the command line
+ */
+
+const { parseTimestamp } = require('./session');
+const { ValidationError } = require('./errors');
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a time option: an ISO date/time, epoch milliseconds, "now", or a
+ * relative time in the past such as "30m", "2h" or "7d"
+ * @param {string} value - The option value
+ * @param {Date} [now] - The reference time for relative values
+ * @returns {Date} The parsed time
+ */
+const parseTimeOption = (value, now = new Date()) => {
+  if (value === 'now') {
+    return now;
+  }
+  
+  const relative = /^(\d+)\s*([smhdw])$/.exec(value);
+  if (relative) {
+    return new Date(now.getTime() - Number(relative[1]) * UNIT_MS[relative[2]]);
+  }
+  
+  const date = parseTimestamp(value);
+  if (!date) {
+    throw new ValidationError(`Invalid time '${value}'. Use an ISO date/time, "now", or a relative time like 30m, 2h or 7d`);
+  }
+  return date;
+};
+
+/**
+ * Parse a time option that ends a time range. A date without a time, e.g. "2025-04-01",
+ * means the end of that day (UTC), so the range includes the whole day.
+ * @param {string} value - The option value
+ * @param {Date} [now] - The reference time for relative values
+ * @returns {Date} The parsed time
+ */
+const parseEndTimeOption = (value, now = new Date()) => {
+  const date = parseTimeOption(value, now);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + UNIT_MS.d - 1);
+  }
+  return date;
+};
+
+module.exports = {
+  parseTimeOption,
+  parseEndTimeOption
+};
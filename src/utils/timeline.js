@@ -0,0 +1,373 @@
+/**
+ * Call flow timeline (ladder diagram) built from a session's events and log
+ */
+
+const chalk = require('chalk');
+const { getEntryTime, getSessionStart, getSessionAnswer, getSessionEnd } = require('./session');
+const { ValidationError } = require('./errors');
+
+const TIMELINE_FORMATS = ['ascii', 'mermaid', 'html'];
+
+const PARTICIPANTS = [
+  { id: 'caller', name: 'Caller' },
+  { id: 'cloudonix', name: 'Cloudonix' },
+  { id: 'application', name: 'Application' },
+  { id: 'trunk', name: 'Trunk' },
+  { id: 'subscriber', name: 'Subscriber' }
+];
+
+// Rules mapping an entry's text to the participants it flows between, first match wins.
+// 'callee' is the lane of the party last dialed: a subscriber, or the trunk by default.
+const FLOW_RULES = [
+  { pattern: /\b(application|cxml|webhook|http)\b.*\b(response|responded|returned|reply|error|failed)\b/, from: 'application', to: 'cloudonix' },
+  { pattern: /\b(application|cxml|webhook|http (request|get|post)|fetch(ing)?)\b/, from: 'cloudonix', to: 'application' },
+  { pattern: /\b(incoming|inbound call|new call|new session|received call)\b/, from: 'caller', to: 'cloudonix' },
+  { pattern: /\b(busy|486|no.?answer|480|408|reject(ed)?|declined|603|congestion|503)\b/, from: 'callee', to: 'cloudonix' },
+  { pattern: /\b(ringing|180|183|early media|progress)\b/, from: 'callee', to: 'cloudonix' },
+  { pattern: /\b(answer(ed)?|connected|200 ok)\b/, from: 'callee', to: 'cloudonix' },
+  { pattern: /\b(hangup|hang up|bye|disconnect(ed)?|ended|terminated|completed)\b/, from: 'cloudonix', to: 'caller' },
+  { pattern: /\b(dial(ing)?|calling)\b.*\bsubscriber\b/, from: 'cloudonix', to: 'subscriber', callee: 'subscriber' },
+  { pattern: /\b(dial(ing)?|trunk|outbound|invite|calling)\b/, from: 'cloudonix', to: 'trunk', callee: 'trunk' }
+];
+
+/**
+ * Get the text describing a log entry or event
+ * @param {Object} entry - The log entry or event
+ * @returns {string} The description
+ */
+const entryText = (entry) => {
+  const text = entry.message || entry.event || entry.type || entry.name || entry.description;
+  if (text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+  }
+  const rest = { ...entry };
+  delete rest.timestamp;
+  delete rest.time;
+  return JSON.stringify(rest);
+};
+
+/**
+ * Format a number of milliseconds as seconds
+ * @param {number} ms - The duration
+ * @returns {string} The formatted duration, e.g. "1.250s"
+ */
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(3)}s`;
+
+/**
+ * Build the timeline model of a session
+ * @param {Object} session - The session information
+ * @returns {Object} The timeline with participants, steps and key durations
+ */
+const buildTimeline = (session) => {
+  const entries = [];
+  (Array.isArray(session.events) ? session.events : []).forEach(entry => entries.push({ kind: 'event', entry }));
+  (Array.isArray(session.log) ? session.log : []).forEach(entry => entries.push({ kind: 'log', entry }));
+
+  const timed = entries
+    .map(item => ({ ...item, time: getEntryTime(item.entry) }))
+    .filter(item => item.time)
+    .sort((a, b) => a.time - b.time);
+
+  const start = getSessionStart(session) || (timed.length > 0 ? timed[0].time : null);
+  const steps = [];
+  let previous = start;
+  let state = null;
+  let callee = 'trunk';
+
+  timed.forEach(({ kind, entry, time }) => {
+    const text = entryText(entry);
+    const rule = FLOW_RULES.find(candidate => candidate.pattern.test(text.toLowerCase()));
+    if (rule && rule.callee) {
+      callee = rule.callee;
+    }
+    const lane = (id) => (id === 'callee' ? callee : id);
+    const offsetMs = start ? time - start : 0;
+    const deltaMs = previous ? time - previous : 0;
+    previous = time;
+
+    steps.push({
+      kind,
+      time,
+      offsetMs,
+      deltaMs,
+      from: rule ? lane(rule.from) : 'cloudonix',
+      to: rule ? lane(rule.to) : 'cloudonix',
+      label: text
+    });
+
+    // Record state transitions as notes on the Cloudonix lane
+    const newState = entry.status || entry.state;
+    if (newState && newState !== state) {
+      steps.push({
+        kind: 'state',
+        time,
+        offsetMs,
+        deltaMs: 0,
+        from: 'cloudonix',
+        to: 'cloudonix',
+        label: `state: ${state || 'start'} → ${newState}`
+      });
+      state = newState;
+    }
+  });
+
+  const answer = getSessionAnswer(session);
+  const end = getSessionEnd(session);
+
+  return {
+    session: session.token || session.id || '',
+    callerId: session.callerId || '',
+    destination: session.destination || '',
+    status: session.status || '',
+    start,
+    // The subscriber lane is only drawn for calls that reach one
+    participants: PARTICIPANTS.filter(({ id }) => id !== 'subscriber' || steps.some(step => step.from === id || step.to === id)),
+    steps,
+    durations: {
+      answerMs: start && answer ? answer - start : null,
+      talkMs: answer && end ? end - answer : null,
+      totalMs: start && end ? end - start : null
+    }
+  };
+};
+
+/**
+ * Format the key durations of a timeline as text lines
+ * @param {Object} timeline - The timeline from buildTimeline()
+ * @returns {Array<string>} The duration lines
+ */
+const durationLines = (timeline) => {
+  const { answerMs, talkMs, totalMs } = timeline.durations;
+  const lines = [];
+  if (answerMs !== null) lines.push(`Time to answer (start → answer): ${formatSeconds(answerMs)}`);
+  if (talkMs !== null) lines.push(`Talk time (answer → end): ${formatSeconds(talkMs)}`);
+  if (totalMs !== null) lines.push(`Total duration (start → end): ${formatSeconds(totalMs)}`);
+  return lines;
+};
+
+/**
+ * Render a timeline as an ASCII ladder diagram
+ * @param {Object} timeline - The timeline from buildTimeline()
+ * @returns {string} The ladder diagram
+ */
+const renderAscii = (timeline) => {
+  const laneWidth = 22;
+  const timeWidth = 22;
+  const lanes = timeline.participants.map(participant => participant.id);
+  const laneCenter = (id) => lanes.indexOf(id) * laneWidth + Math.floor(laneWidth / 2);
+  const lanesWidth = lanes.length * laneWidth;
+
+  const blankRow = () => {
+    const row = Array(lanesWidth).fill(' ');
+    lanes.forEach(id => { row[laneCenter(id)] = '|'; });
+    return row;
+  };
+
+  const lines = [];
+  lines.push(chalk.bold.blue(`\n=== Call Flow for Session ${timeline.session} ===\n`));
+  if (timeline.callerId || timeline.destination) {
+    lines.push(`Caller: ${timeline.callerId || '-'}   Destination: ${timeline.destination || '-'}   Status: ${timeline.status || '-'}`);
+  }
+  if (timeline.start) {
+    lines.push(`Started: ${timeline.start.toISOString()}`);
+  }
+  lines.push('');
+
+  // Participant header centered over each lane
+  const header = Array(lanesWidth).fill(' ');
+  timeline.participants.forEach(({ id, name }) => {
+    const startAt = laneCenter(id) - Math.floor(name.length / 2);
+    name.split('').forEach((char, index) => { header[startAt + index] = char; });
+  });
+  lines.push(' '.repeat(timeWidth) + chalk.bold(header.join('').trimEnd()));
+  lines.push(' '.repeat(timeWidth) + blankRow().join('').trimEnd());
+
+  timeline.steps.forEach(step => {
+    const row = blankRow();
+    const offset = `+${formatSeconds(step.offsetMs)}`;
+    const delta = `(Δ${formatSeconds(step.deltaMs)})`;
+    const stamp = `${offset} ${chalk.dim(delta)}${' '.repeat(Math.max(1, timeWidth - offset.length - delta.length - 1))}`;
+    const fromX = laneCenter(step.from);
+    const toX = laneCenter(step.to);
+
+    if (fromX === toX) {
+      // Notes are written to the right of their lane
+      const label = step.kind === 'state' ? chalk.yellow(`[${step.label}]`) : step.label;
+      lines.push(`${stamp}${row.slice(0, fromX + 1).join('')} ${label}`);
+      return;
+    }
+
+    const left = Math.min(fromX, toX);
+    const right = Math.max(fromX, toX);
+    for (let x = left + 1; x < right; x++) row[x] = '-';
+    if (toX > fromX) {
+      row[right - 1] = '>';
+    } else {
+      row[left + 1] = '<';
+    }
+
+    // Write the label into the arrow, truncated to fit
+    const room = right - left - 5;
+    const label = step.label.length > room ? `${step.label.substring(0, room - 1)}…` : step.label;
+    const labelStart = left + 3 + Math.floor((room - label.length) / 2);
+    label.split('').forEach((char, index) => { row[labelStart + index] = char; });
+
+    // Show the full text after the diagram when it did not fit
+    const suffix = label !== step.label ? chalk.dim(` ${step.label}`) : '';
+    lines.push(`${stamp}${row.join('').trimEnd()}${suffix}`);
+  });
+
+  lines.push(' '.repeat(timeWidth) + blankRow().join('').trimEnd());
+
+  const durations = durationLines(timeline);
+  if (durations.length > 0) {
+    lines.push('');
+    durations.forEach(line => lines.push(line));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Escape a label for Mermaid sequence diagrams
+ * @param {string} text - The label
+ * @returns {string} The escaped label
+ */
+const mermaidLabel = (text) => text.replace(/;/g, '#59;').replace(/#(?!59;)/g, '#35;').replace(/[\r\n]+/g, ' ');
+
+/**
+ * Render a timeline as Mermaid sequence diagram text
+ * @param {Object} timeline - The timeline from buildTimeline()
+ * @returns {string} The Mermaid diagram
+ */
+const renderMermaid = (timeline) => {
+  const lines = ['sequenceDiagram'];
+  timeline.participants.forEach(({ id, name }) => lines.push(`  participant ${id} as ${name}`));
+
+  timeline.steps.forEach(step => {
+    const label = mermaidLabel(`+${formatSeconds(step.offsetMs)} ${step.label}`);
+    if (step.from === step.to) {
+      lines.push(`  Note over ${step.from}: ${label}`);
+    } else {
+      lines.push(`  ${step.from}->>${step.to}: ${label}`);
+    }
+  });
+
+  // Duration notes span every lane
+  const { participants } = timeline;
+  const span = `${participants[0].id},${participants[participants.length - 1].id}`;
+  durationLines(timeline).forEach(line => {
+    lines.push(`  Note over ${span}: ${mermaidLabel(line)}`);
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a timeline as a standalone HTML page with an inline SVG ladder diagram
+ * @param {Object} timeline - The timeline from buildTimeline()
+ * @returns {string} The HTML document
+ */
+const renderHtml = (timeline) => {
+  const laneWidth = 220;
+  const timeWidth = 140;
+  const rowHeight = 34;
+  const top = 50;
+  const lanes = timeline.participants.map(participant => participant.id);
+  const laneX = (id) => timeWidth + lanes.indexOf(id) * laneWidth + laneWidth / 2;
+  const width = timeWidth + lanes.length * laneWidth;
+  const height = top + (timeline.steps.length + 1) * rowHeight;
+
+  const svg = [];
+  svg.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="monospace" font-size="12">`);
+  svg.push('<defs><marker id="arrow" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto"><path d="M0,0 L0,6 L9,3 z" fill="#333"/></marker></defs>');
+
+  timeline.participants.forEach(({ id, name }) => {
+    const x = laneX(id);
+    svg.push(`<text x="${x}" y="20" text-anchor="middle" font-weight="bold">${escapeHtml(name)}</text>`);
+    svg.push(`<line x1="${x}" y1="30" x2="${x}" y2="${height}" stroke="#bbb" stroke-dasharray="4 3"/>`);
+  });
+
+  timeline.steps.forEach((step, index) => {
+    const y = top + index * rowHeight + rowHeight / 2;
+    svg.push(`<text x="8" y="${y + 4}" fill="#666">+${formatSeconds(step.offsetMs)}</text>`);
+
+    if (step.from === step.to) {
+      const x = laneX(step.from);
+      const color = step.kind === 'state' ? '#b8860b' : '#333';
+      svg.push(`<rect x="${x + 6}" y="${y - 11}" width="${laneWidth * 1.6}" height="20" fill="#fff8dc" stroke="#e0d090"/>`);
+      svg.push(`<text x="${x + 12}" y="${y + 3}" fill="${color}"><title>${escapeHtml(step.label)}</title>${escapeHtml(step.label.substring(0, 48))}</text>`);
+    } else {
+      const x1 = laneX(step.from);
+      const x2 = laneX(step.to);
+      svg.push(`<line x1="${x1}" y1="${y + 6}" x2="${x2}" y2="${y + 6}" stroke="#333" marker-end="url(#arrow)"/>`);
+      svg.push(`<text x="${(x1 + x2) / 2}" y="${y}" text-anchor="middle"><title>${escapeHtml(step.label)}</title>${escapeHtml(step.label.substring(0, 30))}</text>`);
+    }
+  });
+
+  svg.push('</svg>');
+
+  const details = [
+    `Caller: ${timeline.callerId || '-'}`,
+    `Destination: ${timeline.destination || '-'}`,
+    `Status: ${timeline.status || '-'}`,
+    timeline.start ? `Started: ${timeline.start.toISOString()}` : null,
+    ...durationLines(timeline)
+  ].filter(Boolean);
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>Call Flow for Session ${escapeHtml(timeline.session)}</title>`,
+    '<style>body{font-family:sans-serif;margin:24px;color:#222}ul{padding-left:18px}</style>',
+    '</head>',
+    '<body>',
+    `<h1>Call Flow for Session ${escapeHtml(timeline.session)}</h1>`,
+    `<ul>${details.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`,
+    svg.join('\n'),
+    '</body>',
+    '</html>'
+  ].join('\n');
+};
+
+/**
+ * Render a session's timeline in the given format
+ * @param {Object} session - The session information
+ * @param {string} [format='ascii'] - One of ascii, mermaid or html
+ * @returns {string} The rendered timeline
+ */
+const renderTimeline = (session, format = 'ascii') => {
+  if (!TIMELINE_FORMATS.includes(format)) {
+    throw new ValidationError(`Unsupported timeline format '${format}'. Use one of: ${TIMELINE_FORMATS.join(', ')}`);
+  }
+
+  const timeline = buildTimeline(session);
+
+  if (format === 'mermaid') {
+    return renderMermaid(timeline);
+  }
+  if (format === 'html') {
+    return renderHtml(timeline);
+  }
+  return renderAscii(timeline);
+};
+
+module.exports = {
+  TIMELINE_FORMATS,
+  entryText,
+  buildTimeline,
+  renderTimeline
+};
@@ -0,0 +1,45 @@
+/**
+ * Validation helpers for resource fields
+ */
+
+const net = require('net');
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+
+/**
+ * Check whether a value is an IPv4/IPv6 address or a valid hostname
+ * @param {string} value - The value to check
+ * @returns {boolean} Whether the value is a valid host
+ */
+const isValidHost = (value) => {
+  if (typeof value !== 'string' || !value) {
+    return false;
+  }
+  if (net.isIP(value)) {
+    return true;
+  }
+  // A dotted all-numeric value that is not an IP address is a mistyped IP, not a hostname
+  if (/^[\d.]+$/.test(value)) {
+    return false;
+  }
+  return HOSTNAME_PATTERN.test(value);
+};
+
+/**
+ * Check whether a value is a valid TCP/UDP port number
+ * @param {string|number} value - The value to check
+ * @returns {boolean} Whether the value is a valid port
+ */
+const isValidPort = (value) => {
+  // Only decimal digits, so Number() can't accept hex (0x13c4), exponents or whitespace
+  if (!/^\d+$/.test(String(value))) {
+    return false;
+  }
+  const port = Number(value);
+  return port >= 1 && port <= 65535;
+};
+
+module.exports = {
+  isValidHost,
+  isValidPort
+};
@@ -0,0 +1,159 @@
+/**
+ * Minimal XML well-formedness checker for CXML scripts
+ */
+
+const NAME_PATTERN = /^[A-Za-z_:][\w:.-]*$/;
+
+/**
+ * Convert a string offset to a line/column position
+ * @param {string} text - The XML text
+ * @param {number} offset - The offset in the text
+ * @returns {string} A "line X, column Y" description
+ */
+const position = (text, offset) => {
+  const lines = text.substring(0, offset).split('\n');
+  return `line ${lines.length}, column ${lines[lines.length - 1].length + 1}`;
+};
+
+/**
+ * Find the end of a tag, skipping '>' characters inside quoted attribute values
+ * @param {string} text - The XML text
+ * @param {number} start - The offset just after the opening '<'
+ * @returns {number} The offset of the closing '>', or -1 if not found
+ */
+const findTagEnd = (text, start) => {
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Validate the attributes part of a start tag
+ * @param {string} attributes - The text between the tag name and the closing bracket
+ * @returns {string|null} An error message, or null if the attributes are valid
+ */
+const checkAttributes = (attributes) => {
+  const pattern = /\s*([^\s=]+)\s*=\s*("[^"<]*"|'[^'<]*')/y;
+  const seen = new Set();
+  let index = 0;
+  
+  while (index < attributes.length) {
+    if (/^\s*$/.test(attributes.substring(index))) {
+      break;
+    }
+    pattern.lastIndex = index;
+    const match = pattern.exec(attributes);
+    if (!match) {
+      return `malformed attribute near '${attributes.substring(index).trim()}'`;
+    }
+    if (!NAME_PATTERN.test(match[1])) {
+      return `invalid attribute name '${match[1]}'`;
+    }
+    if (seen.has(match[1])) {
+      return `duplicate attribute '${match[1]}'`;
+    }
+    seen.add(match[1]);
+    index = pattern.lastIndex;
+  }
+  
+  return null;
+};
+
+/**
+ * Check whether a string is a well-formed XML document
+ * @param {string} text - The XML text
+ * @returns {{valid: boolean, error: (string|undefined)}} The validation result
+ */
+const validateXml = (text) => {
+  const fail = (message, offset) => ({ valid: false, error: `${message} at ${position(text, offset)}` });
+  const stack = [];
+  let rootCount = 0;
+  let index = 0;
+  
+  while (index < text.length) {
+    const open = text.indexOf('<', index);
+    const chunk = text.substring(index, open === -1 ? text.length : open);
+    
+    // Character data is only allowed inside the root element
+    if (stack.length === 0 && chunk.trim()) {
+      return fail('text outside of the root element', index);
+    }
+    if (/&(?!(?:[A-Za-z]+|#\d+|#x[0-9A-Fa-f]+);)/.test(chunk)) {
+      return fail('unescaped \'&\'', index + chunk.search(/&(?!(?:[A-Za-z]+|#\d+|#x[0-9A-Fa-f]+);)/));
+    }
+    if (open === -1) {
+      break;
+    }
+    
+    let close;
+    if (text.startsWith('<!--', open)) {
+      close = text.indexOf('-->', open + 4);
+      if (close === -1) return fail('unterminated comment', open);
+      index = close + 3;
+    } else if (text.startsWith('<![CDATA[', open)) {
+      if (stack.length === 0) return fail('CDATA section outside of the root element', open);
+      close = text.indexOf(']]>', open + 9);
+      if (close === -1) return fail('unterminated CDATA section', open);
+      index = close + 3;
+    } else if (text.startsWith('<?', open)) {
+      close = text.indexOf('?>', open + 2);
+      if (close === -1) return fail('unterminated processing instruction', open);
+      index = close + 2;
+    } else if (text.startsWith('<!', open)) {
+      close = text.indexOf('>', open + 2);
+      if (close === -1) return fail('unterminated declaration', open);
+      index = close + 1;
+    } else {
+      close = findTagEnd(text, open + 1);
+      if (close === -1) return fail('unterminated tag', open);
+      
+      const tag = text.substring(open + 1, close);
+      index = close + 1;
+      
+      if (tag.startsWith('/')) {
+        const name = tag.substring(1).trim();
+        const expected = stack.pop();
+        if (expected === undefined) return fail(`unexpected closing tag </${name}>`, open);
+        if (name !== expected) return fail(`expected </${expected}> but found </${name}>`, open);
+      } else {
+        const selfClosing = tag.endsWith('/');
+        const body = selfClosing ? tag.slice(0, -1) : tag;
+        const name = body.split(/\s/)[0];
+        
+        if (!NAME_PATTERN.test(name)) return fail(`invalid tag name '${name}'`, open);
+        const attributeError = checkAttributes(body.substring(name.length));
+        if (attributeError) return fail(attributeError, open);
+        
+        if (stack.length === 0) {
+          rootCount++;
+          if (rootCount > 1) return fail('multiple root elements', open);
+        }
+        if (!selfClosing) {
+          stack.push(name);
+        }
+      }
+    }
+  }
+  
+  if (stack.length > 0) {
+    return { valid: false, error: `unclosed element <${stack[stack.length - 1]}>` };
+  }
+  if (rootCount === 0) {
+    return { valid: false, error: 'no root element' };
+  }
+  
+  return { valid: true };
+};
+
+module.exports = {
+  validateXml
+};
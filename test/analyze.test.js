@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analyzeSession, parseSipResponse } = require('../src/utils/analyze');
+const { sessions } = require('../src/mock/fixtures.json');
+
+const START = Date.parse('2025-01-01T00:00:00.000Z');
+const at = (seconds) => new Date(START + seconds * 1000).toISOString();
+
+/**
+ * Builds a session with a log
+ * @param {string} status - The session status
+ * @param {Array<Array>} log - The log lines as [seconds after the start, message]
+ * @param {Object} [fields] - Other session fields
+ * @returns {Object} The session
+ */
+const makeSession = (status, log, fields = {}) => ({
+  token: 'test',
+  status,
+  trunk: 'carrier-a',
+  callStartTime: at(0),
+  callEndTime: at(log.length > 0 ? log[log.length - 1][0] : 0),
+  log: log.map(([seconds, message]) => ({ timestamp: at(seconds), message })),
+  ...fields
+});
+
+test('the fixture sessions are answered, busy and an application error', () => {
+  const outcomes = sessions.map(session => analyzeSession(session));
+  assert.deepStrictEqual(outcomes.map(analysis => analysis.outcome), ['answered', 'busy', 'application-error']);
+  assert.deepStrictEqual(outcomes[0].timings, { postDialDelay: 0.8, ringTime: 2.1, talkTime: 120 });
+  assert.deepStrictEqual(outcomes[1].finalResponse, { code: 486, reason: 'Busy Here' });
+});
+
+test('a negated answer line does not make a call answered', () => {
+  const analysis = analyzeSession(makeSession('noanswer', [
+    [0.1, 'Dialing +15551234567 via trunk carrier-a'],
+    [1, 'SIP 180 Ringing'],
+    [31, 'Call not answered after 30s, giving up']
+  ]));
+  assert.strictEqual(analysis.outcome, 'no-answer');
+  assert.strictEqual(analysis.timings.talkTime, null);
+});
+
+test('a negated answer line is ignored even without a final status', () => {
+  const analysis = analyzeSession(makeSession('ended', [
+    [0.1, 'Dialing +15551234567 via trunk carrier-a'],
+    [30, 'Nobody answered the call'],
+    [30, 'SIP 480 Temporarily Unavailable']
+  ]));
+  assert.strictEqual(analysis.outcome, 'no-answer');
+});
+
+test('timeout wordings in application lines are application errors', () => {
+  ['Application timeout after 5s', 'Webhook request timeout', 'cXML script time-out', 'Application request timed out after 5s'].forEach(line => {
+    const analysis = analyzeSession(makeSession('error', [
+      [0, 'Fetching application ivr'],
+      [5, line]
+    ]));
+    assert.strictEqual(analysis.outcome, 'application-error', line);
+  });
+});
+
+test('a terminal status that is not answered wins over the log', () => {
+  const analysis = analyzeSession(makeSession('busy', [
+    [0.1, 'Dialing +15551234567 via trunk carrier-a'],
+    [1, 'Connected to early media']
+  ], { callAnswerTime: at(1) }));
+  assert.strictEqual(analysis.outcome, 'busy');
+  assert.strictEqual(analysis.timings.talkTime, null);
+});
+
+test('an application setting such as a timeout is not an application error', () => {
+  const analysis = analyzeSession(makeSession('completed', [
+    [0, 'Fetching application ivr (timeout 5s)'],
+    [0.2, 'Dialing +15551234567 via trunk carrier-a'],
+    [1, 'SIP 180 Ringing'],
+    [3, 'SIP 200 OK'],
+    [63, 'BYE received from caller']
+  ]));
+  assert.strictEqual(analysis.outcome, 'answered');
+  assert.strictEqual(analysis.applicationError, null);
+  assert.strictEqual(analysis.timings.talkTime, 60);
+});
+
+test('an answered call is answered even if the application logs an error later', () => {
+  const analysis = analyzeSession(makeSession('completed', [
+    [0.2, 'Dialing +15551234567 via trunk carrier-a'],
+    [3, 'SIP 200 OK'],
+    [30, 'Application error: webhook returned 500'],
+    [63, 'BYE received from caller']
+  ]));
+  assert.strictEqual(analysis.outcome, 'answered');
+});
+
+test('application failures are still detected', () => {
+  const analysis = analyzeSession(makeSession('error', [
+    [0, 'Fetching application ivr'],
+    [5, 'Application request timed out after 5s']
+  ]));
+  assert.strictEqual(analysis.outcome, 'application-error');
+});
+
+test('final SIP responses classify failed calls', () => {
+  const cases = [
+    ['failed', 'SIP 503 Service Unavailable', 'trunk-failure'],
+    ['failed', 'SIP 403 Forbidden from carrier', 'rejected'],
+    ['cancelled', 'SIP 487 Request Terminated', 'no-answer']
+  ];
+  cases.forEach(([status, line, outcome]) => {
+    const analysis = analyzeSession(makeSession(status, [[0.1, 'Dialing 123 via trunk carrier-a'], [2, line]]));
+    assert.strictEqual(analysis.outcome, outcome, line);
+  });
+});
+
+test('SIP responses are read with their reason', () => {
+  assert.deepStrictEqual(parseSipResponse('SIP 486 Busy Here from trunk carrier-a'), { code: 486, reason: 'Busy Here' });
+  assert.deepStrictEqual(parseSipResponse('SIP 200 OK, call answered'), { code: 200, reason: 'OK' });
+  assert.deepStrictEqual(parseSipResponse('SIP 487'), { code: 487, reason: 'Request Terminated' });
+  assert.strictEqual(parseSipResponse('Application response 200 OK'), null);
+});
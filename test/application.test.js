@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+const { validateXml } = require('../src/utils/xml');
+
+const SCRIPT = '<?xml version="1.0"?>\n<Response>\n  <Say voice="alice">Hello &amp; welcome</Say>\n  <Hangup/>\n</Response>\n';
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('validateXml accepts well-formed documents', () => {
+  [SCRIPT, '<Response/>', '<!-- flow --><Response><![CDATA[<not a tag>]]></Response>'].forEach(text => {
+    assert.deepStrictEqual(validateXml(text), { valid: true }, text);
+  });
+});
+
+test('validateXml reports the problem and where it is', () => {
+  const cases = [
+    ['<Response>\n  <Say>Hi</Dial>\n</Response>', /expected <\/Say> but found <\/Dial> at line 2/],
+    ['<Response>', /unclosed element <Response>/],
+    ['<Response/><Response/>', /multiple root elements/],
+    ['<Response>Tom & Jerry</Response>', /unescaped '&'/],
+    ['<Say a="1" a="2"/>', /duplicate attribute 'a'/],
+    ['', /no root element/]
+  ];
+  cases.forEach(([text, error]) => {
+    const result = validateXml(text);
+    assert.strictEqual(result.valid, false, text);
+    assert.match(result.error, error);
+  });
+});
+
+test('application create uploads a local CXML file as the script', async () => {
+  const file = path.join(home, 'flow.xml');
+  await fs.writeFile(file, SCRIPT);
+
+  const { code, stdout } = await runCli(['--output', 'json', 'application', 'create', '--name', 'welcome', '--file', file], { home, env });
+  assert.strictEqual(code, 0);
+  const application = JSON.parse(stdout);
+  assert.strictEqual(application.name, 'welcome');
+  assert.strictEqual(application.type, 'cloudonix');
+  assert.strictEqual(application.script, SCRIPT);
+});
+
+test('application create rejects a malformed file before calling the API', async () => {
+  const file = path.join(home, 'broken.xml');
+  await fs.writeFile(file, '<Response>\n  <Say>Hi\n</Response>\n');
+
+  const { code, stderr } = await runCli(['application', 'create', '--name', 'broken', '--file', file], { home, env });
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /not well-formed XML/);
+
+  const { stdout } = await runCli(['--output', 'json', 'get', '--application'], { home, env });
+  assert.ok(!JSON.parse(stdout).some(application => application.name === 'broken'));
+});
+
+test('application create needs exactly one source for the script', async () => {
+  const none = await runCli(['application', 'create', '--name', 'empty'], { home, env });
+  assert.strictEqual(none.code, 2);
+  assert.match(none.stderr, /--url, --script or --file/);
+
+  const both = await runCli(['application', 'create', '--name', 'both', '--url', 'https://example.com/flow', '--script', '<Response/>'], { home, env });
+  assert.strictEqual(both.code, 2);
+  assert.match(both.stderr, /either --url or a script/);
+});
+
+test('application update changes the URL and method by name', async () => {
+  const { code, stdout } = await runCli(
+    ['--output', 'json', 'application', 'update', '--application', 'main-ivr', '--url', 'https://example.com/ivr', '--method', 'post'],
+    { home, env }
+  );
+  assert.strictEqual(code, 0);
+  const application = JSON.parse(stdout);
+  assert.strictEqual(application.url, 'https://example.com/ivr');
+  assert.strictEqual(application.method, 'POST');
+});
+
+test('application delete asks for confirmation unless --yes is given', async () => {
+  const aborted = await runCli(['application', 'delete', '--application', 'welcome'], { home, env, input: 'n\n' });
+  assert.strictEqual(aborted.code, 0);
+  assert.match(aborted.stdout, /Aborted/);
+
+  const deleted = await runCli(['application', 'delete', '--application', 'welcome', '--yes'], { home, env });
+  assert.strictEqual(deleted.code, 0);
+
+  const { code } = await runCli(['get', '--application', 'welcome'], { home, env });
+  assert.strictEqual(code, 5);
+});
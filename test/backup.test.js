@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const tar = require('tar');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('backup writes an archive only its owner can read, also over an existing file', { skip: process.platform === 'win32' }, async () => {
+  const file = path.join(home, 'backup.tgz');
+  await fs.writeFile(file, 'old', { mode: 0o644 });
+  await fs.chmod(file, 0o644);
+
+  const { code } = await runCli(['backup', '--out', file], { home, env });
+  assert.strictEqual(code, 0);
+  assert.strictEqual((await fs.stat(file)).mode & 0o777, 0o600);
+
+  const names = [];
+  await tar.t({ file, onentry: entry => names.push(entry.path) });
+  assert.ok(names.includes('metadata.json'));
+  assert.ok(names.includes('subscribers.json'));
+});
+
+test('restore --dry-run reads the archive back', async () => {
+  const file = path.join(home, 'restore.tgz');
+  assert.strictEqual((await runCli(['backup', '--out', file], { home, env })).code, 0);
+
+  const { code, stdout } = await runCli(['--output', 'json', 'restore', '--in', file, '--dry-run'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /carrier-a/);
+});
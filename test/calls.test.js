@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let home;
+
+before(async () => {
+  home = await createHome();
+});
+
+after(async () => {
+  await fs.remove(home);
+});
+
+/**
+ * Starts a server that ignores page and limit, and always returns the same sessions
+ * @param {number} count - The number of sessions
+ * @returns {Promise<Object>} The server, with the number of requests it got in requests()
+ */
+const startUnpagedServer = async (count) => {
+  let requests = 0;
+  const sessions = Array.from({ length: count }, (_, index) => ({
+    token: `t${index}`,
+    status: 'completed',
+    callStartTime: new Date(Date.UTC(2025, 2, 1, 10, index)).toISOString()
+  }));
+  const server = await startMock({
+    handler: (req, res) => {
+      requests++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(sessions));
+    }
+  });
+  return { ...server, requests: () => requests };
+};
+
+test('calls list filters the mock sessions', async () => {
+  const mock = await startMock();
+  try {
+    const { code, stdout } = await runCli(['--output', 'json', 'calls', 'list', '--status', 'busy'], {
+      home,
+      env: { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' }
+    });
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout).map(session => session.token), ['a1b2c3d4e5f60002']);
+  } finally {
+    await mock.close();
+  }
+});
+
+for (const [count, pageSize] of [[5, 2], [2, 2]]) {
+  test(`calls list stops when the API ignores paging (${count} sessions, pages of ${pageSize})`, async () => {
+    const server = await startUnpagedServer(count);
+    try {
+      const env = { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' };
+      const all = await runCli(['--output', 'json', 'calls', 'list', '--page-size', String(pageSize)], { home, env });
+      assert.strictEqual(all.code, 0);
+      assert.deepStrictEqual(JSON.parse(all.stdout).map(session => session.token), Array.from({ length: count }, (_, index) => `t${index}`));
+
+      const none = await runCli(['--output', 'json', 'calls', 'list', '--status', 'busy', '--page-size', String(pageSize)], { home, env });
+      assert.strictEqual(none.code, 0);
+      assert.deepStrictEqual(JSON.parse(none.stdout), []);
+      assert.ok(server.requests() <= 4, `${server.requests()} requests`);
+    } finally {
+      await server.close();
+    }
+  });
+}
+
+test('a date alone in --to includes the whole day', async () => {
+  const mock = await startMock();
+  try {
+    const env = { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' };
+    const day = await runCli(['--output', 'json', 'calls', 'list', '--from', '2025-03-01', '--to', '2025-03-01'], { home, env });
+    assert.strictEqual(day.code, 0);
+    assert.deepStrictEqual(JSON.parse(day.stdout).map(session => session.token), ['a1b2c3d4e5f60001', 'a1b2c3d4e5f60002']);
+
+    const earlier = await runCli(['--output', 'json', 'calls', 'list', '--to', '2025-02-28'], { home, env });
+    assert.strictEqual(earlier.code, 0);
+    assert.deepStrictEqual(JSON.parse(earlier.stdout), []);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('calls list stops checking sessions when client-side filters match few of them', async () => {
+  let requests = 0;
+  // An endless history of answered calls, one page after the other
+  const server = await startMock({
+    handler: (req, res) => {
+      requests++;
+      const url = new URL(req.url, 'http://localhost');
+      const page = Number(url.searchParams.get('page') || 1);
+      const limit = Number(url.searchParams.get('limit') || 50);
+      const sessions = Array.from({ length: limit }, (_, index) => ({
+        token: `p${page}-${index}`,
+        status: 'completed',
+        callStartTime: new Date(Date.UTC(2025, 2, 1) - (page * limit + index) * 60000).toISOString()
+      }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(sessions));
+    }
+  });
+  try {
+    const { code, stdout, stderr } = await runCli(
+      ['--output', 'json', 'calls', 'list', '--status', 'busy', '--max', '5', '--page-size', '10'],
+      { home, env: { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } }
+    );
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout), []);
+    assert.strictEqual(requests, 5);
+    assert.match(stderr, /Stopped after checking 50 sessions/);
+  } finally {
+    await server.close();
+  }
+});
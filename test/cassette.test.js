@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+
+const API_KEY = 'XI1234567890abcdef';
+
+let mock;
+let home;
+let env;
+let offline;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: API_KEY };
+  // Nothing listens on port 9, so a replay that reached the network would fail
+  offline = { CX_API_URL: 'http://127.0.0.1:9', CX_DOMAIN: 'test.example', CX_APIKEY: 'none' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('a recorded command replays offline with the same output and exit code', async () => {
+  const cassette = path.join(home, 'get.json');
+  const recorded = await runCli(['--record', cassette, '--output', 'json', 'get', '--trunk'], { home, env });
+  assert.strictEqual(recorded.code, 0);
+
+  const text = await fs.readFile(cassette, 'utf8');
+  assert.ok(!text.includes(API_KEY), 'the API key is redacted');
+  assert.strictEqual(JSON.parse(text).entries.length, 1);
+
+  const replayed = await runCli(['--replay', cassette, '--output', 'json', 'get', '--trunk'], { home, env: offline });
+  assert.strictEqual(replayed.code, 0);
+  assert.strictEqual(replayed.stdout, recorded.stdout);
+});
+
+test('recorded API errors replay with the same exit code', async () => {
+  const cassette = path.join(home, 'not-found.json');
+  assert.strictEqual((await runCli(['--record', cassette, 'get', '--trunk', 'nope'], { home, env })).code, 5);
+
+  const replayed = await runCli(['--replay', cassette, 'get', '--trunk', 'nope'], { home, env: offline });
+  assert.strictEqual(replayed.code, 5);
+  assert.match(replayed.stderr, /not found/);
+});
+
+test('relative --from and --to times replay although they change with the clock', async () => {
+  const cassette = path.join(home, 'calls.json');
+  const args = ['--output', 'json', 'calls', 'list', '--from', '5000d', '--to', '1m'];
+  const recorded = await runCli(['--record', cassette, ...args], { home, env });
+  assert.strictEqual(recorded.code, 0);
+  assert.strictEqual(JSON.parse(recorded.stdout).length, 3);
+
+  // Let the clock move on, so the times in the replayed query differ from the recorded ones
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const replayed = await runCli(['--replay', cassette, ...args], { home, env: offline });
+  assert.strictEqual(replayed.code, 0);
+  assert.strictEqual(replayed.stdout, recorded.stdout);
+});
+
+test('a request that was not recorded fails and names the missed request', async () => {
+  const cassette = path.join(home, 'get.json');
+  const { code, stderr } = await runCli(['--replay', cassette, 'get', '--application'], { home, env: offline });
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /No recorded response for GET \/\S*applications/);
+});
+
+test('--record and --replay cannot be combined', async () => {
+  const cassette = path.join(home, 'get.json');
+  const { code } = await runCli(['--record', cassette, '--replay', cassette, 'get'], { home, env });
+  assert.strictEqual(code, 2);
+});
+
+test('cassette har converts a cassette to HAR 1.2', async () => {
+  const har = path.join(home, 'get.har');
+  const { code } = await runCli(['cassette', 'har', '--in', path.join(home, 'get.json'), '--out', har], { home });
+  assert.strictEqual(code, 0);
+
+  const { log } = await fs.readJson(har);
+  assert.strictEqual(log.version, '1.2');
+  assert.strictEqual(log.entries.length, 1);
+  assert.strictEqual(log.entries[0].request.method, 'GET');
+  assert.strictEqual(log.entries[0].response.status, 200);
+  assert.deepStrictEqual(JSON.parse(log.entries[0].response.content.text).map(trunk => trunk.name), ['carrier-a', 'carrier-b']);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let mock;
+let home;
+
+/**
+ * Runs `cx-cli __complete` and returns the candidates
+ */
+const complete = async (words, { options = [], env = {} } = {}) => {
+  const { code, stdout } = await runCli(['__complete', ...options, '--', ...words], { home, env });
+  assert.strictEqual(code, 0);
+  return stdout.split('\n').filter(Boolean);
+};
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  const profiles = [
+    ['--profile', 'prod', '--api-url', mock.url, 'configure', '--domain', 'prod.example', '--apikey', 'XI1234567890abcdef', '--default'],
+    ['--profile', 'staging', '--api-url', mock.url, 'configure', '--domain', 'staging.example', '--apikey', 'XI1234567890abcdef']
+  ];
+  for (const args of profiles) {
+    assert.strictEqual((await runCli(args, { home })).code, 0);
+  }
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('completion prints a script for each supported shell', async () => {
+  const bash = await runCli(['completion', 'bash'], { home });
+  assert.strictEqual(bash.code, 0);
+  assert.match(bash.stdout, /complete -o default -F _cx_cli_complete cx-cli/);
+  assert.match(bash.stdout, /cx-cli __complete --/);
+
+  const zsh = await runCli(['completion', 'zsh', '--resource-ids'], { home });
+  assert.strictEqual(zsh.code, 0);
+  assert.match(zsh.stdout, /^#compdef cx-cli/);
+  assert.match(zsh.stdout, /cx-cli __complete --resource-ids --/);
+
+  const fish = await runCli(['completion', 'fish'], { home });
+  assert.strictEqual(fish.code, 0);
+  assert.match(fish.stdout, /complete -c cx-cli -f -a '\(__cx_cli_complete\)'/);
+
+  const unsupported = await runCli(['completion', 'powershell'], { home });
+  assert.strictEqual(unsupported.code, 2);
+  assert.match(unsupported.stderr, /Unsupported shell 'powershell'/);
+});
+
+test('__complete completes commands, subcommands and options', async () => {
+  assert.deepStrictEqual(await complete(['tr']), ['trunk']);
+  assert.ok((await complete(['trunk', ''])).includes('create'));
+  assert.ok((await complete(['get', '--tr'])).includes('--trunk'));
+  assert.ok(!(await complete([''])).includes('__complete'), 'hidden commands are not offered');
+});
+
+test('__complete completes profiles, domains and output formats from the configuration', async () => {
+  assert.deepStrictEqual(await complete(['get', '--profile', '']), ['prod', 'staging']);
+  assert.deepStrictEqual(await complete(['get', '--domain', 'st']), ['staging.example']);
+  assert.ok((await complete(['--output', ''])).includes('json'));
+});
+
+test('__complete only fetches resource names with --resource-ids, and caches them', async () => {
+  assert.deepStrictEqual(await complete(['get', '--trunk', '']), []);
+
+  const trunks = await complete(['get', '--profile', 'staging', '--trunk', 'carrier'], { options: ['--resource-ids'] });
+  assert.deepStrictEqual(trunks, ['carrier-a', 'carrier-b']);
+
+  const cacheFile = path.join(home, '.cx-cli', 'completion-cache.json');
+  const cache = await fs.readJson(cacheFile);
+  assert.ok(cache['staging.example']['--trunk'].values.includes('carrier-a'));
+  assert.strictEqual((await fs.stat(cacheFile)).mode & 0o777, 0o600);
+
+  // Fresh cache entries are used without calling the API
+  cache['staging.example']['--trunk'].values = ['cached-trunk'];
+  await fs.writeJson(cacheFile, cache);
+  assert.deepStrictEqual(await complete(['get', '--profile', 'staging', '--trunk', ''], { options: ['--resource-ids'] }), ['cached-trunk']);
+});
+
+test('__complete never asks for the passphrase of a locked configuration', async () => {
+  const locked = await createHome();
+  try {
+    const setup = [
+      ['--profile', 'prod', '--api-url', mock.url, 'configure', '--domain', 'prod.example', '--apikey', 'XI1234567890abcdef', '--default'],
+      ['config', 'lock']
+    ];
+    for (const args of setup) {
+      assert.strictEqual((await runCli(args, { home: locked, env: { CX_PASSPHRASE: 'correct horse' } })).code, 0);
+    }
+
+    const profiles = await runCli(['__complete', '--resource-ids', '--', 'get', '--profile', ''], { home: locked });
+    assert.strictEqual(profiles.code, 0);
+    assert.strictEqual(profiles.stdout, 'prod\n');
+
+    const trunks = await runCli(['__complete', '--resource-ids', '--', 'get', '--trunk', ''], { home: locked });
+    assert.strictEqual(trunks.code, 0);
+    assert.strictEqual(trunks.stdout, '');
+    assert.strictEqual(trunks.stderr, '');
+  } finally {
+    await fs.remove(locked);
+  }
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { startMock, createHome, runCli } = require('./helpers');
+const { encryptSecrets, decryptSecrets } = require('../src/utils/crypto');
+
+const API_KEY = 'XI1234567890abcdef';
+
+let mock;
+const homes = [];
+
+before(async () => {
+  mock = await startMock();
+});
+
+after(async () => {
+  await mock.close();
+  await Promise.all(homes.map(home => fs.remove(home)));
+});
+
+/**
+ * Creates a home directory with a configured profile named "work"
+ * @returns {Promise<string>} The home directory
+ */
+const createConfiguredHome = async () => {
+  const home = await createHome();
+  homes.push(home);
+  const { code } = await runCli(
+    ['--profile', 'work', '--api-url', mock.url, 'configure', '--domain', 'work.example', '--apikey', API_KEY, '--default'],
+    { home }
+  );
+  assert.strictEqual(code, 0);
+  return home;
+};
+
+/**
+ * Reads the configuration file of a home directory
+ * @param {string} home - The home directory
+ * @returns {Promise<Object>} The configuration as stored
+ */
+const readConfig = async (home) => yaml.parse(await fs.readFile(path.join(home, '.cx-cli', 'config.yaml'), 'utf8'));
+
+test('a version 1 configuration is migrated to one profile per domain', async () => {
+  const home = await createHome();
+  homes.push(home);
+  await fs.outputFile(path.join(home, '.cx-cli', 'config.yaml'), yaml.stringify({ domains: { 'old.example': { apiKey: API_KEY } } }));
+
+  const { code, stdout } = await runCli(['--output', 'json', 'get', '--domain', 'old.example'], { home, env: { CX_API_URL: mock.url } });
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).domain, 'old.example');
+
+  const config = await readConfig(home);
+  assert.strictEqual(config.version, 2);
+  assert.strictEqual(config.domains, undefined);
+  assert.deepStrictEqual(config.profiles['old.example'], { domain: 'old.example', apiKey: API_KEY });
+});
+
+test('config lock encrypts the API keys and unlock restores them', async () => {
+  const home = await createConfiguredHome();
+  const env = { CX_PASSPHRASE: 'correct horse' };
+
+  const locked = await runCli(['config', 'lock'], { home, env });
+  assert.strictEqual(locked.code, 0);
+  const text = await fs.readFile(path.join(home, '.cx-cli', 'config.yaml'), 'utf8');
+  assert.ok(!text.includes(API_KEY));
+  assert.strictEqual((await readConfig(home)).profiles.work.domain, 'work.example');
+
+  const { code, stdout } = await runCli(['--output', 'json', 'get'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).domain, 'work.example');
+
+  const unlocked = await runCli(['config', 'unlock'], { home, env });
+  assert.strictEqual(unlocked.code, 0);
+  assert.strictEqual((await readConfig(home)).profiles.work.apiKey, API_KEY);
+});
+
+test('a locked configuration needs the right passphrase', async () => {
+  const home = await createConfiguredHome();
+  assert.strictEqual((await runCli(['config', 'lock'], { home, env: { CX_PASSPHRASE: 'correct horse' } })).code, 0);
+
+  const missing = await runCli(['get'], { home });
+  assert.strictEqual(missing.code, 3);
+  assert.match(missing.stderr, /CX_PASSPHRASE/);
+
+  const wrong = await runCli(['get'], { home, env: { CX_PASSPHRASE: 'wrong' } });
+  assert.strictEqual(wrong.code, 3);
+  assert.match(wrong.stderr, /Incorrect passphrase/);
+});
+
+test('CX_DOMAIN and CX_APIKEY work with a locked configuration and no passphrase', async () => {
+  const home = await createConfiguredHome();
+  assert.strictEqual((await runCli(['config', 'lock'], { home, env: { CX_PASSPHRASE: 'correct horse' } })).code, 0);
+
+  const { code, stdout } = await runCli(['--output', 'json', 'get'], {
+    home,
+    env: { CX_API_URL: mock.url, CX_DOMAIN: 'ci.example', CX_APIKEY: API_KEY }
+  });
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).domain, 'ci.example');
+});
+
+test('decryptSecrets round-trips and rejects out-of-range key derivation parameters', () => {
+  const envelope = encryptSecrets({ work: API_KEY }, 'correct horse');
+  assert.deepStrictEqual(decryptSecrets(envelope, 'correct horse'), { work: API_KEY });
+
+  [{ N: 2 ** 30, r: 8, p: 1 }, { N: 16, r: 8, p: 1 }, { N: 30000, r: 8, p: 1 }, { N: 32768, r: 8, p: 1000 }, { N: 32768, r: '8', p: 1 }].forEach(kdfParams => {
+    assert.throws(() => decryptSecrets({ ...envelope, kdfParams }, 'correct horse'), /key derivation parameters/, JSON.stringify(kdfParams));
+  });
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let mock;
+let home;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+/**
+ * Reads a profile from the configuration file in the test home directory
+ * @param {string} name - The profile name
+ * @returns {Promise<Object>} The profile
+ */
+const readProfile = async (name) => {
+  const config = yaml.parse(await fs.readFile(path.join(home, '.cx-cli', 'config.yaml'), 'utf8'));
+  return config.profiles[name];
+};
+
+test('configure keeps the settings of an existing profile that are not given again', async () => {
+  const first = await runCli([
+    '--profile', 'staging', '--api-url', mock.url, '--timeout', '60', '--retries', '1',
+    'configure', '--domain', 'staging.example', '--apikey', 'XI1234567890abcdef', '--default-output', 'json'
+  ], { home });
+  assert.strictEqual(first.code, 0);
+
+  const again = await runCli(
+    ['--profile', 'staging', 'configure', '--domain', 'staging.example', '--apikey', 'XI0000000000000000', '--yes'],
+    { home, env: { CX_API_URL: mock.url } }
+  );
+  assert.strictEqual(again.code, 0);
+
+  assert.deepStrictEqual(await readProfile('staging'), {
+    domain: 'staging.example',
+    apiKey: 'XI0000000000000000',
+    apiUrl: mock.url,
+    timeout: 60,
+    retries: 1,
+    output: 'json'
+  });
+});
+
+test('configure replaces a setting that is given again', async () => {
+  const { code } = await runCli(
+    ['--profile', 'staging', 'configure', '--domain', 'staging.example', '--apikey', 'XI0000000000000000', '--default-output', 'table'],
+    { home, env: { CX_API_URL: mock.url } }
+  );
+  assert.strictEqual(code, 0);
+  const profile = await readProfile('staging');
+  assert.strictEqual(profile.output, 'table');
+  assert.strictEqual(profile.timeout, 60);
+});
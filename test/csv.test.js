@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv } = require('../src/utils/csv');
+
+test('parseCsv keys rows by header and trims fields', () => {
+  assert.deepStrictEqual(parseCsv('number,application\n +15550100 , main-ivr \n'), [
+    { line: 2, number: '+15550100', application: 'main-ivr' }
+  ]);
+});
+
+test('parseCsv honors quoted fields, escaped quotes and a byte order mark', () => {
+  const rows = parseCsv('\uFEFFnumber,note\r\n+15550100,"Sales, ""east"""\r\n');
+  assert.deepStrictEqual(rows, [{ line: 2, number: '+15550100', note: 'Sales, "east"' }]);
+});
+
+test('parseCsv numbers rows by their physical line', () => {
+  const text = [
+    'number,note',
+    '',
+    '+15550100,"first',
+    'second"',
+    '   ',
+    '+15550101,plain'
+  ].join('\r\n');
+  assert.deepStrictEqual(parseCsv(text).map(row => [row.line, row.number]), [[3, '+15550100'], [6, '+15550101']]);
+});
+
+test('parseCsv matches column names without regard to case', () => {
+  assert.deepStrictEqual(parseCsv('Number,APPLICATION,Active\n+15550100,main-ivr,true'), [
+    { line: 2, number: '+15550100', application: 'main-ivr', active: 'true' }
+  ]);
+});
+
+test('parseCsv returns no rows for empty text or only a header', () => {
+  assert.deepStrictEqual(parseCsv(''), []);
+  assert.deepStrictEqual(parseCsv('number,application\n'), []);
+});
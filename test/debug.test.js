@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+const { redact, addSecret, setLogLevel } = require('../src/utils/debug');
+
+const API_KEY = 'XI1234567890abcdef';
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: API_KEY };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('redact replaces secret fields and registered secret values', () => {
+  addSecret('XIsecretvalue');
+  const circular = { name: 'loop' };
+  circular.self = circular;
+
+  assert.deepStrictEqual(redact({
+    headers: { Authorization: 'Bearer XIsecretvalue', 'Content-Type': 'application/json' },
+    body: { sipPassword: 'hunter2', apiKey: 'abc', name: 'carrier-a' },
+    url: '/keys/XIsecretvalue',
+    list: [{ password: 'x' }],
+    empty: { password: '' }
+  }), {
+    headers: { Authorization: 'Bearer <redacted>', 'Content-Type': 'application/json' },
+    body: { sipPassword: '<redacted>', apiKey: '<redacted>', name: 'carrier-a' },
+    url: '/keys/<redacted>',
+    list: [{ password: '<redacted>' }],
+    empty: { password: '' }
+  });
+  assert.deepStrictEqual(redact(circular), { name: 'loop', self: '[Circular]' });
+  assert.strictEqual(redact(42), 42);
+});
+
+test('setLogLevel rejects unknown levels', () => {
+  assert.throws(() => setLogLevel('loud'), /Unsupported log level 'loud'. Use one of: error, warn, info, debug, trace/);
+});
+
+test('nothing is logged at the default level', async () => {
+  const { code, stderr } = await runCli(['get', '--trunk', 'carrier-a'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.doesNotMatch(stderr, /\[debug\]/);
+});
+
+test('--debug logs requests and responses to stderr without the API key', async () => {
+  const { code, stdout, stderr } = await runCli(['--debug', '--output', 'json', 'get', '--trunk', 'carrier-a'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).name, 'carrier-a');
+  assert.match(stderr, /\[debug\] REQUEST: GET /);
+  assert.match(stderr, /\[debug\] RESPONSE: 200/);
+  assert.doesNotMatch(stderr, /\[trace\]/);
+  assert.ok(!stderr.includes(API_KEY), 'the API key is redacted');
+});
+
+test('--log-level trace logs request details with redacted credentials', async () => {
+  const { code, stderr } = await runCli(['--log-level', 'trace', 'get', '--trunk', 'carrier-a'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.match(stderr, /\[trace\] Request details/);
+  assert.match(stderr, /<redacted>/);
+  assert.ok(!stderr.includes(API_KEY), 'the API key is redacted');
+});
+
+test('CX_LOG_LEVEL sets the level, and unknown levels exit with a validation error', async () => {
+  const fromEnv = await runCli(['get', '--trunk', 'carrier-a'], { home, env: { ...env, CX_LOG_LEVEL: 'debug' } });
+  assert.strictEqual(fromEnv.code, 0);
+  assert.match(fromEnv.stderr, /\[debug\] REQUEST: GET /);
+
+  const unknown = await runCli(['--log-level', 'loud', 'get', '--trunk', 'carrier-a'], { home, env });
+  assert.strictEqual(unknown.code, 2);
+  assert.match(unknown.stderr, /Unsupported log level 'loud'/);
+});
+
+test('--debug-file writes JSON lines with durations, even when stderr stays quiet', async () => {
+  const file = path.join(home, 'debug.jsonl');
+  const { code, stderr } = await runCli(['--debug-file', file, 'get', '--trunk', 'carrier-a'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.doesNotMatch(stderr, /\[debug\]/);
+
+  const text = await fs.readFile(file, 'utf8');
+  assert.ok(!text.includes(API_KEY), 'the API key is redacted');
+  const entries = text.trim().split('\n').map(line => JSON.parse(line));
+  entries.forEach(entry => {
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    assert.strictEqual(entry.level, 'debug');
+  });
+  const response = entries.find(entry => entry.message.startsWith('RESPONSE: 200'));
+  assert.ok(response, 'the response is logged');
+  assert.strictEqual(typeof response.data.durationMs, 'number');
+  assert.strictEqual((await fs.stat(file)).mode & 0o777, 0o600);
+
+  // Later runs append to the file
+  await runCli(['--debug-file', file, 'get', '--trunk', 'carrier-b'], { home, env });
+  const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+  assert.ok(lines.length > entries.length);
+});
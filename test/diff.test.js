@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { startMock, createHome, runCli } = require('./helpers');
+const { diffSnapshots } = require('../src/utils/snapshot');
+const { diffObjects } = require('../src/utils/diff');
+
+let mock;
+let home;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  const env = { CX_API_URL: mock.url, CX_DOMAIN: 'staging.example', CX_APIKEY: 'XI1234567890abcdef' };
+  // Staging differs from production in one trunk port and one extra application
+  const changes = [
+    ['trunk', 'update', '--trunk', 'carrier-a', '--port', '5080', '--yes'],
+    ['application', 'create', '--name', 'extra', '--url', 'https://example.com/extra.xml']
+  ];
+  for (const args of changes) {
+    assert.strictEqual((await runCli(args, { home, env })).code, 0);
+  }
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+/**
+ * Runs the CLI against the staging domain
+ * @param {Array<string>} args - The arguments
+ * @returns {Promise<Object>} The result of runCli()
+ */
+const runStaging = (args) => runCli(args, { home, env: { CX_API_URL: mock.url, CX_DOMAIN: 'staging.example', CX_APIKEY: 'XI1234567890abcdef' } });
+
+test('diffObjects lists changed, added and removed fields by path', () => {
+  assert.deepStrictEqual(diffObjects({ a: 1, b: { c: 2 }, d: 3 }, { a: 1, b: { c: 4 }, e: 5 }), [
+    { path: 'b.c', before: 2, after: 4 },
+    { path: 'd', before: 3, after: undefined },
+    { path: 'e', before: undefined, after: 5 }
+  ]);
+});
+
+test('diffSnapshots matches resources by name and ignores redacted secrets', () => {
+  const baseline = { trunks: [{ name: 'a', port: 1 }, { name: 'b' }], subscribers: [{ msisdn: '1', sipPassword: '<redacted>' }] };
+  const compared = { trunks: [{ name: 'a', port: 2 }, { name: 'c' }], subscribers: [{ msisdn: '1' }] };
+  assert.deepStrictEqual(diffSnapshots(baseline, compared).map(({ type, key, status }) => `${status} ${type} ${key}`), [
+    'changed trunk a',
+    'removed trunk b',
+    'added trunk c'
+  ]);
+});
+
+test('diff compares two domains and ignores IDs and timestamps', async () => {
+  const { code, stdout } = await runStaging(['diff', '--against', 'prod.example']);
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /^--- prod\.example\n\+\+\+ staging\.example/);
+  assert.match(stdout, /\+ application "extra" \(only in staging\.example\)/);
+  assert.match(stdout, /~ trunk "carrier-a"\n\s+~ port: 5060 → 5080/);
+  assert.ok(!/modifiedAt|createdAt|\bid\b/.test(stdout), 'volatile fields are ignored');
+});
+
+test('diff --output json lists the differences', async () => {
+  const { code, stdout } = await runStaging(['--output', 'json', 'diff', '--against', 'prod.example']);
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).map(({ type, key, status }) => `${status} ${type} ${key}`), [
+    'added application extra',
+    'changed trunk carrier-a'
+  ]);
+});
+
+test('diff --against a file compares only the resource types in it', async () => {
+  const exported = await runCli(['export'], { home, env: { CX_API_URL: mock.url, CX_DOMAIN: 'prod.example', CX_APIKEY: 'XI1234567890abcdef' } });
+  assert.strictEqual(exported.code, 0);
+  const snapshot = yaml.parse(exported.stdout);
+  delete snapshot.applications;
+  const file = path.join(home, 'prod.yaml');
+  await fs.writeFile(file, yaml.stringify(snapshot));
+
+  const { code, stdout } = await runStaging(['--output', 'json', 'diff', '--against', file]);
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).map(({ type, key, status }) => `${status} ${type} ${key}`), ['changed trunk carrier-a']);
+});
+
+test('diff --exit-code exits with 1 when there are differences', async () => {
+  const { code } = await runStaging(['--output', 'json', 'diff', '--against', 'prod.example', '--exit-code']);
+  assert.strictEqual(code, 1);
+});
+
+test('diff with CX_APIKEY does not need the passphrase of a locked configuration', async () => {
+  const locked = await createHome();
+  try {
+    const setup = [
+      ['--profile', 'prod', '--api-url', mock.url, 'configure', '--domain', 'prod.example', '--apikey', 'XI1234567890abcdef'],
+      ['config', 'lock']
+    ];
+    for (const args of setup) {
+      assert.strictEqual((await runCli(args, { home: locked, env: { CX_PASSPHRASE: 'correct horse' } })).code, 0);
+    }
+
+    const { code, stdout } = await runCli(['--output', 'json', 'diff', '--against', 'prod.example'], {
+      home: locked,
+      env: { CX_API_URL: mock.url, CX_DOMAIN: 'staging.example', CX_APIKEY: 'XI1234567890abcdef' }
+    });
+    assert.strictEqual(code, 0);
+    assert.strictEqual(JSON.parse(stdout).length, 2);
+  } finally {
+    await fs.remove(locked);
+  }
+});
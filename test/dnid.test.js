@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+/**
+ * Writes a CSV file to the test home directory
+ * @param {string} name - The file name
+ * @param {string} text - The CSV text
+ * @returns {Promise<string>} The file path
+ */
+const writeCsv = async (name, text) => {
+  const file = path.join(home, name);
+  await fs.writeFile(file, text);
+  return file;
+};
+
+test('dnid create links the number to an application by name', async () => {
+  const { code, stdout } = await runCli(
+    ['--output', 'json', 'dnid', 'create', '--number', '+15550100', '--application', 'main-ivr', '--prefix'],
+    { home, env }
+  );
+  assert.strictEqual(code, 0);
+  const dnid = JSON.parse(stdout);
+  assert.strictEqual(dnid.source, '+15550100');
+  assert.strictEqual(dnid.application, 'main-ivr');
+  assert.strictEqual(dnid.prefix, true);
+});
+
+test('dnid create fails on an unknown application', async () => {
+  const { code, stderr } = await runCli(['dnid', 'create', '--number', '+15550101', '--application', 'nope'], { home, env });
+  assert.strictEqual(code, 5);
+  assert.match(stderr, /nope/);
+});
+
+test('dnid update rejects an --active value other than true or false', async () => {
+  const { code, stderr } = await runCli(['dnid', 'update', '--dnid', '1', '--active', 'yes'], { home, env });
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /active 'yes'/);
+});
+
+test('dnid import creates every valid row and reports the failed ones by line', async () => {
+  const file = await writeCsv('dnids.csv', [
+    'number,application,active',
+    '+15550200,main-ivr,true',
+    '+15550201,voicemail,FALSE',
+    '+15550202,main-ivr,yes',
+    ',main-ivr,true',
+    '+15550203,nope,true'
+  ].join('\n'));
+
+  const { code, stdout } = await runCli(['--output', 'json', 'dnid', 'import', '--file', file], { home, env });
+  assert.strictEqual(code, 1);
+  const results = JSON.parse(stdout);
+  assert.deepStrictEqual(results.map(result => [result.line, result.status]), [
+    [2, 'created'], [3, 'created'], [4, 'failed'], [5, 'failed'], [6, 'failed']
+  ]);
+  assert.match(results[2].error, /active 'yes'/);
+  assert.match(results[3].error, /Missing number/);
+  assert.match(results[4].error, /nope/);
+});
+
+test('dnid import --dry-run validates without creating anything', async () => {
+  const file = await writeCsv('dry-run.csv', 'number,application\n+15550300,main-ivr\n');
+
+  const { code, stdout } = await runCli(['--output', 'json', 'dnid', 'import', '--file', file, '--dry-run'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).map(result => result.status), ['valid']);
+
+  const list = await runCli(['--output', 'json', 'get', '--dnid'], { home, env });
+  assert.ok(!JSON.parse(list.stdout).some(dnid => dnid.source === '+15550300'));
+});
+
+test('dnid import fails on a missing file', async () => {
+  const { code, stderr } = await runCli(['dnid', 'import', '--file', path.join(home, 'missing.csv')], { home, env });
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /not found/);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+const { NotFoundError, RateLimitError, EXIT_CODES, errorClassForStatus } = require('../src/utils/errors');
+
+let home;
+let server;
+
+before(async () => {
+  home = await createHome();
+  // Answers every request with the status named in the path, e.g. .../trunks/404
+  server = await startMock({
+    handler: (req, res) => {
+      const status = Number(req.url.split('?')[0].split('/').pop());
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `failed with ${status}` }));
+    }
+  });
+});
+
+after(async () => {
+  await server.close();
+  await fs.remove(home);
+});
+
+test('errorClassForStatus maps HTTP statuses to error types', () => {
+  const types = [400, 401, 403, 404, 409, 422, 429, 500].map(status => new (errorClassForStatus(status))('x').type);
+  assert.deepStrictEqual(types, ['validation', 'auth', 'auth', 'not_found', 'validation', 'validation', 'rate_limited', 'api']);
+});
+
+test('errors serialize to JSON with their type, exit code and details', () => {
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(new NotFoundError('gone', { status: 404 }))), {
+    type: 'not_found', message: 'gone', exitCode: EXIT_CODES.notFound, status: 404
+  });
+  assert.deepStrictEqual(new RateLimitError('slow', { details: { retryAfter: 60 } }).toJSON().details, { retryAfter: 60 });
+});
+
+test('each kind of API failure exits with its own code and JSON error', async () => {
+  const cases = [[400, 2, 'validation'], [401, 4, 'auth'], [403, 4, 'auth'], [404, 5, 'not_found'], [429, 6, 'rate_limited'], [500, 8, 'api']];
+  for (const [status, exitCode, type] of cases) {
+    const { code, stdout, stderr } = await runCli(['--retries', '0', '--output', 'json', 'get', '--trunk', String(status)], {
+      home,
+      env: { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' }
+    });
+    assert.strictEqual(code, exitCode, `status ${status}`);
+    assert.strictEqual(stdout, '');
+    assert.deepStrictEqual(JSON.parse(stderr).error, { type, message: `API Error: ${status} - failed with ${status}`, exitCode, status });
+  }
+});
+
+test('an unreachable API exits with the network code', async () => {
+  const { code, stderr } = await runCli(['--retries', '0', 'get'], {
+    home,
+    env: { CX_API_URL: 'http://127.0.0.1:9', CX_DOMAIN: 'd.example', CX_APIKEY: 'k' }
+  });
+  assert.strictEqual(code, 7);
+  assert.match(stderr, /Unable to reach Cloudonix API/);
+});
+
+test('a missing domain exits with the config code', async () => {
+  const { code, stderr } = await runCli(['--output', 'json', 'get'], { home });
+  assert.strictEqual(code, 3);
+  assert.strictEqual(JSON.parse(stderr).error.type, 'config');
+});
+
+test('errors without --output json are one line prefixed with what failed', async () => {
+  const { code, stderr } = await runCli(['get', '--trunk', '404'], {
+    home,
+    env: { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' }
+  });
+  assert.strictEqual(code, 5);
+  assert.strictEqual(stderr.trim().split('\n').length, 1);
+  assert.match(stderr, /^Error\b.*: API Error: 404 - failed with 404/);
+});
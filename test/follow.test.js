@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const { startMock, createHome, runCli } = require('./helpers');
+
+const START = Date.parse('2025-03-01T10:00:00.000Z');
+const at = (seconds) => new Date(START + seconds * 1000).toISOString();
+
+let home;
+
+before(async () => {
+  home = await createHome();
+});
+
+after(async () => {
+  await fs.remove(home);
+});
+
+/**
+ * Starts a server whose session gains log entries and events on every poll
+ * @param {Array<Object>} polls - The session as returned by each poll; the last one repeats
+ * @returns {Promise<Object>} The server
+ */
+const startGrowingSession = (polls) => {
+  let requests = 0;
+  return startMock({
+    handler: (req, res) => {
+      const session = polls[Math.min(requests++, polls.length - 1)];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ token: 'live', ...session }));
+    }
+  });
+};
+
+test('call --follow prints each new entry once, in time order, and stops when the session ends', async () => {
+  const first = { message: 'Dialing +15551234567', timestamp: at(0) };
+  const second = { message: 'SIP 180 Ringing', timestamp: at(1) };
+  const event = { type: 'answered', timestamp: at(2) };
+  const third = { message: 'BYE received', timestamp: at(30) };
+  const server = await startGrowingSession([
+    { status: 'processing', log: [first] },
+    { status: 'connected', log: [first, second], events: [event] },
+    { status: 'connected', log: [first, second], events: [event] },
+    { status: 'completed', log: [first, second, third], events: [event] }
+  ]);
+  try {
+    const { code, stdout, stderr } = await runCli(
+      ['--output', 'json', 'call', '--session', 'live', '--follow', '--interval', '0.05'],
+      { home, env: { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } }
+    );
+    assert.strictEqual(code, 0);
+    const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines, [
+      { kind: 'log', ...first },
+      { kind: 'log', ...second },
+      { kind: 'event', ...event },
+      { kind: 'log', ...third }
+    ]);
+    assert.match(stderr, /Session ended\. .*3 log entries, 1 events, final status: completed/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('call --follow --log leaves out the events', async () => {
+  const server = await startGrowingSession([
+    { status: 'completed', log: [{ message: 'Hangup', timestamp: at(5) }], events: [{ type: 'hangup', timestamp: at(5) }] }
+  ]);
+  try {
+    const { code, stdout } = await runCli(
+      ['--output', 'json', 'call', '--session', 'live', '--follow', '--log', '--interval', '0.05'],
+      { home, env: { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } }
+    );
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(stdout.trim().split('\n').map(line => JSON.parse(line).kind), ['log']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('call --follow rejects an interval that is not a positive number', async () => {
+  const { code } = await runCli(['call', '--session', 'live', '--follow', '--interval', '0'], {
+    home,
+    env: { CX_API_URL: 'http://127.0.0.1:9', CX_DOMAIN: 'd.example', CX_APIKEY: 'k' }
+  });
+  assert.strictEqual(code, 2);
+});
+
+test('Ctrl-C ends call --follow with a summary and the interrupted exit code', async () => {
+  const server = await startGrowingSession([{ status: 'connected', log: [{ message: 'Dialing', timestamp: at(0) }] }]);
+  try {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'cx-cli.js'), '--output', 'json', 'call', '--session', 'live', '--follow', '--interval', '0.05'], {
+      env: { PATH: process.env.PATH, HOME: home, USERPROFILE: home, CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' }
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    // Interrupt once the first entry has been printed
+    child.stdout.once('data', () => child.kill('SIGINT'));
+    const code = await new Promise(resolve => child.on('close', resolve));
+
+    assert.strictEqual(code, 130);
+    assert.match(stderr, /Interrupted\. .*1 log entries, 0 events, final status: connected/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,63 @@
+/**
+ * Helpers for running the CLI against the bundled mock server in tests
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const { loadFixtures, createMockServer } = require('../src/mock/server');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cx-cli.js');
+
+/**
+ * Starts the mock API on a free local port
+ * @param {Object} [options] - Options
+ * @param {Object} [options.fixtures] - Fixtures to serve instead of the bundled ones
+ * @param {Function} [options.handler] - A request handler to use instead of the mock API
+ * @returns {Promise<{url: string, close: Function}>} The server URL and a function that stops it
+ */
+const startMock = async ({ fixtures, handler } = {}) => {
+  const server = handler
+    ? require('http').createServer(handler)
+    : createMockServer(fixtures || await loadFixtures());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Creates an empty home directory, so tests never read or write the real configuration
+ * @returns {Promise<string>} The directory
+ */
+const createHome = () => fs.mkdtemp(path.join(os.tmpdir(), 'cx-cli-test-'));
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} args - The arguments
+ * @param {Object} [options] - Options
+ * @param {string} options.home - The home directory, from createHome()
+ * @param {Object} [options.env] - Extra environment variables, e.g. CX_API_URL
+ * @param {string} [options.input] - Text written to stdin
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} The exit code and output
+ */
+const runCli = (args, { home, env = {}, input = '' } = {}) => new Promise((resolve, reject) => {
+  // Only pass what the CLI needs, so CX_* variables of the developer don't leak in
+  const childEnv = { PATH: process.env.PATH, HOME: home, USERPROFILE: home, ...env };
+  const child = spawn(process.execPath, [CLI, ...args], { env: childEnv });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', chunk => { stdout += chunk; });
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.on('error', reject);
+  child.on('close', code => resolve({ code, stdout, stderr }));
+  child.stdin.end(input);
+});
+
+module.exports = {
+  startMock,
+  createHome,
+  runCli
+};
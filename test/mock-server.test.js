@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('get prints the domain from the mock server', async () => {
+  const { code, stdout } = await runCli(['--output', 'json', 'get'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.strictEqual(JSON.parse(stdout).domain, 'test.example');
+});
+
+test('get --trunk lists the fixture trunks', async () => {
+  const { code, stdout } = await runCli(['--output', 'json', 'get', '--trunk'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).map(trunk => trunk.name), ['carrier-a', 'carrier-b']);
+});
+
+test('--api-url points the CLI at another server', async () => {
+  const { CX_API_URL, ...rest } = env;
+  const { code, stdout } = await runCli(['--api-url', CX_API_URL, '--output', 'json', 'get', '--application'], { home, env: rest });
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).map(application => application.name), ['main-ivr', 'voicemail']);
+});
+
+test('call --session gets a session and its log', async () => {
+  const { code, stdout } = await runCli(['--output', 'json', 'call', '--session', 'a1b2c3d4e5f60002'], { home, env });
+  assert.strictEqual(code, 0);
+  const session = JSON.parse(stdout);
+  assert.strictEqual(session.status, 'busy');
+  assert.ok(session.log.length > 0);
+});
+
+test('an unknown resource exits with the not-found code', async () => {
+  const { code, stderr } = await runCli(['get', '--trunk', 'nope'], { home, env });
+  assert.strictEqual(code, 5);
+  assert.match(stderr, /not found/);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { startMock, createHome, runCli } = require('./helpers');
+const { render, toRows, pickColumns, formatCsv } = require('../src/utils/output');
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('toRows unwraps a single array and wraps a single object', () => {
+  assert.deepStrictEqual(toRows({ log: [{ a: 1 }] }), [{ a: 1 }]);
+  assert.deepStrictEqual(toRows({ a: 1, b: [] }), [{ a: 1, b: [] }]);
+  assert.deepStrictEqual(toRows(null), []);
+});
+
+test('pickColumns prefers the columns of the resource type and falls back to scalar fields', () => {
+  const rows = [{ id: 1, name: 'carrier-a', ip: '10.0.0.1', headers: { 'X-A': '1' }, secret: 's' }];
+  assert.deepStrictEqual(pickColumns(rows, 'trunk'), ['id', 'name', 'ip']);
+  assert.deepStrictEqual(pickColumns(rows), ['id', 'name', 'ip', 'secret']);
+});
+
+test('formatCsv quotes fields with commas, quotes and line breaks', () => {
+  const csv = formatCsv([{ name: 'a, "b"', note: 'x\ny' }], ['name', 'note']);
+  assert.strictEqual(csv, 'name,note\n"a, ""b""","x\ny"');
+});
+
+test('render prints plain JSON and YAML', () => {
+  const data = { id: 1, name: 'main-ivr' };
+  assert.deepStrictEqual(JSON.parse(render(data, { format: 'json' })), data);
+  assert.deepStrictEqual(yaml.parse(render(data, { format: 'yaml' })), data);
+});
+
+test('--output json, yaml and csv print the trunks without colors or banners', async () => {
+  const json = await runCli(['--output', 'json', 'get', '--trunk'], { home, env });
+  assert.strictEqual(json.code, 0);
+  const trunks = JSON.parse(json.stdout);
+
+  const yamlOutput = await runCli(['--output', 'yaml', 'get', '--trunk'], { home, env });
+  assert.strictEqual(yamlOutput.code, 0);
+  assert.deepStrictEqual(yaml.parse(yamlOutput.stdout), trunks);
+
+  const csv = await runCli(['--output', 'csv', 'get', '--trunk'], { home, env });
+  assert.strictEqual(csv.code, 0);
+  const lines = csv.stdout.trim().split('\n');
+  assert.match(lines[0], /^id,name,ip,/);
+  assert.deepStrictEqual(lines.slice(1).map(line => line.split(',')[1]), ['carrier-a', 'carrier-b']);
+  [json, yamlOutput, csv].forEach(({ stdout }) => assert.ok(!stdout.includes('\u001b['), 'no ANSI codes'));
+});
+
+test('--output table aligns the columns of the resource type', async () => {
+  const { code, stdout } = await runCli(['--output', 'table', 'get', '--trunk'], { home, env });
+  assert.strictEqual(code, 0);
+  const [header, ...rows] = stdout.trim().split('\n');
+  assert.match(header, /^ID\s+NAME\s+IP\b/);
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[0].indexOf('carrier-a'), header.indexOf('NAME'));
+});
+
+test('the default output is YAML with a banner, without colors when piped', async () => {
+  const { code, stdout } = await runCli(['call', '--session', 'a1b2c3d4e5f60002'], { home, env });
+  assert.strictEqual(code, 0);
+  assert.ok(!stdout.includes('\u001b['), 'no ANSI codes');
+  assert.match(stdout, /===/);
+  assert.match(stdout, /status: busy/);
+});
+
+test('an unknown --output format is rejected', async () => {
+  const { code, stderr } = await runCli(['--output', 'xml', 'get'], { home, env });
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /xml/);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+const { loadFixtures } = require('../src/mock/server');
+const { fetchPages, fetchAll, parsePagingOptions } = require('../src/utils/pagination');
+
+const COUNT = 250;
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  const subscribers = Array.from({ length: COUNT }, (_, index) => ({ id: index + 1, msisdn: String(15550000 + index + 1) }));
+  mock = await startMock({ fixtures: { ...(await loadFixtures()), subscribers } });
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+/**
+ * Creates a fetchPage function over a list, recording the pages requested
+ * @param {Array} items - The items
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.unpaged] - Ignore paging and return every item
+ * @returns {Function} The fetchPage function, with the requests in .requests
+ */
+const pagesOf = (items, { unpaged = false } = {}) => {
+  const fetchPage = async ({ page, limit }) => {
+    fetchPage.requests.push(page);
+    return unpaged ? items : items.slice((page - 1) * limit, page * limit);
+  };
+  fetchPage.requests = [];
+  return fetchPage;
+};
+
+const numbers = (count) => Array.from({ length: count }, (_, index) => ({ id: index + 1 }));
+
+test('fetchPages yields page by page until a short page', async () => {
+  const fetchPage = pagesOf(numbers(25));
+  const pages = [];
+  const progress = [];
+  for await (const page of fetchPages(fetchPage, { pageSize: 10, onPage: info => progress.push(info.total) })) {
+    pages.push(page.length);
+  }
+  assert.deepStrictEqual(pages, [10, 10, 5]);
+  assert.deepStrictEqual(progress, [10, 20, 25]);
+});
+
+test('fetchPages stops at max, and at a single page with page', async () => {
+  const limited = pagesOf(numbers(25));
+  assert.deepStrictEqual((await fetchAll(limited, { pageSize: 10, max: 15 })).map(item => item.id), numbers(15).map(item => item.id));
+  assert.deepStrictEqual(limited.requests, [1, 2]);
+
+  const single = pagesOf(numbers(25));
+  assert.deepStrictEqual((await fetchAll(single, { pageSize: 10, page: 3 })).map(item => item.id), [21, 22, 23, 24, 25]);
+  assert.deepStrictEqual(single.requests, [3]);
+});
+
+test('fetchPages stops when the API ignores paging', async () => {
+  const samePage = pagesOf(numbers(10), { unpaged: true });
+  assert.strictEqual((await fetchAll(samePage, { pageSize: 10 })).length, 10);
+  assert.deepStrictEqual(samePage.requests, [1, 2]);
+
+  const wholeList = pagesOf(numbers(30), { unpaged: true });
+  assert.strictEqual((await fetchAll(wholeList, { pageSize: 10 })).length, 30);
+  assert.deepStrictEqual(wholeList.requests, [1]);
+});
+
+test('parsePagingOptions turns --limit and --page into paging options', () => {
+  assert.deepStrictEqual(parsePagingOptions({}), {});
+  assert.deepStrictEqual(parsePagingOptions({ limit: '500' }), { max: 500, pageSize: 100 });
+  assert.deepStrictEqual(parsePagingOptions({ limit: '20', page: '2' }), { max: 20, pageSize: 20, page: 2 });
+  assert.throws(() => parsePagingOptions({ all: true, limit: '5' }), /--all cannot be combined/);
+  assert.throws(() => parsePagingOptions({ limit: '0' }), /--limit must be a positive integer/);
+  assert.throws(() => parsePagingOptions({ page: 'x' }), /--page must be a positive integer/);
+});
+
+test('get lists every subscriber across pages by default', async () => {
+  const { code, stdout } = await runCli(['--output', 'json', 'get', '--subscriber'], { home, env });
+  assert.strictEqual(code, 0);
+  const subscribers = JSON.parse(stdout);
+  assert.strictEqual(subscribers.length, COUNT);
+  assert.strictEqual(new Set(subscribers.map(subscriber => subscriber.id)).size, COUNT);
+});
+
+test('get --limit and --page return part of the list', async () => {
+  const limited = await runCli(['--output', 'json', 'get', '--subscriber', '--limit', '5'], { home, env });
+  assert.strictEqual(limited.code, 0);
+  assert.deepStrictEqual(JSON.parse(limited.stdout).map(subscriber => subscriber.id), [1, 2, 3, 4, 5]);
+
+  const page = await runCli(['--output', 'json', 'get', '--subscriber', '--page', '3', '--limit', '10'], { home, env });
+  assert.strictEqual(page.code, 0);
+  assert.deepStrictEqual(JSON.parse(page.stdout).map(subscriber => subscriber.id), [21, 22, 23, 24, 25, 26, 27, 28, 29, 30]);
+
+  const csv = await runCli(['--output', 'csv', 'get', '--subscriber'], { home, env });
+  assert.strictEqual(csv.code, 0);
+  assert.strictEqual(csv.stdout.trim().split('\n').length, COUNT + 1, 'one header line over all pages');
+});
+
+test('get --all cannot be combined with --limit', async () => {
+  const { code, stderr } = await runCli(['get', '--subscriber', '--all', '--limit', '5'], { home, env });
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /--all cannot be combined/);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+const { createReport } = require('../src/utils/report');
+const { sessions } = require('../src/mock/fixtures.json');
+
+test('report counts calls, ASR, ACD, minutes and failures per trunk', () => {
+  const report = createReport('trunk');
+  sessions.forEach(report.add);
+  const [carrierB, carrierA, total] = report.rows();
+
+  assert.deepStrictEqual(carrierB, {
+    group: 'carrier-b', calls: 2, answered: 1, asr: 50, acd: 120, minutes: 2,
+    busy: 0, noAnswer: 0, rejected: 0, trunkFailure: 0, applicationError: 1, other: 0
+  });
+  assert.strictEqual(carrierA.busy, 1);
+  assert.strictEqual(total.group, '(total)');
+  assert.strictEqual(total.calls, 3);
+});
+
+test('an answered call with a benign application log line counts towards ASR and minutes', () => {
+  const report = createReport('application');
+  report.add({
+    token: 'ok',
+    status: 'completed',
+    application: 'ivr',
+    callStartTime: '2025-01-01T00:00:00.000Z',
+    callEndTime: '2025-01-01T00:01:03.000Z',
+    log: [
+      { timestamp: '2025-01-01T00:00:00.000Z', message: 'Fetching application ivr (timeout 5s)' },
+      { timestamp: '2025-01-01T00:00:03.000Z', message: 'SIP 200 OK' }
+    ]
+  });
+  const [ivr] = report.rows();
+  assert.strictEqual(ivr.answered, 1);
+  assert.strictEqual(ivr.asr, 100);
+  assert.strictEqual(ivr.minutes, 1);
+  assert.strictEqual(ivr.applicationError, 0);
+});
+
+test('report rejects an unknown group', () => {
+  assert.throws(() => createReport('country'), /Unsupported group 'country'/);
+});
+
+test('report includes the whole day of a date-only --to', async () => {
+  const mock = await startMock();
+  const home = await createHome();
+  try {
+    const { code, stdout } = await runCli(
+      ['--output', 'json', 'report', '--from', '2025-03-01', '--to', '2025-03-01'],
+      { home, env: { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } }
+    );
+    assert.strictEqual(code, 0);
+    const total = JSON.parse(stdout).find(row => row.group === '(total)');
+    assert.strictEqual(total.calls, 2);
+  } finally {
+    await mock.close();
+    await fs.remove(home);
+  }
+});
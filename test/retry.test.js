@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let home;
+
+before(async () => {
+  home = await createHome();
+});
+
+after(async () => {
+  await fs.remove(home);
+});
+
+/**
+ * Starts a server that answers with a scripted list of responses; the last one repeats
+ * @param {Array<Array>} responses - The responses as [status, headers]
+ * @returns {Promise<Object>} The server, with the methods of the requests it got in requests
+ */
+const startScripted = async (responses) => {
+  const requests = [];
+  const server = await startMock({
+    handler: (req, res) => {
+      const [status, headers = {}] = responses[Math.min(requests.length, responses.length - 1)];
+      requests.push(req.method);
+      const body = status < 400 ? { domain: 'd.example', id: 1 } : { message: `status ${status}` };
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    }
+  });
+  return { ...server, requests };
+};
+
+/**
+ * Runs the CLI against a server
+ * @param {Object} server - The server
+ * @param {Array<string>} args - The arguments
+ * @returns {Promise<Object>} The result of runCli()
+ */
+const run = (server, args) => runCli(args, { home, env: { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } });
+
+test('idempotent requests are retried after gateway errors', async () => {
+  const server = await startScripted([[503], [502], [200]]);
+  try {
+    const { code, stdout } = await run(server, ['--output', 'json', 'get']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(JSON.parse(stdout).domain, 'd.example');
+    assert.deepStrictEqual(server.requests, ['GET', 'GET', 'GET']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the final error names the number of attempts', async () => {
+  const server = await startScripted([[503]]);
+  try {
+    const { code, stderr } = await run(server, ['--retries', '1', 'get']);
+    assert.strictEqual(code, 8);
+    assert.match(stderr, /503 .*after 2 attempts/);
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a POST is not retried after a gateway error, but is after a 429 with Retry-After', async () => {
+  const failing = await startScripted([[503]]);
+  try {
+    const { code } = await run(failing, ['subscriber', 'create', '--msisdn', '1', '--sip-password', 'secret123']);
+    assert.strictEqual(code, 8);
+    assert.deepStrictEqual(failing.requests, ['POST']);
+  } finally {
+    await failing.close();
+  }
+
+  const limited = await startScripted([[429, { 'Retry-After': '0' }], [201]]);
+  try {
+    const { code } = await run(limited, ['subscriber', 'create', '--msisdn', '1', '--sip-password', 'secret123']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(limited.requests, ['POST', 'POST']);
+  } finally {
+    await limited.close();
+  }
+});
+
+test('a Retry-After beyond a minute is not waited for and is reported', async () => {
+  const server = await startScripted([[429, { 'Retry-After': '3600' }]]);
+  try {
+    const { code, stderr } = await run(server, ['get']);
+    assert.strictEqual(code, 6);
+    assert.match(stderr, /retry after 3600s/);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('--retries 0 turns retries off', async () => {
+  const server = await startScripted([[503], [200]]);
+  try {
+    const { code } = await run(server, ['--retries', '0', 'get']);
+    assert.strictEqual(code, 8);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('--timeout ends a request that gets no answer', async () => {
+  const sockets = new Set();
+  const server = await startMock({ handler: (req) => sockets.add(req.socket) });
+  try {
+    const { code, stderr } = await run(server, ['--timeout', '0.2', '--retries', '1', 'get']);
+    assert.strictEqual(code, 7);
+    assert.match(stderr, /timed out after 0.2s \(after 2 attempts\)/);
+  } finally {
+    sockets.forEach(socket => socket.destroy());
+    await server.close();
+  }
+});
+
+test('CX_RETRIES and CX_TIMEOUT set the defaults, and invalid values are rejected', async () => {
+  const server = await startScripted([[503], [200]]);
+  try {
+    const env = { CX_API_URL: server.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k', CX_RETRIES: '0' };
+    assert.strictEqual((await runCli(['get'], { home, env })).code, 8);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+
+  const invalid = await runCli(['--timeout', '-1', 'get'], { home, env: { CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } });
+  assert.strictEqual(invalid.code, 2);
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { startMock, createHome } = require('./helpers');
+const sdk = require('..');
+
+const { CloudonixClient, CliError, ValidationError, ApiError, AuthError, NotFoundError } = sdk;
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMock();
+  client = new CloudonixClient({ domain: 'test.example', apiKey: 'XI1234567890abcdef', apiUrl: mock.url, retries: 0 });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('the package exports the client, the error classes and the default API URL', () => {
+  assert.deepStrictEqual(Object.keys(sdk).sort(), [
+    'ApiError', 'AuthError', 'CliError', 'CloudonixClient', 'ConfigError', 'DEFAULT_API_BASE_URL',
+    'NetworkError', 'NotFoundError', 'RateLimitError', 'ValidationError'
+  ]);
+  assert.strictEqual(sdk.DEFAULT_API_BASE_URL, 'https://api.cloudonix.io');
+  assert.ok(new NotFoundError('gone') instanceof ApiError);
+  assert.ok(new AuthError('denied') instanceof CliError);
+});
+
+test('requiring the package has no side effects', async () => {
+  const home = await createHome();
+  try {
+    const output = await new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..'))})`, 'get', '--trunk', 'x'], {
+        env: { PATH: process.env.PATH, HOME: home, USERPROFILE: home }
+      }, (error, stdout, stderr) => (error ? reject(error) : resolve(stdout + stderr)));
+    });
+    assert.strictEqual(output, '');
+    assert.ok(!(await fs.pathExists(path.join(home, '.cx-cli'))), 'the configuration directory is not created');
+  } finally {
+    await fs.remove(home);
+  }
+});
+
+test('the client requires an API key and keeps it out of printed output', () => {
+  assert.throws(() => new CloudonixClient({ domain: 'test.example' }), ValidationError);
+  const printed = JSON.stringify(client);
+  assert.ok(!printed.includes('XI1234567890abcdef'));
+  assert.strictEqual(client.apiKey, 'XI1234567890abcdef');
+  assert.strictEqual(client.apiUrl, mock.url);
+});
+
+test('resource collections list, get, create, update and delete items', async () => {
+  const trunks = await client.trunks.listAll();
+  assert.deepStrictEqual(trunks.map(trunk => trunk.name), ['carrier-a', 'carrier-b']);
+  assert.strictEqual((await client.trunks.get('carrier-a')).port, 5060);
+
+  const created = await client.trunks.create({ name: 'carrier-sdk', ip: '10.0.0.9' });
+  assert.strictEqual(created.name, 'carrier-sdk');
+  const updated = await client.trunks.update('carrier-sdk', { port: 5080 });
+  assert.strictEqual(updated.port, 5080);
+  await client.trunks.delete('carrier-sdk');
+
+  await assert.rejects(client.trunks.get('carrier-sdk'), (error) => {
+    assert.ok(error instanceof NotFoundError);
+    assert.strictEqual(error.exitCode, 5);
+    return true;
+  });
+});
+
+test('iterate yields the collection page by page', async () => {
+  const pages = [];
+  for await (const page of client.subscribers.iterate({ pageSize: 1 })) {
+    pages.push(page.map(subscriber => subscriber.msisdn));
+  }
+  assert.deepStrictEqual(pages, [['1001'], ['1002']]);
+  assert.deepStrictEqual((await client.subscribers.list({ page: 2, limit: 1 })).map(subscriber => subscriber.msisdn), ['1002']);
+});
+
+test('sessions are listed with filters and fetched by token', async () => {
+  const sessions = await client.sessions.list({ from: '2025-03-02T00:00:00Z', status: undefined });
+  assert.deepStrictEqual(sessions.map(session => session.token), ['a1b2c3d4e5f60003']);
+  assert.strictEqual((await client.sessions.get('a1b2c3d4e5f60001')).token, 'a1b2c3d4e5f60001');
+});
+
+test('domains are fetched and validated', async () => {
+  assert.strictEqual((await client.domains.get()).domain, 'test.example');
+  assert.strictEqual(await client.domains.validate(), true);
+
+  const withoutDomain = new CloudonixClient({ apiKey: 'XI1234567890abcdef', apiUrl: mock.url });
+  assert.throws(() => withoutDomain.domainPath(), ValidationError);
+  assert.strictEqual((await withoutDomain.domains.get('other.example')).domain, 'other.example');
+});
+
+test('rejected API keys reject with an AuthError', async () => {
+  const denied = await startMock({
+    handler: (req, res) => {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: 'Unauthorized' }));
+    }
+  });
+  try {
+    const other = new CloudonixClient({ domain: 'test.example', apiKey: 'XIwrong', apiUrl: denied.url, retries: 0 });
+    await assert.rejects(other.domains.validate(), AuthError);
+  } finally {
+    await denied.close();
+  }
+});
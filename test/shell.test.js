@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const { Command } = require('commander');
+const { startMock, createHome, runCli } = require('./helpers');
+const { splitCommandLine, createCompleter } = require('../src/utils/shell');
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+/**
+ * Runs a completer and resolves to its candidates
+ */
+const complete = (completer, line) => new Promise((resolve, reject) => {
+  completer(line, (error, [candidates]) => (error ? reject(error) : resolve(candidates)));
+});
+
+test('splitCommandLine handles quotes and escapes like a POSIX shell', () => {
+  assert.deepStrictEqual(splitCommandLine('  get   --trunk carrier-a '), ['get', '--trunk', 'carrier-a']);
+  assert.deepStrictEqual(splitCommandLine(`trunk create --name "carrier c" --prefix 'a "b"'`), ['trunk', 'create', '--name', 'carrier c', '--prefix', 'a "b"']);
+  assert.deepStrictEqual(splitCommandLine('get --trunk carrier\\ a "say \\"hi\\""'), ['get', '--trunk', 'carrier a', 'say "hi"']);
+  assert.deepStrictEqual(splitCommandLine('get --name ""'), ['get', '--name', '']);
+  assert.throws(() => splitCommandLine('get --name "carrier'), /Missing closing double quote/);
+});
+
+test('the completer completes commands, options and option values', async () => {
+  const program = new Command('cx-cli').option('--output <format>');
+  program.command('get').option('--trunk <trunk>').option('--domain <domain>');
+  program.command('hidden', { hidden: true });
+  const trunk = program.command('trunk');
+  trunk.command('create');
+  trunk.command('update');
+
+  const completer = createCompleter(program, {
+    builtins: ['use', 'exit'],
+    getValues: async flag => (flag === '--trunk' ? ['carrier-a', 'carrier-b'] : ['prod', 'staging'])
+  });
+
+  assert.deepStrictEqual(await complete(completer, ''), ['exit', 'get', 'help', 'trunk', 'use']);
+  assert.deepStrictEqual(await complete(completer, 'tr'), ['trunk ']);
+  assert.deepStrictEqual(await complete(completer, 'trunk '), ['create', 'help', 'update']);
+  assert.deepStrictEqual(await complete(completer, 'get --'), ['--domain', '--help', '--output', '--trunk']);
+  assert.deepStrictEqual(await complete(completer, 'get --trunk carrier-'), ['carrier-a', 'carrier-b']);
+  assert.deepStrictEqual(await complete(completer, 'use st'), ['staging ']);
+});
+
+test('shell runs piped commands and exits with the status of the last one', async () => {
+  const first = await runCli(['shell'], { home, env, input: 'get --trunk missing\nget --trunk carrier-a\n' });
+  assert.strictEqual(first.code, 0);
+  assert.match(first.stdout, /carrier-a/);
+
+  const failed = await runCli(['shell'], { home, env, input: 'get --trunk carrier-a\nget --trunk missing\n' });
+  assert.strictEqual(failed.code, 5);
+  assert.match(failed.stderr, /missing/);
+
+  const exited = await runCli(['shell'], { home, env, input: 'get --trunk missing\nexit 3\nget --trunk carrier-a\n' });
+  assert.strictEqual(exited.code, 3);
+  assert.doesNotMatch(exited.stdout, /carrier-a/);
+});
+
+test('shell keeps running after errors and reports unbalanced quotes', async () => {
+  const { code, stdout, stderr } = await runCli(['shell'], {
+    home,
+    env,
+    input: 'nonsense\nget --trunk "carrier-a\nget --trunk carrier-a --output json\n'
+  });
+  assert.strictEqual(code, 0);
+  assert.match(stderr, /Missing closing double quote/);
+  assert.strictEqual(JSON.parse(stdout).name, 'carrier-a');
+});
+
+test('shell saves history without credentials or lines starting with a space', async () => {
+  const historyHome = await createHome();
+  try {
+    await runCli(['shell'], {
+      home: historyHome,
+      env,
+      input: 'get --trunk carrier-a\nget --apikey XIsecret\n get --trunk carrier-b\nexit\n'
+    });
+    const history = await fs.readFile(path.join(historyHome, '.cx-cli', 'history'), 'utf8');
+    assert.strictEqual(history, 'get --trunk carrier-a\nexit\n');
+
+    const mode = (await fs.stat(path.join(historyHome, '.cx-cli', 'history'))).mode & 0o777;
+    assert.strictEqual(mode, 0o600);
+  } finally {
+    await fs.remove(historyHome);
+  }
+});
@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { startMock, createHome, runCli } = require('./helpers');
+const { computePlan } = require('../src/utils/snapshot');
+
+let mock;
+let home;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+/**
+ * The environment for a domain of the mock server
+ * @param {string} domain - The domain name
+ * @returns {Object} The environment variables
+ */
+const envFor = (domain) => ({ CX_API_URL: mock.url, CX_DOMAIN: domain, CX_APIKEY: 'XI1234567890abcdef' });
+
+/**
+ * Exports a domain of the mock server
+ * @param {string} domain - The domain name
+ * @returns {Promise<Object>} The snapshot
+ */
+const exportDomain = async (domain) => {
+  const { code, stdout } = await runCli(['export'], { home, env: envFor(domain) });
+  assert.strictEqual(code, 0);
+  return yaml.parse(stdout);
+};
+
+test('export writes the domain without IDs, timestamps or secrets', async () => {
+  const { code, stdout } = await runCli(['export'], { home, env: envFor('export.example') });
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /^# Cloudonix domain 'export\.example'/);
+  assert.ok(!stdout.includes('mock-password'), 'SIP passwords are redacted');
+
+  const snapshot = yaml.parse(stdout);
+  assert.strictEqual(snapshot.domain, 'export.example');
+  assert.deepStrictEqual(snapshot.applications.map(application => application.name), ['main-ivr', 'voicemail']);
+  assert.deepStrictEqual(snapshot.trunks.map(trunk => trunk.name), ['carrier-a', 'carrier-b']);
+  assert.strictEqual(snapshot.subscribers[0].sipPassword, '<redacted>');
+  assert.strictEqual(snapshot.dnids[0].application, 'main-ivr');
+  const fields = JSON.stringify(snapshot);
+  ['"id"', '"createdAt"', '"modifiedAt"', '"applicationId"'].forEach(field => assert.ok(!fields.includes(field), `${field} is left out`));
+});
+
+test('apply --dry-run shows the plan without changing the domain', async () => {
+  const snapshot = await exportDomain('plan.example');
+  snapshot.trunks[0].port = 5070;
+  const file = path.join(home, 'plan.yaml');
+  await fs.writeFile(file, yaml.stringify(snapshot));
+
+  const { code, stdout } = await runCli(['apply', '-f', file, '--dry-run'], { home, env: envFor('plan.example') });
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /~ trunk "carrier-a"/);
+  assert.match(stdout, /port: 5060 → 5070/);
+  assert.match(stdout, /Plan: 0 to add, 1 to change, 0 to destroy\./);
+
+  assert.strictEqual((await exportDomain('plan.example')).trunks[0].port, 5060);
+});
+
+test('apply creates, updates and deletes resources until the domain matches the file', async () => {
+  const snapshot = await exportDomain('apply.example');
+  snapshot.trunks[0].port = 5070;
+  snapshot.applications.unshift({ name: 'after-hours', type: 'cloudonix', url: 'https://example.com/after-hours.xml', active: true });
+  snapshot.dnids = snapshot.dnids.filter(dnid => dnid.source !== '+15551230001');
+  snapshot.dnids.push({ source: '+15551239999', application: 'after-hours', prefix: false, expression: false, active: true });
+  const file = path.join(home, 'apply.yaml');
+  await fs.writeFile(file, yaml.stringify(snapshot));
+
+  const plan = await runCli(['--output', 'json', 'apply', '-f', file, '--dry-run'], { home, env: envFor('apply.example') });
+  assert.strictEqual(plan.code, 0);
+  assert.deepStrictEqual(JSON.parse(plan.stdout).map(({ action, type, key }) => `${action} ${type} ${key}`), [
+    'create application after-hours',
+    'update trunk carrier-a',
+    'create dnid +15551239999',
+    'delete dnid +15551230001'
+  ]);
+
+  const applied = await runCli(['apply', '-f', file, '--yes'], { home, env: envFor('apply.example') });
+  assert.strictEqual(applied.code, 0);
+  assert.match(applied.stderr, /Apply complete: 2 added, 1 changed, 1 destroyed\./);
+
+  const exported = await exportDomain('apply.example');
+  assert.deepStrictEqual({ ...exported, domain: undefined }, { ...snapshot, domain: undefined });
+
+  const again = await runCli(['apply', '-f', file, '--yes'], { home, env: envFor('apply.example') });
+  assert.strictEqual(again.code, 0);
+  assert.match(again.stderr, /No changes/);
+});
+
+test('apply asks before changing anything', async () => {
+  const snapshot = await exportDomain('confirm.example');
+  snapshot.trunks[0].port = 5070;
+  const file = path.join(home, 'confirm.yaml');
+  await fs.writeFile(file, yaml.stringify(snapshot));
+
+  const { code, stderr } = await runCli(['apply', '-f', file], { home, env: envFor('confirm.example'), input: 'n\n' });
+  assert.strictEqual(code, 0);
+  assert.match(stderr, /Aborted/);
+  assert.strictEqual((await exportDomain('confirm.example')).trunks[0].port, 5060);
+});
+
+test('apply rejects files that are not snapshots', async () => {
+  const cases = [
+    ['list.yaml', 'trunks: carrier-a\n', /'trunks' .* must be a list/],
+    ['duplicate.yaml', 'trunks:\n  - name: a\n  - name: a\n', /Duplicate trunk 'a'/],
+    ['unnamed.yaml', 'trunks:\n  - ip: 10.0.0.1\n', /trunk #1 .* has no 'name'/]
+  ];
+  for (const [name, text, error] of cases) {
+    const file = path.join(home, name);
+    await fs.writeFile(file, text);
+    const { code, stderr } = await runCli(['apply', '-f', file, '--dry-run'], { home, env: envFor('invalid.example') });
+    assert.strictEqual(code, 2, name);
+    assert.match(stderr, error);
+  }
+});
+
+test('computePlan leaves redacted secrets and unlisted resource types alone', () => {
+  const current = {
+    subscribers: [{ msisdn: '1001', sipPassword: '<redacted>', active: true }],
+    trunks: [{ name: 'carrier-a', port: 5060 }]
+  };
+  const desired = { subscribers: [{ msisdn: '1001', sipPassword: '<redacted>', active: false }] };
+  const plan = computePlan(desired, current, { subscribers: { 1001: 5001 } });
+  assert.deepStrictEqual(plan.map(({ action, type, key, fields }) => ({ action, type, key, fields })), [
+    { action: 'update', type: 'subscriber', key: '1001', fields: { active: false } }
+  ]);
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+
+let mock;
+let home;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  const { code } = await runCli(
+    ['--api-url', mock.url, '--profile', 'work', 'configure', '--domain', 'work.example', '--apikey', 'XI1234567890abcdef'],
+    { home, env: { CX_API_URL: mock.url } }
+  );
+  assert.strictEqual(code, 0);
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('subscriber create sets profile fields with --field', async () => {
+  const { code, stdout } = await runCli(
+    ['--output', 'json', 'subscriber', 'create', '--msisdn', '123', '--sip-password', 'secret123', '--field', 'name=Alice', '--field', 'voicemail=true'],
+    { home, env: { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } }
+  );
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).profile, { name: 'Alice', voicemail: true });
+});
+
+test('--field and the global --profile work together', async () => {
+  const { code, stdout } = await runCli(
+    ['--profile', 'work', '--output', 'json', 'subscriber', 'create', '--msisdn', '456', '--sip-password', 'secret123', '--field', 'name=Bob'],
+    { home, env: { CX_API_URL: mock.url } }
+  );
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).profile, { name: 'Bob' });
+
+  const updated = await runCli(
+    ['--profile', 'work', '--output', 'json', 'subscriber', 'update', '--subscriber', '456', '--field', 'name=Carol'],
+    { home, env: { CX_API_URL: mock.url } }
+  );
+  assert.strictEqual(updated.code, 0);
+  assert.deepStrictEqual(JSON.parse(updated.stdout).profile, { name: 'Carol' });
+});
+
+test('--field works in the shell', async () => {
+  const { code, stdout } = await runCli(['--output', 'json', 'shell'], {
+    home,
+    env: { CX_API_URL: mock.url },
+    input: '--profile work subscriber create --msisdn 789 --sip-password secret123 --field name=Dave\nexit\n'
+  });
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /"name": "Dave"/);
+});
+
+test('--field keeps digit strings as they are typed', async () => {
+  const { code, stdout } = await runCli(
+    ['--output', 'json', 'subscriber', 'create', '--msisdn', '321', '--sip-password', 'secret123', '--field', 'forward=0501234567', '--field', 'account=12345678901234567890'],
+    { home, env: { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } }
+  );
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).profile, { forward: '0501234567', account: '12345678901234567890' });
+});
+
+test('subscriber update keeps the profile fields that --field does not set', async () => {
+  const env = { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' };
+  const created = await runCli(
+    ['--output', 'json', 'subscriber', 'create', '--msisdn', '654', '--sip-password', 'secret123', '--field', 'name=Erin', '--field', 'voicemail=true'],
+    { home, env }
+  );
+  assert.strictEqual(created.code, 0);
+
+  const { code, stdout } = await runCli(
+    ['--output', 'json', 'subscriber', 'update', '--subscriber', '654', '--field', 'name=Frank'],
+    { home, env }
+  );
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(JSON.parse(stdout).profile, { name: 'Frank', voicemail: true });
+});
+
+test('subscriber update rejects an --active value other than true or false', async () => {
+  const { code, stderr } = await runCli(
+    ['subscriber', 'update', '--subscriber', '654', '--active', 'yes'],
+    { home, env: { CX_API_URL: mock.url, CX_DOMAIN: 'd.example', CX_APIKEY: 'k' } }
+  );
+  assert.strictEqual(code, 2);
+  assert.match(stderr, /--active/);
+});
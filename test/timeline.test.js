@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildTimeline, renderTimeline } = require('../src/utils/timeline');
+const { sessions } = require('../src/mock/fixtures.json');
+
+const findSession = (token) => sessions.find(session => session.token === token);
+
+test('calls dialed to a subscriber get a subscriber lane', () => {
+  const timeline = buildTimeline(findSession('a1b2c3d4e5f60001'));
+  assert.deepStrictEqual(timeline.participants.map(({ id }) => id), ['caller', 'cloudonix', 'application', 'trunk', 'subscriber']);
+
+  const dial = timeline.steps.find(step => step.label === 'Dialing 1001 via subscriber');
+  assert.deepStrictEqual([dial.from, dial.to], ['cloudonix', 'subscriber']);
+  const ringing = timeline.steps.find(step => step.label === 'SIP 180 Ringing');
+  assert.deepStrictEqual([ringing.from, ringing.to], ['subscriber', 'cloudonix']);
+});
+
+test('calls through a trunk stay in the trunk lane', () => {
+  const timeline = buildTimeline(findSession('a1b2c3d4e5f60002'));
+  assert.ok(!timeline.participants.some(({ id }) => id === 'subscriber'));
+
+  const busy = timeline.steps.find(step => step.label === 'SIP 486 Busy Here from trunk carrier-a');
+  assert.deepStrictEqual([busy.from, busy.to], ['trunk', 'cloudonix']);
+});
+
+test('the time from start to answer is labelled as time to answer', () => {
+  const session = findSession('a1b2c3d4e5f60001');
+  assert.strictEqual(buildTimeline(session).durations.answerMs, 3200);
+
+  const text = renderTimeline(session, 'ascii');
+  assert.match(text, /Time to answer \(start → answer\): 3\.200s/);
+  assert.doesNotMatch(text, /Post-dial/);
+  assert.match(renderTimeline(session, 'mermaid'), /Note over caller,subscriber: Time to answer/);
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { startMock, createHome, runCli } = require('./helpers');
+const { isValidHost, isValidPort } = require('../src/utils/validate');
+
+let mock;
+let home;
+let env;
+
+before(async () => {
+  mock = await startMock();
+  home = await createHome();
+  env = { CX_API_URL: mock.url, CX_DOMAIN: 'test.example', CX_APIKEY: 'XI1234567890abcdef' };
+});
+
+after(async () => {
+  await mock.close();
+  await fs.remove(home);
+});
+
+test('isValidPort accepts only decimal port numbers', () => {
+  ['1', '5060', '65535', 5061].forEach(port => assert.ok(isValidPort(port), `${port} is valid`));
+  ['0', '65536', '0x13c4', '5e3', ' 5060', '50.6', '', '-1'].forEach(port => assert.ok(!isValidPort(port), `${port} is invalid`));
+});
+
+test('isValidHost accepts addresses and hostnames but not mistyped IPs', () => {
+  ['10.0.0.1', '2001:db8::1', 'sip.carrier.example'].forEach(host => assert.ok(isValidHost(host), `${host} is valid`));
+  ['10.0.0.256', '1.2.3', 'bad_host', '-carrier.example', ''].forEach(host => assert.ok(!isValidHost(host), `${host} is invalid`));
+});
+
+test('trunk create sends header values exactly as typed', async () => {
+  const { code, stdout } = await runCli(
+    ['--output', 'json', 'trunk', 'create', '--name', 'carrier-c', '--ip', '10.0.0.3', '--port', '5080', '--transport', 'TCP',
+      '--header', 'X-Account=0501234567', '--header', 'X-Trace=true'],
+    { home, env }
+  );
+  assert.strictEqual(code, 0);
+  const trunk = JSON.parse(stdout);
+  assert.strictEqual(trunk.port, 5080);
+  assert.strictEqual(trunk.transport, 'tcp');
+  assert.deepStrictEqual(trunk.headers, { 'X-Account': '0501234567', 'X-Trace': 'true' });
+});
+
+test('trunk create rejects invalid fields before calling the API', async () => {
+  const cases = [
+    [['--ip', '10.0.0.300'], /--ip/],
+    [['--ip', '10.0.0.4', '--port', '0x13c4'], /--port/],
+    [['--ip', '10.0.0.4', '--transport', 'sctp'], /--transport/],
+    [['--ip', '10.0.0.4', '--direction', 'sideways'], /--direction/]
+  ];
+  for (const [args, message] of cases) {
+    const { code, stderr } = await runCli(['trunk', 'create', '--name', 'carrier-d', ...args], { home, env });
+    assert.strictEqual(code, 2, args.join(' '));
+    assert.match(stderr, message);
+  }
+
+  const { stdout } = await runCli(['--output', 'json', 'get', '--trunk'], { home, env });
+  assert.ok(!JSON.parse(stdout).some(trunk => trunk.name === 'carrier-d'));
+});